@@ -19,7 +19,7 @@ class DemandSenseAPI {
         }
 
         try {
-            const response = await fetch(`${this.baseURL}/api/forecast/generate`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/forecast/generate`, {
                 method: 'POST',
                 body: formData
             });
@@ -43,7 +43,7 @@ class DemandSenseAPI {
      */
     async analyzeText(text, periods = 30) {
         try {
-            const response = await fetch(`${this.baseURL}/api/forecast/text`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/forecast/text`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -72,7 +72,7 @@ class DemandSenseAPI {
      */
     async getSession(sessionId) {
         try {
-            const response = await fetch(`${this.baseURL}/api/forecast/session/${sessionId || this.sessionId}`);
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/forecast/session/${sessionId || this.sessionId}`);
             return await this.handleResponse(response);
         } catch (error) {
             console.error('Get session error:', error);
@@ -80,12 +80,36 @@ class DemandSenseAPI {
         }
     }
 
+    /**
+     * Backtest the forecast model over the current session's history
+     */
+    async backtestForecast(horizon = 7, folds = 5, model) {
+        try {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/forecast/backtest`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: this.sessionId,
+                    horizon,
+                    folds,
+                    model
+                })
+            });
+
+            return await this.handleResponse(response);
+
+        } catch (error) {
+            console.error('Backtest error:', error);
+            throw error;
+        }
+    }
+
     /**
      * Optimize inventory
      */
     async optimizeInventory(products, forecast, salesData = []) {
         try {
-            const response = await fetch(`${this.baseURL}/api/inventory/optimize`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/inventory/optimize`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -109,7 +133,7 @@ class DemandSenseAPI {
      */
     async calculateReorder(products, forecast) {
         try {
-            const response = await fetch(`${this.baseURL}/api/inventory/reorder`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/inventory/reorder`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -131,7 +155,7 @@ class DemandSenseAPI {
      */
     async analyzeScenario(baseForecast, scenario, products = []) {
         try {
-            const response = await fetch(`${this.baseURL}/api/scenarios/analyze`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/scenarios/analyze`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -155,7 +179,7 @@ class DemandSenseAPI {
      */
     async getProducts() {
         try {
-            const response = await fetch(`${this.baseURL}/api/products`);
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/products`);
             return await this.handleResponse(response);
         } catch (error) {
             console.error('Get products error:', error);
@@ -168,7 +192,7 @@ class DemandSenseAPI {
      */
     async createProduct(product) {
         try {
-            const response = await fetch(`${this.baseURL}/api/products`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/products`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(product)
@@ -187,7 +211,7 @@ class DemandSenseAPI {
      */
     async updateProduct(id, product) {
         try {
-            const response = await fetch(`${this.baseURL}/api/products/${id}`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/products/${id}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(product)
@@ -206,7 +230,7 @@ class DemandSenseAPI {
      */
     async deleteProduct(id) {
         try {
-            const response = await fetch(`${this.baseURL}/api/products/${id}`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/products/${id}`, {
                 method: 'DELETE'
             });
 
@@ -223,7 +247,7 @@ class DemandSenseAPI {
      */
     async generateReport(forecast, inventory, products, scenarios = []) {
         try {
-            const response = await fetch(`${this.baseURL}/api/reports/generate`, {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/reports/generate`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -247,7 +271,7 @@ class DemandSenseAPI {
      */
     async exportData(type, format = 'csv') {
         try {
-            const response = await fetch(`${this.baseURL}/api/reports/export?type=${type}&format=${format}`);
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/reports/export?type=${type}&format=${format}`);
             
             if (format === 'csv' || format === 'json') {
                 const blob = await response.blob();
@@ -282,8 +306,7 @@ class DemandSenseAPI {
             const result = await response.json();
             
             if (result.success && result.token) {
-                localStorage.setItem('authToken', result.token);
-                localStorage.setItem('currentUser', JSON.stringify(result.user));
+                DemandSenseAPI.storeAuth(result);
             }
             
             return result;
@@ -308,8 +331,7 @@ class DemandSenseAPI {
             const result = await response.json();
             
             if (result.success && result.token) {
-                localStorage.setItem('authToken', result.token);
-                localStorage.setItem('currentUser', JSON.stringify(result.user));
+                DemandSenseAPI.storeAuth(result);
             }
             
             return result;
@@ -321,11 +343,10 @@ class DemandSenseAPI {
     }
 
     /**
-     * Logout
+     * Logout (revokes the tokens on the server)
      */
-    logout() {
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('currentUser');
+    async logout() {
+        await DemandSenseAPI.revokeAuth();
         this.sessionId = null;
     }
 
@@ -366,6 +387,137 @@ class DemandSenseAPI {
     clearSession() {
         this.sessionId = null;
     }
+
+    /**
+     * Workspaces of the signed-in user, with their role in each
+     */
+    async getWorkspaces() {
+        try {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/workspaces`);
+            return await response.json();
+        } catch (error) {
+            console.error('Get workspaces error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Work in another workspace: later requests read and write its data
+     */
+    selectWorkspace(workspaceId) {
+        localStorage.setItem('workspaceId', workspaceId);
+        this.sessionId = null;
+    }
+
+    /**
+     * Join a workspace with an invitation token
+     */
+    async acceptInvitation(token) {
+        try {
+            const response = await DemandSenseAPI.authFetch(`${this.baseURL}/api/workspaces/invitations/accept`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+            return await response.json();
+        } catch (error) {
+            console.error('Accept invitation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * fetch() with the signed-in user's access token and selected workspace. When the token
+     * has expired it is renewed once with the refresh token; if that fails the user is sent
+     * to the login page.
+     */
+    static async authFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...(localStorage.getItem('authToken') && {
+                    Authorization: `Bearer ${localStorage.getItem('authToken')}`
+                }),
+                ...(localStorage.getItem('workspaceId') && {
+                    'X-Workspace-Id': localStorage.getItem('workspaceId')
+                })
+            }
+        });
+
+        let response = await send();
+        if (response.status === 401 && await DemandSenseAPI.refreshAuth()) {
+            response = await send();
+        }
+        if (response.status === 401) {
+            DemandSenseAPI.clearAuth();
+            window.location.href = '/login';
+        }
+        return response;
+    }
+
+    /**
+     * Trade the refresh token for new tokens. Concurrent callers share one request,
+     * since each refresh token can only be used once.
+     */
+    static refreshAuth() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return Promise.resolve(false);
+
+        if (!DemandSenseAPI.refreshing) {
+            DemandSenseAPI.refreshing = fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(response => response.json())
+                .then(result => {
+                    if (result.success) DemandSenseAPI.storeAuth(result);
+                    return !!result.success;
+                })
+                .catch(() => false)
+                .finally(() => { DemandSenseAPI.refreshing = null; });
+        }
+        return DemandSenseAPI.refreshing;
+    }
+
+    /**
+     * Keep the tokens and user returned by login, register or refresh
+     */
+    static storeAuth(result) {
+        localStorage.setItem('authToken', result.token);
+        localStorage.setItem('refreshToken', result.refreshToken);
+        localStorage.setItem('currentUser', JSON.stringify(result.user));
+    }
+
+    static clearAuth() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('currentUser');
+        localStorage.removeItem('workspaceId');
+    }
+
+    /**
+     * Revoke the tokens on the server (best effort) and forget them
+     */
+    static async revokeAuth() {
+        const token = localStorage.getItem('authToken');
+        const refreshToken = localStorage.getItem('refreshToken');
+
+        try {
+            await fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token && { Authorization: `Bearer ${token}` })
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (error) {
+            console.warn('Logout request failed:', error);
+        }
+        DemandSenseAPI.clearAuth();
+    }
 }
 
 // Make globally available
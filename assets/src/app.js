@@ -328,7 +328,7 @@ class DemandSenseApp {
             formData.append('file', file);
             formData.append('periods', periodValue);
 
-            const response = await fetch('/api/forecast/generate', { method: 'POST', body: formData });
+            const response = await DemandSenseAPI.authFetch('/api/forecast/generate', { method: 'POST', body: formData });
             const result = await response.json();
 
             if (result.success) {
@@ -364,7 +364,7 @@ class DemandSenseApp {
             
             this.addMessage('bot', `📋 Analyzing your pasted data for ${this.getPeriodDisplay(periodValue)} demand forecast...`);
 
-            const response = await fetch('/api/forecast/text', {
+            const response = await DemandSenseAPI.authFetch('/api/forecast/text', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -624,7 +624,7 @@ Check the **Inventory** tab for stock recommendations based on this forecast.
         this.addMessage('bot', `🔄 Regenerating forecast for ${periodDisplay}...`);
 
         try {
-            const sessionResponse = await fetch(`/api/forecast/session/${this.currentSessionId}`);
+            const sessionResponse = await DemandSenseAPI.authFetch(`/api/forecast/session/${this.currentSessionId}`);
             const sessionResult = await sessionResponse.json();
 
             if (sessionResult.success && this.currentFile) {
@@ -632,7 +632,7 @@ Check the **Inventory** tab for stock recommendations based on this forecast.
                 formData.append('file', this.currentFile);
                 formData.append('periods', periodValue);
                 
-                const response = await fetch('/api/forecast/generate', { method: 'POST', body: formData });
+                const response = await DemandSenseAPI.authFetch('/api/forecast/generate', { method: 'POST', body: formData });
                 const result = await response.json();
                 
                 if (result.success) {
@@ -719,7 +719,7 @@ Check the **Inventory** tab for stock recommendations based on this forecast.
             let salesData = [];
             if (this.currentSessionId) {
                 try {
-                    const sessionResponse = await fetch(`/api/forecast/session/${this.currentSessionId}`);
+                    const sessionResponse = await DemandSenseAPI.authFetch(`/api/forecast/session/${this.currentSessionId}`);
                     const sessionResult = await sessionResponse.json();
                     if (sessionResult.success) {
                         salesData = sessionResult.session.salesData || [];
@@ -729,7 +729,7 @@ Check the **Inventory** tab for stock recommendations based on this forecast.
                 }
             }
 
-            const response = await fetch('/api/inventory/optimize', {
+            const response = await DemandSenseAPI.authFetch('/api/inventory/optimize', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -1088,7 +1088,7 @@ What would you like to explore? Try asking about forecast, inventory, or scenari
         this.showLoading(true);
 
         try {
-            const response = await fetch(`/api/forecast/session/${sessionId}`);
+            const response = await DemandSenseAPI.authFetch(`/api/forecast/session/${sessionId}`);
             const result = await response.json();
 
             if (result.success) {
@@ -1134,7 +1134,7 @@ What would you like to explore? Try asking about forecast, inventory, or scenari
     // ----------------------------
     async loadProducts() {
         try {
-            const response = await fetch('/api/products');
+            const response = await DemandSenseAPI.authFetch('/api/products');
             const result = await response.json();
             if (result.success) this.products = result.products;
         } catch (error) {
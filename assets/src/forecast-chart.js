@@ -44,7 +44,8 @@ class ForecastChartManager {
             const allValues = [
                 ...(forecastData.historical || []),
                 ...(forecastData.forecast || []),
-                ...(forecastData.upperBound || [])
+                ...(forecastData.upperBound || []),
+                ...Object.values(forecastData.quantiles || {}).flat()
             ].filter(v => v !== null && v !== undefined);
             
             const maxValue = Math.max(...allValues, 1);
@@ -85,18 +86,21 @@ class ForecastChartManager {
         };
 
         // Find the split point between historical and forecast
+        const labelCount = forecastData.labels?.length || 0;
         const historicalLength = forecastData.historical?.length || 0;
         
-        // Create arrays with nulls for proper alignment
+        // Create arrays with nulls for proper alignment. Series that already span
+        // every label (as sent by the API) are used as they are.
+        const alignToForecast = (values = []) => values.length >= labelCount
+            ? values
+            : [...Array(historicalLength).fill(null), ...values];
+
         const historicalWithNulls = [
             ...(forecastData.historical || []),
-            ...Array(forecastData.forecast?.length || 0).fill(null)
+            ...Array(Math.max(0, labelCount - historicalLength)).fill(null)
         ];
         
-        const forecastWithNulls = [
-            ...Array(historicalLength).fill(null),
-            ...(forecastData.forecast || [])
-        ];
+        const forecastWithNulls = alignToForecast(forecastData.forecast || []);
 
         // Historical dataset
         datasets.push({
@@ -131,17 +135,32 @@ class ForecastChartManager {
             order: 2
         });
 
-        // Confidence interval (if available)
-        if (forecastData.upperBound && forecastData.lowerBound) {
-            const upperWithNulls = [
-                ...Array(historicalLength).fill(null),
-                ...(forecastData.upperBound || [])
-            ];
-            
-            const lowerWithNulls = [
-                ...Array(historicalLength).fill(null),
-                ...(forecastData.lowerBound || [])
-            ];
+        // Flagged anomalies, marked on top of the historical line
+        if (forecastData.anomalies?.some(v => v !== null)) {
+            datasets.push({
+                label: 'Anomalies',
+                data: alignToForecast(forecastData.anomalies),
+                borderColor: '#ffd60a',
+                backgroundColor: '#ffd60a',
+                showLine: false,
+                pointStyle: 'crossRot',
+                pointRadius: 8,
+                pointHoverRadius: 10,
+                pointBorderWidth: 3,
+                order: 0
+            });
+        }
+
+        // Quantile fan bands (if available) take the place of the single confidence band
+        const quantileKeys = Object.keys(forecastData.quantiles || {})
+            .sort((a, b) => parseFloat(a.slice(1)) - parseFloat(b.slice(1)));
+
+        if (options.fan !== false && quantileKeys.length >= 2) {
+            datasets.push(...this.prepareFanDatasets(forecastData.quantiles, quantileKeys, alignToForecast));
+        } else if (forecastData.upperBound && forecastData.lowerBound) {
+            // Confidence interval
+            const upperWithNulls = alignToForecast(forecastData.upperBound);
+            const lowerWithNulls = alignToForecast(forecastData.lowerBound);
 
             // Upper bound dataset (for area fill)
             datasets.push({
@@ -175,6 +194,66 @@ class ForecastChartManager {
         return datasets;
     }
 
+    /**
+     * Build fan bands from forecast quantiles: the outermost pair (e.g. P10-P90) is the
+     * palest band and each inner pair is drawn darker on top of it
+     */
+    prepareFanDatasets(quantiles, keys, alignToForecast) {
+        const datasets = [];
+        const bandCount = Math.floor(keys.length / 2);
+
+        for (let b = 0; b < bandCount; b++) {
+            const lowerKey = keys[b];
+            const upperKey = keys[keys.length - 1 - b];
+            const opacity = 0.08 + 0.1 * (b + 1) / bandCount;
+            const label = `${lowerKey.toUpperCase()}-${upperKey.toUpperCase()}`;
+
+            // Upper edge fills down to the lower edge pushed right after it
+            datasets.push({
+                label,
+                data: alignToForecast(quantiles[upperKey]),
+                borderColor: 'rgba(255, 0, 110, 0.25)',
+                backgroundColor: `rgba(255, 0, 110, ${opacity.toFixed(2)})`,
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: '+1',
+                tension: 0.4,
+                order: 3 + b
+            });
+
+            datasets.push({
+                label: `${label} Lower`,
+                data: alignToForecast(quantiles[lowerKey]),
+                borderColor: 'rgba(255, 0, 110, 0.25)',
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.4,
+                order: 3 + b
+            });
+        }
+
+        // An odd middle quantile (usually the median) is drawn as a line
+        if (keys.length % 2 === 1) {
+            const medianKey = keys[bandCount];
+            datasets.push({
+                label: medianKey.toUpperCase(),
+                data: alignToForecast(quantiles[medianKey]),
+                borderColor: 'rgba(255, 255, 255, 0.6)',
+                backgroundColor: 'transparent',
+                borderWidth: 1,
+                borderDash: [2, 4],
+                pointRadius: 0,
+                fill: false,
+                tension: 0.4,
+                order: 2
+            });
+        }
+
+        return datasets;
+    }
+
     /**
      * Get chart options
      */
@@ -195,7 +274,7 @@ class ForecastChartManager {
                         color: '#e0e0ff',
                         usePointStyle: true,
                         pointStyle: 'circle',
-                        filter: (item) => !item.text.includes('Confidence Interval Lower')
+                        filter: (item) => !item.text.endsWith('Lower')
                     }
                 },
                 title: {
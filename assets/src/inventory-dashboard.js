@@ -7,6 +7,7 @@ class InventoryDashboard {
         this.products = [];
         this.healthMetrics = [];
         this.forecastData = null;
+        this.locationFilter = 'all';
     }
 
     /**
@@ -20,6 +21,11 @@ class InventoryDashboard {
 
         if (!this.container) return;
 
+        // Stock, orders and risks of the selected location only
+        const locations = data.locations || [];
+        if (!locations.includes(this.locationFilter)) this.locationFilter = 'all';
+        const view = this.filterByLocation(data, this.locationFilter);
+
         // Calculate classification counts
         const aCount = data.classifiedProducts?.filter(p => p.class === 'A').length || 0;
         const bCount = data.classifiedProducts?.filter(p => p.class === 'B').length || 0;
@@ -31,6 +37,15 @@ class InventoryDashboard {
                 <div class="dashboard-header">
                     <h3><i class="fas fa-boxes"></i> Inventory Overview</h3>
                     <div class="header-actions">
+                        ${locations.length > 0 ? `
+                            <select class="panel-select location-filter" title="Location"
+                                onchange="window.inventoryDashboard?.setLocationFilter(this.value)">
+                                <option value="all">All locations</option>
+                                ${locations.map(location => `
+                                    <option value="${location}" ${location === this.locationFilter ? 'selected' : ''}>${location}</option>
+                                `).join('')}
+                            </select>
+                        ` : ''}
                         <button class="refresh-btn" onclick="window.inventoryDashboard?.refresh()">
                             <i class="fas fa-sync-alt"></i>
                         </button>
@@ -43,7 +58,7 @@ class InventoryDashboard {
                             <i class="fas fa-cubes"></i>
                         </div>
                         <div class="stat-content">
-                            <div class="stat-value">${data.summary?.totalProducts || 0}</div>
+                            <div class="stat-value">${view.summary?.totalProducts || 0}</div>
                             <div class="stat-label">Total Products</div>
                         </div>
                     </div>
@@ -53,7 +68,7 @@ class InventoryDashboard {
                             <i class="fas fa-box"></i>
                         </div>
                         <div class="stat-content">
-                            <div class="stat-value">${this.formatNumber(data.summary?.totalStock || 0)}</div>
+                            <div class="stat-value">${this.formatNumber(view.summary?.totalStock || 0)}</div>
                             <div class="stat-label">Total Stock (units)</div>
                         </div>
                     </div>
@@ -63,17 +78,17 @@ class InventoryDashboard {
                             <i class="fas fa-dollar-sign"></i>
                         </div>
                         <div class="stat-content">
-                            <div class="stat-value">$${this.formatNumber(data.summary?.totalValue || 0)}</div>
+                            <div class="stat-value">$${this.formatNumber(view.summary?.totalValue || 0)}</div>
                             <div class="stat-label">Total Value</div>
                         </div>
                     </div>
 
-                    <div class="stat-card ${(data.summary?.urgentOrders || 0) > 0 ? 'warning' : ''}">
+                    <div class="stat-card ${(view.summary?.urgentOrders || 0) > 0 ? 'warning' : ''}">
                         <div class="stat-icon">
                             <i class="fas fa-exclamation-triangle"></i>
                         </div>
                         <div class="stat-content">
-                            <div class="stat-value">${data.summary?.urgentOrders || 0}</div>
+                            <div class="stat-value">${view.summary?.urgentOrders || 0}</div>
                             <div class="stat-label">Urgent Orders</div>
                         </div>
                     </div>
@@ -100,24 +115,38 @@ class InventoryDashboard {
                     </div>
                 </div>
 
+                <div class="dashboard-section">
+                    <h4><i class="fas fa-layer-group"></i> Category Forecasts</h4>
+                    <div class="metrics-table-container">
+                        ${this.renderCategoryTotals(data.categoryTotals)}
+                    </div>
+                </div>
+
                 <div class="dashboard-section">
                     <h4><i class="fas fa-truck"></i> Urgent Reorders</h4>
                     <div class="reorder-list">
-                        ${this.renderUrgentOrders(data.optimalOrders)}
+                        ${this.renderUrgentOrders(view.optimalOrders)}
                     </div>
                 </div>
 
                 <div class="dashboard-section">
                     <h4><i class="fas fa-heartbeat"></i> Health Metrics</h4>
                     <div class="metrics-table-container">
-                        ${this.renderHealthMetrics(data.healthMetrics)}
+                        ${this.renderHealthMetrics(view.healthMetrics)}
+                    </div>
+                </div>
+
+                <div class="dashboard-section">
+                    <h4><i class="fas fa-coins"></i> Cost-Optimal Ordering</h4>
+                    <div class="metrics-table-container">
+                        ${this.renderCostOptimization(view.costOptimization)}
                     </div>
                 </div>
 
                 <div class="dashboard-section">
                     <h4><i class="fas fa-exclamation-circle"></i> Stockout Risks</h4>
                     <div class="risks-container">
-                        ${this.renderStockoutRisks(data.stockoutRisks)}
+                        ${this.renderStockoutRisks(view.stockoutRisks)}
                     </div>
                 </div>
             </div>
@@ -127,6 +156,41 @@ class InventoryDashboard {
         this.attachEventListeners();
     }
 
+    /**
+     * Keep the stock records of one location and recompute the summary cards for them
+     */
+    filterByLocation(data, location) {
+        if (!location || location === 'all') return data;
+
+        const atLocation = items => (items || []).filter(item => item.location === location);
+        const healthMetrics = atLocation(data.healthMetrics);
+        const optimalOrders = atLocation(data.optimalOrders);
+
+        return {
+            ...data,
+            healthMetrics,
+            optimalOrders,
+            stockoutRisks: atLocation(data.stockoutRisks),
+            costOptimization: atLocation(data.costOptimization),
+            summary: {
+                ...data.summary,
+                totalProducts: new Set(healthMetrics.map(m => m.product_id)).size,
+                totalStock: healthMetrics.reduce((sum, m) => sum + (m.current_stock || 0), 0),
+                totalValue: Math.round(healthMetrics.reduce((sum, m) =>
+                    sum + (m.current_stock || 0) * (m.unit_cost || 0), 0) * 100) / 100,
+                urgentOrders: optimalOrders.filter(o => o.urgent).length
+            }
+        };
+    }
+
+    /**
+     * Show one location (or 'all')
+     */
+    setLocationFilter(location) {
+        this.locationFilter = location;
+        if (this.inventoryData) this.renderOverview(this.inventoryData);
+    }
+
     /**
      * Render classification bars
      */
@@ -160,6 +224,38 @@ class InventoryDashboard {
         `;
     }
 
+    /**
+     * Render forecast demand per category (reconciled with the SKU forecasts)
+     */
+    renderCategoryTotals(categoryTotals) {
+        if (!categoryTotals || categoryTotals.length === 0) {
+            return '<p class="no-data">No category data available</p>';
+        }
+
+        return `
+            <table class="metrics-table">
+                <thead>
+                    <tr>
+                        <th>Category</th>
+                        <th>Products</th>
+                        <th>Stock</th>
+                        <th>Forecast Demand</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${categoryTotals.map(c => `
+                        <tr>
+                            <td title="${c.category}">${this.truncateText(c.category, 20)}</td>
+                            <td>${c.products}</td>
+                            <td>${this.formatNumber(c.current_stock)}</td>
+                            <td>${this.formatNumber(Math.round(c.forecast_demand))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     /**
      * Render urgent orders
      */
@@ -177,7 +273,7 @@ class InventoryDashboard {
         return urgent.slice(0, 5).map(order => `
             <div class="reorder-item ${order.critical ? 'critical' : ''}">
                 <div class="reorder-info">
-                    <div class="product-name">${order.product_name || 'Unknown'}</div>
+                    <div class="product-name">${order.product_name || 'Unknown'}${order.location ? ` <span class="location-tag">${order.location}</span>` : ''}</div>
                     <div class="product-details">
                         Current: ${order.current_stock || 0} units | 
                         Daily Demand: ${order.daily_demand?.toFixed(1) || '?'} units
@@ -205,6 +301,7 @@ class InventoryDashboard {
                     <tr>
                         <th>Product</th>
                         <th>Daily Demand</th>
+                        <th>Service Level</th>
                         <th>Safety Stock</th>
                         <th>Reorder Point</th>
                         <th>Stockout Risk</th>
@@ -215,8 +312,14 @@ class InventoryDashboard {
                 <tbody>
                     ${metrics.slice(0, 10).map(m => `
                         <tr>
-                            <td title="${m.product_name}">${this.truncateText(m.product_name, 20)}</td>
+                            <td title="${m.product_name}${m.location ? ` (${m.location})` : ''}">
+                                ${this.truncateText(m.product_name, 20)}
+                                ${m.location ? `<span class="location-tag">${this.truncateText(m.location, 14)}</span>` : ''}
+                            </td>
                             <td>${m.daily_demand?.toFixed(1) || '-'}</td>
+                            <td title="${m.service_type === 'fill-rate' ? 'Fill rate' : 'Cycle service level'} (${m.service_level_source || 'default'})">
+                                ${m.service_level ? `${Math.round(m.service_level * 1000) / 10}%` : '-'}
+                            </td>
                             <td>${m.safety_stock || '-'}</td>
                             <td>${m.reorder_point || '-'}</td>
                             <td>
@@ -233,6 +336,49 @@ class InventoryDashboard {
         `;
     }
 
+    /**
+     * Render the cost-minimizing order quantity and reorder point per product, with the
+     * annual ordering, holding and stockout cost behind them
+     */
+    renderCostOptimization(rows) {
+        const optimized = (rows || []).filter(r => r.annual_costs);
+        if (optimized.length === 0) {
+            return '<p class="no-data">No cost data available</p>';
+        }
+
+        return `
+            <table class="metrics-table">
+                <thead>
+                    <tr>
+                        <th>Product</th>
+                        <th>Order Qty</th>
+                        <th>Reorder Point</th>
+                        <th>Ordering</th>
+                        <th>Holding</th>
+                        <th>Stockout</th>
+                        <th>Total / Year</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${optimized.slice(0, 10).map(c => `
+                        <tr>
+                            <td title="${c.product_name}${c.location ? ` (${c.location})` : ''}">
+                                ${this.truncateText(c.product_name, 20)}
+                                ${c.location ? `<span class="location-tag">${this.truncateText(c.location, 14)}</span>` : ''}
+                            </td>
+                            <td title="EOQ ${c.eoq}">${this.formatNumber(c.order_quantity)}</td>
+                            <td title="${Math.round(c.cycle_service_level * 1000) / 10}% cycle service">${this.formatNumber(c.reorder_point)}</td>
+                            <td>$${this.formatNumber(Math.round(c.annual_costs.ordering))}</td>
+                            <td>$${this.formatNumber(Math.round(c.annual_costs.holding))}</td>
+                            <td>$${this.formatNumber(Math.round(c.annual_costs.stockout))}</td>
+                            <td>$${this.formatNumber(Math.round(c.annual_costs.total))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     /**
      * Render stockout risks
      */
@@ -254,7 +400,7 @@ class InventoryDashboard {
             html += '<h5 class="risk-title">🔴 High Risk Items</h5>';
             html += highRisk.slice(0, 5).map(r => `
                 <div class="risk-item high">
-                    <div class="risk-item-name">${r.product_name}</div>
+                    <div class="risk-item-name">${r.product_name}${r.location ? ` <span class="location-tag">${r.location}</span>` : ''}</div>
                     <div class="risk-item-details">
                         Stock: ${r.current_stock} | Demand: ${r.daily_demand?.toFixed(1)}/day
                         <span class="risk-percent">${Math.round(r.stockout_probability * 100)}% risk</span>
@@ -267,7 +413,7 @@ class InventoryDashboard {
             html += '<h5 class="risk-title">🟡 Medium Risk Items</h5>';
             html += mediumRisk.slice(0, 5).map(r => `
                 <div class="risk-item medium">
-                    <div class="risk-item-name">${r.product_name}</div>
+                    <div class="risk-item-name">${r.product_name}${r.location ? ` <span class="location-tag">${r.location}</span>` : ''}</div>
                     <div class="risk-item-details">
                         Stock: ${r.current_stock} | Demand: ${r.daily_demand?.toFixed(1)}/day
                         <span class="risk-percent">${Math.round(r.stockout_probability * 100)}% risk</span>
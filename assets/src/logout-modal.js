@@ -77,9 +77,8 @@ class LogoutManager {
             if (this.cancelBtn) this.cancelBtn.disabled = true;
             
             try {
-                // Clear user session data
-                localStorage.removeItem('currentUser');
-                localStorage.removeItem('authToken');
+                // Revoke the tokens on the server and clear user session data
+                await DemandSenseAPI.revokeAuth();
                 localStorage.removeItem('userToken');
                 sessionStorage.clear();
                 
@@ -307,7 +307,7 @@ class WhatIfPanel {
 
         // Call API
         try {
-            const response = await fetch('/api/scenarios/analyze', {
+            const response = await DemandSenseAPI.authFetch('/api/scenarios/analyze', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
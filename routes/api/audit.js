@@ -0,0 +1,35 @@
+// routes/api/audit.js - Audit log queries and export (workspace admins only)
+const express = require('express');
+const router = express.Router();
+
+const auditLog = require('../../server/audit-log');
+
+/**
+ * GET /api/audit
+ * Audit entries of the workspace, newest first. Filters: actor, action (e.g. "product.update",
+ * or "product" for all product actions), targetType, targetId, field (changed field), from, to.
+ * JSON results are paged with limit (default 100) and offset; format=csv downloads every match.
+ */
+router.get('/', (req, res) => {
+  try {
+    if (req.query.format === 'csv') {
+      const entries = auditLog.filter(req.workspace.id, req.query);
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=audit-${new Date().toISOString().slice(0, 10)}.csv`);
+      return res.send(auditLog.toCSV(entries));
+    }
+
+    const { entries, total } = auditLog.query(req.workspace.id, req.query);
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      total
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
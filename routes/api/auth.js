@@ -1,103 +1,179 @@
-// routes/api/auth.js - Authentication endpoints (simplified version)
+// routes/api/auth.js - Authentication endpoints
 const express = require('express');
 const router = express.Router();
 
-// In-memory user store (replace with database in production)
-const users = new Map();
+const storage = require('../../server/storage');
+const authService = require('../../server/auth-service');
+const workspaceService = require('../../server/workspace-service');
+
+// Registered users, keyed by email
+const users = storage.collection('users');
+
+/**
+ * Public fields of a user, with the workspaces they belong to and their role in each
+ */
+function toPublicUser(user) {
+  return {
+    email: user.email,
+    name: user.name,
+    workspaces: workspaceService.listFor(user.email)
+  };
+}
+
+/**
+ * Bearer token of a request, if any
+ */
+function getBearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
 
 /**
  * POST /api/auth/login
- * User login
+ * User login: returns an access token and a refresh token
  */
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   const { email, password } = req.body;
 
-  if (!email || !password) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Email and password required' 
+  const invalid = authService.credentialsError(req.body, ['email', 'password']);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
     });
   }
 
-  // Simple validation (replace with real auth)
-  const user = users.get(email);
-  
-  if (!user || user.password !== password) {
-    return res.status(401).json({ 
-      success: false, 
-      error: 'Invalid credentials' 
+  try {
+    const user = await authService.authenticate(email, password);
+
+    res.json({
+      success: true,
+      ...authService.issueTokens(user),
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Login failed'
     });
   }
-
-  // Generate simple token (use JWT in production)
-  const token = Buffer.from(`${email}:${Date.now()}`).toString('base64');
-
-  res.json({
-    success: true,
-    token,
-    user: {
-      email: user.email,
-      name: user.name,
-      role: user.role || 'user'
-    }
-  });
 });
 
 /**
  * POST /api/auth/register
- * User registration
+ * User registration. With an `invitation` token the user joins the inviting workspace;
+ * otherwise a new workspace (`workspaceName`, default "<name>'s workspace") is created
+ * with the user as its admin.
  */
-router.post('/register', (req, res) => {
-  const { email, password, name } = req.body;
-
-  if (!email || !password || !name) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Email, password, and name required' 
+router.post('/register', async (req, res) => {
+  const { email, password, name, invitation, workspaceName } = req.body;
+
+  const invalid = authService.credentialsError(req.body, ['email', 'password', 'name']);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
     });
   }
 
-  if (users.has(email)) {
-    return res.status(409).json({ 
-      success: false, 
-      error: 'User already exists' 
+  if (password.length < 6) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password must be at least 6 characters'
     });
   }
 
-  // Create user (hash password in production)
-  const user = {
-    email,
-    password, // NEVER store plain text passwords!
-    name,
-    role: 'user',
-    createdAt: new Date().toISOString()
-  };
+  const key = authService.normalizeEmail(email);
+  if (!authService.isValidEmail(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid email address'
+    });
+  }
 
-  users.set(email, user);
+  if (users.has(key)) {
+    return res.status(409).json({
+      success: false,
+      error: 'User already exists'
+    });
+  }
 
-  // Generate token
-  const token = Buffer.from(`${email}:${Date.now()}`).toString('base64');
+  try {
+    const user = {
+      email: key,
+      passwordHash: await authService.hashPassword(password),
+      name,
+      createdAt: new Date().toISOString()
+    };
+
+    // Another registration for the same email may have finished while the password hashed
+    if (users.has(key)) {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists'
+      });
+    }
 
-  res.status(201).json({
-    success: true,
-    token,
-    user: {
-      email: user.email,
-      name: user.name,
-      role: user.role
+    users.set(key, user);
+    try {
+      if (invitation) {
+        workspaceService.acceptInvitation(invitation, key);
+      } else {
+        workspaceService.create(workspaceName || `${name}'s workspace`, key);
+      }
+    } catch (error) {
+      users.delete(key);
+      throw error;
     }
-  });
+
+    res.status(201).json({
+      success: true,
+      ...authService.issueTokens(user),
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    if (!error.status) console.error('❌ Registration error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Registration failed'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token ({ refreshToken }) for a new access and refresh token
+ */
+router.post('/refresh', (req, res) => {
+  try {
+    const { user, ...tokens } = authService.refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
 /**
  * POST /api/auth/logout
- * User logout
+ * Revoke the bearer access token and the refresh token ({ refreshToken }) on the server
  */
 router.post('/logout', (req, res) => {
-  // In a real app, invalidate the token
-  res.json({ 
-    success: true, 
-    message: 'Logged out successfully' 
+  authService.revoke({
+    token: getBearerToken(req),
+    refreshToken: req.body?.refreshToken
+  });
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
   });
 });
 
@@ -106,42 +182,34 @@ router.post('/logout', (req, res) => {
  * Verify token
  */
 router.get('/verify', (req, res) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
-    return res.status(401).json({ 
-      success: false, 
-      error: 'No token provided' 
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'No token provided'
     });
   }
 
-  const token = authHeader.split(' ')[1];
-  
   try {
-    // Simple decode (use JWT verify in production)
-    const decoded = Buffer.from(token, 'base64').toString('utf-8');
-    const [email] = decoded.split(':');
-    
-    const user = users.get(email);
-    
+    const payload = authService.verifyAccessToken(token);
+    const user = users.get(payload.sub);
+
     if (!user) {
-      throw new Error('User not found');
+      throw authService.unauthorized('User not found');
     }
 
     res.json({
       success: true,
-      user: {
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
+      user: toPublicUser(user),
+      expiresAt: new Date(payload.exp * 1000).toISOString()
     });
   } catch (error) {
-    res.status(401).json({ 
-      success: false, 
-      error: 'Invalid token' 
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -9,9 +9,16 @@ const { v4: uuidv4 } = require('uuid');
 
 const forecastLogic = require('../../server/forecast-logic');
 const seasonalityUtils = require('../../server/seasonality-utils');
+const storage = require('../../server/storage');
+const authService = require('../../server/auth-service');
+const auditLog = require('../../server/audit-log');
 
-// In-memory forecast cache
-const forecastSessions = new Map();
+/**
+ * Stored forecast sessions of the request's workspace (kept until deleted or the cache is cleared)
+ */
+function getForecastSessions(req) {
+  return storage.workspaceCollection('forecastSessions', req.workspace.id);
+}
 
 /**
  * Parse uploaded file to JSON with better handling for different formats
@@ -65,11 +72,63 @@ async function parseFile(filePath, fileExt) {
   });
 }
 
+/**
+ * Parse a JSON form field (multipart bodies carry arrays as strings)
+ */
+function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Whether a column holds the store / warehouse a sale was made from
+ */
+function isLocationField(key) {
+  return /location|warehouse|store/i.test(key);
+}
+
+/**
+ * Give a product created from sales rows one stock pool per location it sold at. The
+ * product's stock is split by each location's share of its sales (largest remainders get
+ * the leftover units), so each location holds stock in line with what it sells.
+ */
+function withLocations(product, salesData) {
+  const sales = new Map();
+  salesData
+    .filter(row => row.location && (!row.product || row.product.toString().trim() === product.name))
+    .forEach(row => sales.set(row.location, (sales.get(row.location) || 0) + Math.max(0, Number(row.sales) || 0)));
+  if (sales.size === 0) return product;
+
+  const total = [...sales.values()].reduce((sum, value) => sum + value, 0);
+  const shares = [...sales.entries()].map(([location, value]) => {
+    const exact = (product.current_stock || 0) * (total > 0 ? value / total : 1 / sales.size);
+    return { location, current_stock: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = (product.current_stock || 0) - shares.reduce((sum, s) => sum + s.current_stock, 0);
+  [...shares].sort((a, b) => b.remainder - a.remainder).forEach(share => {
+    if (leftover > 0) {
+      share.current_stock += 1;
+      leftover -= 1;
+    }
+  });
+
+  return {
+    ...product,
+    locations: shares.map(({ location, current_stock }) => ({ location, current_stock }))
+  };
+}
+
 /**
  * POST /api/forecast/generate
  * Generate demand forecast from uploaded file
  */
 router.post('/generate', (req, res) => {
+  const forecastSessions = getForecastSessions(req);
   const upload = req.app.locals.upload;
   
   upload.single('file')(req, res, async (err) => {
@@ -110,14 +169,20 @@ router.post('/generate', (req, res) => {
         }
 
         // Try to find product field
-        const productField = Object.keys(row).find(key => 
+        const productField = Object.keys(row).find(key => !isLocationField(key) && (
           key.includes('product') || key.includes('Product') || 
           key.includes('item') || key.includes('sku') || key.includes('name')
-        );
+        ));
         if (productField) {
           normalized.product = row[productField];
         }
 
+        // Try to find location / warehouse field
+        const locationField = Object.keys(row).find(isLocationField);
+        if (locationField && row[locationField] !== undefined && row[locationField].toString().trim()) {
+          normalized.location = row[locationField].toString().trim();
+        }
+
         // Try to find sales/quantity field
         const salesField = Object.keys(row).find(key => 
           key.includes('sales') || key.includes('Sales') || 
@@ -125,14 +190,14 @@ router.post('/generate', (req, res) => {
           key.includes('units') || key.includes('amount')
         );
         if (salesField) {
-          normalized.sales = parseFloat(row[salesField]) || 0;
+          normalized.sales = parseFloat(row[salesField]);
         } else {
           // If no sales field, try to find any numeric field
           const numericField = Object.keys(row).find(key => 
             !isNaN(parseFloat(row[key])) && !key.includes('date') && !key.includes('id')
           );
           if (numericField) {
-            normalized.sales = parseFloat(row[numericField]) || 0;
+            normalized.sales = parseFloat(row[numericField]);
           }
         }
 
@@ -146,7 +211,7 @@ router.post('/generate', (req, res) => {
         }
 
         return normalized;
-      }).filter(row => row.sales > 0); // Only keep rows with sales data
+      }).filter(row => Number.isFinite(row.sales) && row.sales >= 0); // Keep zero-demand rows, drop blanks
 
       console.log(`📈 Normalized ${salesData.length} rows with sales data`);
 
@@ -168,7 +233,7 @@ router.post('/generate', (req, res) => {
         reorder_point: 30,
         safety_stock: 15,
         max_stock: 500
-      }));
+      })).map(product => withLocations(product, salesData));
 
       console.log(`📦 Created ${products.length} products from sales data`);
 
@@ -193,7 +258,21 @@ router.post('/generate', (req, res) => {
         confidenceLevel: parseFloat(req.body.confidence) || 0.95,
         includeExternalFactors: req.body.external !== 'false',
         seasonalityDetection: req.body.seasonality !== 'false',
-        cacheKey: sessionId
+        model: req.body.model || undefined,
+        seasonal: req.body.seasonal || undefined,
+        intervalMethod: req.body.intervalMethod || undefined,
+        seed: req.body.seed !== undefined && req.body.seed !== '' ? req.body.seed : undefined,
+        intermittentModel: req.body.intermittentModel || undefined,
+        frequency: req.body.frequency || undefined,
+        fillPolicy: req.body.fillPolicy || undefined,
+        anomalyMethod: req.body.anomalyMethod || undefined,
+        anomalyTreatment: req.body.anomalyTreatment || undefined,
+        events: parseJsonField(req.body.events) || undefined,
+        countries: parseJsonField(req.body.countries) || undefined,
+        reconciliation: req.body.reconciliation || undefined,
+        intervalLevels: req.body.intervals || undefined,
+        quantiles: req.body.quantiles || undefined,
+        cacheKey: `${req.workspace.id}:${sessionId}`
       };
 
       console.log(`🔮 Generating forecast for ${forecastPeriods} days...`);
@@ -216,6 +295,18 @@ router.post('/generate', (req, res) => {
         seasonality,
         timestamp: Date.now()
       });
+      auditLog.record(req, {
+        action: 'forecast.generate',
+        targetType: 'forecastSession',
+        targetId: sessionId,
+        details: {
+          source: 'file',
+          fileName: req.file.originalname,
+          dataPoints: salesData.length,
+          productsCount: products.length,
+          forecastPeriods
+        }
+      });
 
       // Clean up uploaded file
       fs.unlinkSync(filePath);
@@ -242,7 +333,7 @@ router.post('/generate', (req, res) => {
         fs.unlinkSync(filePath);
       }
 
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
         error: error.message || 'Failed to generate forecast'
       });
@@ -255,7 +346,8 @@ router.post('/generate', (req, res) => {
  * Generate forecast from pasted text data - FIXED VERSION
  */
 router.post('/text', async (req, res) => {
-  const { text, products, periods = 30, confidence = 0.95, sessionId } = req.body;
+  const forecastSessions = getForecastSessions(req);
+  const { text, products, periods = 30, confidence = 0.95, intervals, quantiles, model, seasonal, intervalMethod, seed, intermittentModel, frequency, fillPolicy, anomalyMethod, anomalyTreatment, events, countries, external, reconciliation, sessionId } = req.body;
 
   if (!text || !text.trim()) {
     return res.status(400).json({ success: false, error: 'No data provided' });
@@ -326,13 +418,12 @@ router.post('/text', async (req, res) => {
               }
               if (header.includes('sales') || header.includes('demand') || header.includes('quantity')) {
                 value = parseFloat(value);
-                if (isNaN(value)) value = 0;
               }
               row[header] = value;
             });
             
-            // Only add if date and sales exist
-            if (row.date && row.sales && row.sales > 0) {
+            // Only add if date and sales exist (zero sales are valid observations)
+            if (row.date && Number.isFinite(row.sales) && row.sales >= 0) {
               salesData.push(row);
             }
           }
@@ -404,7 +495,7 @@ router.post('/text', async (req, res) => {
         );
         if (salesField) {
           normalized.sales = parseFloat(row[salesField]);
-          if (isNaN(normalized.sales) || normalized.sales <= 0) {
+          if (isNaN(normalized.sales) || normalized.sales < 0) {
             salesErrors.push(row[salesField]);
             continue;
           }
@@ -423,6 +514,12 @@ router.post('/text', async (req, res) => {
           normalized.product = row[productField];
         }
 
+        // Optional: location / warehouse field
+        const locationField = Object.keys(row).find(isLocationField);
+        if (locationField && row[locationField] !== undefined && row[locationField].toString().trim()) {
+          normalized.location = row[locationField].toString().trim();
+        }
+
         normalizedData.push(normalized);
       } catch (rowError) {
         console.warn('Error processing row:', rowError);
@@ -480,7 +577,7 @@ router.post('/text', async (req, res) => {
           reorder_point: 30,
           safety_stock: 15,
           max_stock: 500
-        }];
+        }].map(product => withLocations(product, normalizedData));
       } else {
         productData = uniqueProducts.map((product, index) => ({
           id: `P${String(index + 1).padStart(3, '0')}`,
@@ -493,7 +590,7 @@ router.post('/text', async (req, res) => {
           reorder_point: 30,
           safety_stock: 15,
           max_stock: 500
-        }));
+        })).map(product => withLocations(product, normalizedData));
       }
       console.log(`📦 Created ${productData.length} products from pasted data`);
     }
@@ -519,7 +616,22 @@ router.post('/text', async (req, res) => {
     const forecast = await forecastLogic.generateForecast(normalizedData, productData, {
       forecastPeriods: forecastPeriods,
       confidenceLevel: parseFloat(confidence) || 0.95,
-      cacheKey: newSessionId
+      model,
+      seasonal,
+      intervalMethod,
+      seed,
+      intermittentModel,
+      frequency,
+      fillPolicy,
+      anomalyMethod,
+      anomalyTreatment,
+      events,
+      countries,
+      reconciliation,
+      includeExternalFactors: external !== false && external !== 'false',
+      intervalLevels: intervals,
+      quantiles,
+      cacheKey: `${req.workspace.id}:${newSessionId}`
     });
 
     // Detect seasonality
@@ -533,16 +645,17 @@ router.post('/text', async (req, res) => {
       seasonality,
       timestamp: Date.now()
     });
-
-    // Clean up old sessions (keep last 50)
-    if (forecastSessions.size > 50) {
-      const oldest = Array.from(forecastSessions.keys())
-        .map(key => ({ key, timestamp: forecastSessions.get(key).timestamp }))
-        .sort((a, b) => a.timestamp - b.timestamp)[0];
-      if (oldest) {
-        forecastSessions.delete(oldest.key);
+    auditLog.record(req, {
+      action: 'forecast.generate',
+      targetType: 'forecastSession',
+      targetId: newSessionId,
+      details: {
+        source: 'pasted_text',
+        dataPoints: normalizedData.length,
+        productsCount: productData.length,
+        forecastPeriods
       }
-    }
+    });
 
     res.json({
       success: true,
@@ -570,18 +683,74 @@ router.post('/text', async (req, res) => {
       errorMessage = 'Sales data error: Please ensure sales values are numbers';
     }
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: errorMessage
     });
   }
 });
 
+/**
+ * POST /api/forecast/backtest
+ * Rolling-origin backtest over uploaded history (by sessionId or raw salesData)
+ */
+router.post('/backtest', (req, res) => {
+  const forecastSessions = getForecastSessions(req);
+  const { sessionId, salesData, horizon, folds, step, model, seasonal, intermittentModel, frequency, fillPolicy, anomalyMethod, anomalyTreatment, productId } = req.body;
+
+  let history = salesData;
+  if (!history && sessionId) {
+    const session = forecastSessions.get(sessionId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    history = session.salesData;
+  }
+
+  if (!Array.isArray(history) || history.length === 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: 'Sales data or the sessionId of an uploaded forecast is required' 
+    });
+  }
+
+  try {
+    const forecastHorizon = parseInt(horizon) || 7;
+    const result = forecastLogic.backtest(history, {
+      horizon: forecastHorizon,
+      folds: parseInt(folds) || 5,
+      step: parseInt(step) || forecastHorizon,
+      model,
+      seasonal,
+      intermittentModel,
+      frequency,
+      fillPolicy,
+      anomalyMethod,
+      anomalyTreatment,
+      productId: productId || null
+    });
+
+    res.json({
+      success: true,
+      sessionId: sessionId || null,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('❌ Backtest error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to run backtest'
+    });
+  }
+});
+
 /**
  * GET /api/forecast/session/:sessionId
  * Get forecast session data
  */
 router.get('/session/:sessionId', (req, res) => {
+  const forecastSessions = getForecastSessions(req);
   const { sessionId } = req.params;
   
   const session = forecastSessions.get(sessionId);
@@ -602,7 +771,8 @@ router.get('/session/:sessionId', (req, res) => {
  * DELETE /api/forecast/session/:sessionId
  * Clear forecast session
  */
-router.delete('/session/:sessionId', (req, res) => {
+router.delete('/session/:sessionId', authService.requirePermission('sessions:delete'), (req, res) => {
+  const forecastSessions = getForecastSessions(req);
   const { sessionId } = req.params;
   
   if (forecastSessions.delete(sessionId)) {
@@ -617,20 +787,22 @@ router.delete('/session/:sessionId', (req, res) => {
  * Get forecast system health
  */
 router.get('/health', (req, res) => {
+  const forecastSessions = getForecastSessions(req);
   res.json({
     success: true,
     activeSessions: forecastSessions.size,
-    cacheSize: forecastLogic.cache?.size || 0,
+    cacheSize: forecastLogic.cacheSize(req.workspace.id),
     uptime: process.uptime()
   });
 });
 
 /**
  * POST /api/forecast/clear-cache
- * Clear forecast cache (admin only - add auth in production)
+ * Clear the workspace's cached forecasts and forecast sessions (admins only)
  */
-router.post('/clear-cache', (req, res) => {
-  forecastLogic.clearCache();
+router.post('/clear-cache', authService.requirePermission('cache:clear'), (req, res) => {
+  const forecastSessions = getForecastSessions(req);
+  forecastLogic.clearCache(req.workspace.id);
   forecastSessions.clear();
   res.json({ success: true, message: 'Cache cleared' });
 });
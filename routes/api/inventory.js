@@ -3,34 +3,56 @@ const express = require('express');
 const router = express.Router();
 
 const inventoryCalculator = require('../../server/inventory-calculator');
+const replenishmentSimulator = require('../../server/replenishment-simulator');
+const storage = require('../../server/storage');
+const authService = require('../../server/auth-service');
 
-// In-memory inventory sessions
-const inventorySessions = new Map();
+/**
+ * Stored inventory sessions of the request's workspace, and its settings (the
+ * service-level policy set through /api/products)
+ */
+function getInventorySessions(req) {
+  return storage.workspaceCollection('inventorySessions', req.workspace.id);
+}
+
+function getSettings(req) {
+  return storage.workspaceCollection('settings', req.workspace.id);
+}
+
+/**
+ * Workspace product catalog plus a product sent with the request, to give that product
+ * its ABC class among the others
+ */
+function getCatalogWith(req, product) {
+  return product ? [...storage.workspaceCollection('products', req.workspace.id).values(), product] : null;
+}
 
 /**
  * POST /api/inventory/optimize
  * Calculate inventory optimization metrics using actual forecast data
  */
 router.post('/optimize', async (req, res) => {
-  const { products, salesData, forecast, sessionId } = req.body;
+  const inventorySessions = getInventorySessions(req);
+  const settings = getSettings(req);
+  const { products, salesData, forecast, sessionId, serviceLevels, policy = 'service-level' } = req.body;
 
   if (!products || !Array.isArray(products)) {
     return res.status(400).json({ success: false, error: 'Products data required' });
   }
 
+  if (!inventoryCalculator.orderPolicies.includes(policy)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown policy "${policy}". Available: ${inventoryCalculator.orderPolicies.join(', ')}`
+    });
+  }
+
   const newSessionId = sessionId || `inv_${Date.now()}`;
 
   try {
     console.log('📊 Calculating inventory metrics with forecast data...');
     console.log(`Products: ${products.length}, Sales records: ${salesData?.length || 0}`);
     
-    // Calculate health metrics using actual sales data and forecast
-    const healthMetrics = inventoryCalculator.calculateHealthMetrics(
-      products,
-      salesData || [],
-      forecast || {}
-    );
-
     // Calculate ABC classification based on actual sales data
     // Calculate annual value from sales data if available
     let productsWithValue = products;
@@ -90,16 +112,52 @@ router.post('/optimize', async (req, res) => {
 
     const classifiedProducts = inventoryCalculator.classifyABC(productsWithValue);
 
-    // Calculate optimal orders for each product using forecast data
-    const optimalOrders = products.map(product => {
-      // Try to match forecast by product name or ID
-      const productForecast = forecast?.forecast?.filter(f => {
-        const forecastProduct = f.product_id || f.product || f.Product || f.product_name;
-        return forecastProduct === product.id || 
-               forecastProduct === product.name ||
-               (product.name && forecastProduct && 
-                product.name.toLowerCase() === forecastProduct.toLowerCase());
-      }) || [];
+    // Service levels come from the request, or the policy stored with the product catalog
+    const serviceLevelPolicy = inventoryCalculator.normalizeServiceLevels(
+      serviceLevels || settings.get('serviceLevels') || {}
+    );
+
+    // Calculate health metrics using actual sales data, forecast and service levels
+    const healthMetrics = inventoryCalculator.calculateHealthMetrics(
+      products,
+      salesData || [],
+      forecast || {},
+      {
+        serviceLevels: serviceLevelPolicy,
+        abcClasses: Object.fromEntries(classifiedProducts.map(p => [p.id, p.class]))
+      }
+    );
+
+    // Products stocked at several locations are planned per location
+    const stockRecords = inventoryCalculator.getStockLocations(products);
+    const findMetric = product => healthMetrics.find(m =>
+      m.product_id === product.id && m.location === product.location
+    );
+
+    // Order quantity and reorder point minimizing ordering, holding and stockout cost. With
+    // `policy: "cost-optimal"` they replace the service-level reorder point and safety stock
+    // wherever they can be computed; every metric and order says which policy it follows.
+    const costOptimization = inventoryCalculator.calculateCostOptimization(products, salesData || []);
+    const findCostPolicy = product => {
+      const costPolicy = costOptimization.find(c =>
+        c.product_id === product.id && c.location === product.location
+      );
+      return policy === 'cost-optimal' && costPolicy?.order_quantity != null ? costPolicy : null;
+    };
+
+    healthMetrics.forEach(metric => {
+      const costPolicy = findCostPolicy({ id: metric.product_id, location: metric.location });
+      if (costPolicy) {
+        metric.safety_stock = costPolicy.safety_stock;
+        metric.reorder_point = costPolicy.reorder_point;
+      }
+      metric.policy = costPolicy ? 'cost-optimal' : 'service-level';
+    });
+
+    // Calculate optimal orders for each product and location using forecast data
+    const optimalOrders = stockRecords.map(product => {
+      // Match the per-product forecast series by product ID or name
+      const productForecast = inventoryCalculator.getProductForecast(forecast, product);
 
       // If no specific forecast for this product, use overall forecast distributed
       const forecastToUse = productForecast.length > 0 ? productForecast : 
@@ -108,34 +166,43 @@ router.post('/optimize', async (req, res) => {
           predicted: (f.predicted || 0) / Math.max(1, products.length)
         }));
 
-      // Find health metric for this product
-      const metric = healthMetrics.find(m => m.product_id === product.id);
+      // Find health metric and cost-optimal policy for this product and location
+      const metric = findMetric(product);
+      const costPolicy = findCostPolicy(product);
 
       return {
         product_id: product.id,
         product_name: product.name,
+        location: product.location,
+        policy: costPolicy ? 'cost-optimal' : 'service-level',
         current_stock: product.current_stock || 0,
         daily_demand: metric?.daily_demand || 10,
         reorder_point: metric?.reorder_point || 50,
         safety_stock: metric?.safety_stock || 20,
         max_stock: product.max_stock || 500,
-        ...inventoryCalculator.calculateOptimalOrder(
-          forecastToUse,
-          product.current_stock || 0,
-          metric?.reorder_point || 50,
-          product.max_stock || 500
-        )
+        ...(costPolicy
+          ? {
+            order_quantity: costPolicy.order_quantity,
+            ...inventoryCalculator.calculatePolicyOrder(costPolicy, product.current_stock || 0, product.max_stock || 500)
+          }
+          : inventoryCalculator.calculateOptimalOrder(
+            forecastToUse,
+            product.current_stock || 0,
+            metric?.reorder_point || 50,
+            product.max_stock || 500
+          ))
       };
     });
 
     // Calculate stockout risks
-    const stockoutRisks = products.map(product => {
-      const metric = healthMetrics.find(m => m.product_id === product.id);
+    const stockoutRisks = stockRecords.map(product => {
+      const metric = findMetric(product);
       const stockoutProb = metric?.stockout_probability || 0;
       
       return {
         product_id: product.id,
         product_name: product.name,
+        location: product.location,
         current_stock: product.current_stock || 0,
         daily_demand: metric?.daily_demand || 10,
         stockout_probability: stockoutProb,
@@ -146,8 +213,8 @@ router.post('/optimize', async (req, res) => {
     });
 
     // Calculate overall metrics
-    const totalStock = products.reduce((sum, p) => sum + (p.current_stock || 0), 0);
-    const totalValue = products.reduce((sum, p) => 
+    const totalStock = stockRecords.reduce((sum, p) => sum + (p.current_stock || 0), 0);
+    const totalValue = stockRecords.reduce((sum, p) => 
       sum + ((p.current_stock || 0) * (p.unit_cost || 0)), 0
     );
 
@@ -158,6 +225,11 @@ router.post('/optimize', async (req, res) => {
       classifiedProducts,
       optimalOrders,
       stockoutRisks,
+      costOptimization,
+      categoryTotals: inventoryCalculator.calculateCategoryTotals(products, forecast || {}),
+      locations: [...new Set(stockRecords.map(r => r.location).filter(Boolean))],
+      serviceLevels: serviceLevelPolicy,
+      policy,
       summary: {
         totalProducts: products.length,
         totalStock,
@@ -169,7 +241,9 @@ router.post('/optimize', async (req, res) => {
         criticalOrders: optimalOrders.filter(o => o.critical).length,
         highRiskItems: stockoutRisks.filter(r => r.risk_level === 'high').length,
         mediumRiskItems: stockoutRisks.filter(r => r.risk_level === 'medium').length,
-        lowRiskItems: stockoutRisks.filter(r => r.risk_level === 'low').length
+        lowRiskItems: stockoutRisks.filter(r => r.risk_level === 'low').length,
+        annualInventoryCost: Math.round(costOptimization.reduce((sum, c) =>
+          sum + (c.annual_costs?.total || 0), 0) * 100) / 100
       }
     };
 
@@ -191,7 +265,7 @@ router.post('/optimize', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Inventory optimization error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to optimize inventory'
     });
@@ -203,7 +277,8 @@ router.post('/optimize', async (req, res) => {
  * Calculate reorder recommendations
  */
 router.post('/reorder', (req, res) => {
-  const { products, forecast, salesData } = req.body;
+  const settings = getSettings(req);
+  const { products, forecast, salesData, serviceLevels } = req.body;
 
   if (!products || !Array.isArray(products)) {
     return res.status(400).json({ success: false, error: 'Products data required' });
@@ -213,7 +288,8 @@ router.post('/reorder', (req, res) => {
     const recommendations = inventoryCalculator.calculateReorderRecommendations(
       products,
       salesData || [],
-      forecast || {}
+      forecast || {},
+      { serviceLevels: serviceLevels || settings.get('serviceLevels') }
     );
 
     res.json({
@@ -229,7 +305,7 @@ router.post('/reorder', (req, res) => {
 
   } catch (error) {
     console.error('❌ Reorder calculation error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message || 'Failed to calculate reorder recommendations'
     });
@@ -237,17 +313,90 @@ router.post('/reorder', (req, res) => {
 });
 
 /**
- * GET /api/inventory/health/:productId
- * Get health metrics for a specific product
+ * POST /api/inventory/multi-echelon
+ * Stock targets for a distribution center and the stores it feeds
+ */
+router.post('/multi-echelon', (req, res) => {
+  const settings = getSettings(req);
+  const { dc, stores, product, salesData, serviceLevels } = req.body;
+
+  try {
+    const result = inventoryCalculator.calculateMultiEchelon(
+      { dc, stores, product },
+      salesData || [],
+      {
+        serviceLevels: serviceLevels || settings.get('serviceLevels'),
+        products: getCatalogWith(req, product)
+      }
+    );
+
+    console.log(`🏭 Multi-echelon targets for 1 DC and ${result.stores.length} stores`);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Multi-echelon optimization error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to optimize the network'
+    });
+  }
+});
+
+/**
+ * POST /api/inventory/simulate
+ * Replay forecast, given or sampled demand against one or more replenishment policies
+ */
+router.post('/simulate', (req, res) => {
+  const settings = getSettings(req);
+  const { product, policies, demand, forecast, salesData, demandSource, days, paths, seed, backorders, serviceLevels } = req.body;
+
+  try {
+    const result = replenishmentSimulator.simulateProduct(product, policies, {
+      demand,
+      forecast,
+      salesData: salesData || [],
+      demandSource: demandSource || 'auto',
+      days: days == null ? null : Number(days),
+      paths: paths == null ? null : Number(paths),
+      seed: seed ?? undefined,
+      backorders: backorders === true || backorders === 'true',
+      serviceLevels: serviceLevels || settings.get('serviceLevels'),
+      products: getCatalogWith(req, product)
+    });
+
+    console.log(`🎲 Simulated ${result.results.length} policies over ${result.paths} x ${result.days} days of ${result.demandSource} demand`);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Replenishment simulation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to simulate replenishment'
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/health/:productId?location=
+ * Get health metrics for a specific product (at one location when given)
  */
 router.get('/health/:productId', (req, res) => {
+  const inventorySessions = getInventorySessions(req);
   const { productId } = req.params;
+  const { location } = req.query;
   
   // Find in any active session
   let productMetrics = null;
   
   for (const [_, session] of inventorySessions) {
-    const metric = session.healthMetrics?.find(m => m.product_id === productId);
+    const metric = session.healthMetrics?.find(m => m.product_id === productId &&
+      (!location || (m.location && m.location.toLowerCase() === location.toLowerCase())));
     if (metric) {
       productMetrics = metric;
       break;
@@ -272,6 +421,7 @@ router.get('/health/:productId', (req, res) => {
  * Get inventory session
  */
 router.get('/session/:sessionId', (req, res) => {
+  const inventorySessions = getInventorySessions(req);
   const { sessionId } = req.params;
   
   const session = inventorySessions.get(sessionId);
@@ -292,7 +442,8 @@ router.get('/session/:sessionId', (req, res) => {
  * DELETE /api/inventory/session/:sessionId
  * Clear inventory session
  */
-router.delete('/session/:sessionId', (req, res) => {
+router.delete('/session/:sessionId', authService.requirePermission('sessions:delete'), (req, res) => {
+  const inventorySessions = getInventorySessions(req);
   const { sessionId } = req.params;
   
   if (inventorySessions.delete(sessionId)) {
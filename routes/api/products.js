@@ -2,98 +2,113 @@
 const express = require('express');
 const router = express.Router();
 
-// In-memory product database (replace with real DB in production)
-let products = [
-  { 
-    id: 'P001', 
-    name: 'Wireless Headphones', 
-    category: 'Electronics', 
-    unit_cost: 65.50, 
-    unit_price: 99.90, 
-    current_stock: 45,
-    lead_time_days: 7, 
-    reorder_point: 20, 
-    safety_stock: 15,
-    max_stock: 200,
-    supplier: 'TechSupply Co.',
-    sku: 'WH-001-BLK'
-  },
-  { 
-    id: 'P002', 
-    name: 'Smart Watch', 
-    category: 'Electronics', 
-    unit_cost: 120.00, 
-    unit_price: 199.90, 
-    current_stock: 18,
-    lead_time_days: 10, 
-    reorder_point: 15, 
-    safety_stock: 10,
-    max_stock: 100,
-    supplier: 'WearableTech Inc.',
-    sku: 'SW-002-SLV'
-  },
-  { 
-    id: 'P003', 
-    name: 'Bluetooth Speaker', 
-    category: 'Electronics', 
-    unit_cost: 45.00, 
-    unit_price: 79.90, 
-    current_stock: 32,
-    lead_time_days: 5, 
-    reorder_point: 25, 
-    safety_stock: 20,
-    max_stock: 150,
-    supplier: 'AudioGear Ltd.',
-    sku: 'BS-003-RED'
-  },
-  { 
-    id: 'P004', 
-    name: 'Laptop Backpack', 
-    category: 'Accessories', 
-    unit_cost: 25.00, 
-    unit_price: 49.90, 
-    current_stock: 55,
-    lead_time_days: 6, 
-    reorder_point: 30, 
-    safety_stock: 25,
-    max_stock: 200,
-    supplier: 'CarryAll Inc.',
-    sku: 'BP-004-GRY'
-  },
-  { 
-    id: 'P005', 
-    name: 'Phone Case', 
-    category: 'Accessories', 
-    unit_cost: 8.00, 
-    unit_price: 19.90, 
-    current_stock: 120,
-    lead_time_days: 4, 
-    reorder_point: 50, 
-    safety_stock: 40,
-    max_stock: 500,
-    supplier: 'CaseMaster',
-    sku: 'PC-005-BLK'
-  }
-];
+const inventoryCalculator = require('../../server/inventory-calculator');
+
+const storage = require('../../server/storage');
+const authService = require('../../server/auth-service');
+const auditLog = require('../../server/audit-log');
+
+/**
+ * Product catalog and settings of the request's workspace (new workspaces start with the sample catalog)
+ */
+function getProducts(req) {
+  return storage.workspaceCollection('products', req.workspace.id);
+}
+
+function getSettings(req) {
+  return storage.workspaceCollection('settings', req.workspace.id);
+}
+
+/**
+ * Next free product ID (P001, P002, ...) in a catalog, after the highest one in use
+ */
+function getNextProductId(products, offset = 0) {
+  const highest = products.keys().reduce((max, id) => {
+    const match = /^P(\d+)$/.exec(id);
+    return match ? Math.max(max, parseInt(match[1])) : max;
+  }, 0);
+  return `P${String(highest + 1 + offset).padStart(3, '0')}`;
+}
 
 /**
  * GET /api/products
  * Get all products
  */
 router.get('/', (req, res) => {
+  const products = getProducts(req);
   res.json({
     success: true,
-    products,
-    count: products.length
+    products: products.values(),
+    count: products.size
   });
 });
 
+/**
+ * Pick the optional service target fields of a product (cycle service level or fill rate)
+ */
+function getServiceFields(body) {
+  const fields = {};
+  ['service_level', 'fill_rate'].forEach(key => {
+    if (body[key] !== undefined && body[key] !== null && body[key] !== '') {
+      fields[key] = parseFloat(body[key]);
+    }
+  });
+  if (fields.fill_rate !== undefined) {
+    inventoryCalculator.validateServiceLevel(fields.fill_rate, 'fill-rate');
+  }
+  if (fields.service_level !== undefined) {
+    inventoryCalculator.validateServiceLevel(fields.service_level);
+  }
+  return fields;
+}
+
+/**
+ * GET /api/products/service-levels
+ * Get the service-level policy applied by inventory optimization
+ */
+router.get('/service-levels', (req, res) => {
+  const settings = getSettings(req);
+  res.json({
+    success: true,
+    serviceLevels: inventoryCalculator.normalizeServiceLevels(settings.get('serviceLevels') || {})
+  });
+});
+
+/**
+ * PUT /api/products/service-levels
+ * Set the service-level policy: { default, classes: { A, B, C }, categories, products }
+ */
+router.put('/service-levels', authService.requirePermission('products:write'), (req, res) => {
+  const settings = getSettings(req);
+  try {
+    const serviceLevels = inventoryCalculator.normalizeServiceLevels(req.body || {});
+    const previous = settings.get('serviceLevels') || null;
+    settings.set('serviceLevels', serviceLevels);
+    auditLog.record(req, {
+      action: 'service_levels.update',
+      targetType: 'settings',
+      targetId: 'serviceLevels',
+      before: previous,
+      after: serviceLevels
+    });
+
+    res.json({
+      success: true,
+      serviceLevels,
+      message: 'Service levels updated successfully'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/products/:id
  * Get single product
  */
 router.get('/:id', (req, res) => {
-  const product = products.find(p => p.id === req.params.id);
+  const products = getProducts(req);
+  const product = products.get(req.params.id);
   
   if (!product) {
     return res.status(404).json({ success: false, error: 'Product not found' });
@@ -109,7 +124,8 @@ router.get('/:id', (req, res) => {
  * POST /api/products
  * Create new product
  */
-router.post('/', (req, res) => {
+router.post('/', authService.requirePermission('products:write'), (req, res) => {
+  const products = getProducts(req);
   const { name, category, unit_cost, unit_price, current_stock, lead_time_days, supplier, sku } = req.body;
 
   if (!name || !category || !unit_cost || !unit_price) {
@@ -119,8 +135,15 @@ router.post('/', (req, res) => {
     });
   }
 
+  let serviceFields;
+  try {
+    serviceFields = getServiceFields(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json({ success: false, error: error.message });
+  }
+
   // Generate new ID
-  const newId = `P${String(products.length + 1).padStart(3, '0')}`;
+  const newId = getNextProductId(products);
 
   const newProduct = {
     id: newId,
@@ -134,10 +157,12 @@ router.post('/', (req, res) => {
     safety_stock: Math.floor(parseFloat(unit_cost) * 0.2),
     max_stock: Math.floor(parseFloat(unit_cost) * 2),
     supplier: supplier || 'Unknown',
-    sku: sku || `SKU-${newId}`
+    sku: sku || `SKU-${newId}`,
+    ...serviceFields
   };
 
-  products.push(newProduct);
+  products.set(newId, newProduct);
+  auditLog.record(req, { action: 'product.create', targetType: 'product', targetId: newId, after: newProduct });
 
   res.status(201).json({
     success: true,
@@ -150,23 +175,31 @@ router.post('/', (req, res) => {
  * PUT /api/products/:id
  * Update product
  */
-router.put('/:id', (req, res) => {
-  const index = products.findIndex(p => p.id === req.params.id);
-  
-  if (index === -1) {
+router.put('/:id', authService.requirePermission('products:write'), (req, res) => {
+  const products = getProducts(req);
+  const previous = products.get(req.params.id);
+  if (!previous) {
     return res.status(404).json({ success: false, error: 'Product not found' });
   }
 
+  let serviceFields;
+  try {
+    serviceFields = getServiceFields(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json({ success: false, error: error.message });
+  }
+
   // Update fields
-  products[index] = {
-    ...products[index],
+  const product = products.update(req.params.id, {
     ...req.body,
+    ...serviceFields,
     id: req.params.id // Ensure ID doesn't change
-  };
+  });
+  auditLog.record(req, { action: 'product.update', targetType: 'product', targetId: product.id, before: previous, after: product });
 
   res.json({
     success: true,
-    product: products[index],
+    product,
     message: 'Product updated successfully'
   });
 });
@@ -175,14 +208,16 @@ router.put('/:id', (req, res) => {
  * DELETE /api/products/:id
  * Delete product
  */
-router.delete('/:id', (req, res) => {
-  const index = products.findIndex(p => p.id === req.params.id);
+router.delete('/:id', authService.requirePermission('products:write'), (req, res) => {
+  const products = getProducts(req);
+  const deleted = products.get(req.params.id);
   
-  if (index === -1) {
+  if (!deleted) {
     return res.status(404).json({ success: false, error: 'Product not found' });
   }
 
-  const deleted = products.splice(index, 1)[0];
+  products.delete(req.params.id);
+  auditLog.record(req, { action: 'product.delete', targetType: 'product', targetId: deleted.id, before: deleted });
 
   res.json({
     success: true,
@@ -196,6 +231,7 @@ router.delete('/:id', (req, res) => {
  * Get products by category
  */
 router.get('/category/:category', (req, res) => {
+  const products = getProducts(req);
   const categoryProducts = products.filter(p => 
     p.category.toLowerCase() === req.params.category.toLowerCase()
   );
@@ -212,7 +248,8 @@ router.get('/category/:category', (req, res) => {
  * POST /api/products/bulk
  * Bulk import products
  */
-router.post('/bulk', (req, res) => {
+router.post('/bulk', authService.requirePermission('products:write'), (req, res) => {
+  const products = getProducts(req);
   const { products: newProducts } = req.body;
 
   if (!Array.isArray(newProducts)) {
@@ -228,7 +265,7 @@ router.post('/bulk', (req, res) => {
         throw new Error('Missing name or category');
       }
 
-      const newId = `P${String(products.length + imported.length + 1).padStart(3, '0')}`;
+      const newId = getNextProductId(products, imported.length);
       
       const product = {
         id: newId,
@@ -242,7 +279,8 @@ router.post('/bulk', (req, res) => {
         safety_stock: parseInt(p.safety_stock) || 15,
         max_stock: parseInt(p.max_stock) || 200,
         supplier: p.supplier || 'Unknown',
-        sku: p.sku || `SKU-${newId}`
+        sku: p.sku || `SKU-${newId}`,
+        ...getServiceFields(p)
       };
 
       imported.push(product);
@@ -251,8 +289,12 @@ router.post('/bulk', (req, res) => {
     }
   });
 
-  // Add all imported products
-  products = [...products, ...imported];
+  // Add all imported products, auditing each under one batch
+  const batch = { batchId: `import_${Date.now()}`, rows: newProducts.length, failed: errors.length };
+  imported.forEach(product => {
+    products.set(product.id, product);
+    auditLog.record(req, { action: 'product.bulk_import', targetType: 'product', targetId: product.id, after: product, details: batch });
+  });
 
   res.json({
     success: true,
@@ -2,6 +2,15 @@
 const express = require('express');
 const router = express.Router();
 
+const storage = require('../../server/storage');
+
+/**
+ * Reports generated in the request's workspace
+ */
+function getReports(req) {
+  return storage.workspaceCollection('reports', req.workspace.id);
+}
+
 /**
  * POST /api/reports/generate
  * Generate comprehensive report
@@ -34,6 +43,8 @@ router.post('/generate', (req, res) => {
       recommendations: generateRecommendations(forecast, inventory, products)
     };
 
+    getReports(req).set(report.reportId, { ...report, generatedBy: req.user.email });
+
     // Handle different formats
     if (format === 'pdf') {
       // Would generate PDF here
@@ -95,6 +106,39 @@ router.get('/export', (req, res) => {
   }
 });
 
+/**
+ * GET /api/reports
+ * Reports generated in the workspace, newest first
+ */
+router.get('/', (req, res) => {
+  const reports = getReports(req).values()
+    .map(({ reportId, generatedAt, generatedBy, summary }) => ({ reportId, generatedAt, generatedBy, summary }))
+    .sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+
+  res.json({
+    success: true,
+    reports,
+    count: reports.length
+  });
+});
+
+/**
+ * GET /api/reports/:reportId
+ * A generated report
+ */
+router.get('/:reportId', (req, res) => {
+  const report = getReports(req).get(req.params.reportId);
+
+  if (!report) {
+    return res.status(404).json({ success: false, error: 'Report not found' });
+  }
+
+  res.json({
+    success: true,
+    report
+  });
+});
+
 /**
  * Helper: Generate executive summary
  */
@@ -4,15 +4,22 @@ const router = express.Router();
 
 const forecastLogic = require('../../server/forecast-logic');
 const promptTemplates = require('../../server/prompt-templates');
+const storage = require('../../server/storage');
+const auditLog = require('../../server/audit-log');
 
-// Store scenarios
-const scenarioSessions = new Map();
+/**
+ * Stored scenarios of the request's workspace
+ */
+function getScenarioSessions(req) {
+  return storage.workspaceCollection('scenarioSessions', req.workspace.id);
+}
 
 /**
  * POST /api/scenarios/analyze
  * Analyze a what-if scenario
  */
 router.post('/analyze', async (req, res) => {
+  const scenarioSessions = getScenarioSessions(req);
   const { baseForecast, scenario, products, sessionId } = req.body;
 
   if (!baseForecast || !scenario) {
@@ -48,6 +55,12 @@ router.post('/analyze', async (req, res) => {
 
     // Store scenario
     scenarioSessions.set(newSessionId, result);
+    auditLog.record(req, {
+      action: 'scenario.run',
+      targetType: 'scenario',
+      targetId: newSessionId,
+      details: { scenario, impact }
+    });
 
     res.json({
       success: true,
@@ -116,16 +129,19 @@ router.post('/demand-shock', (req, res) => {
     };
   });
 
+  const summary = {
+    demandIncrease: `${Math.round((multiplier - 1) * 100)}%`,
+    duration: `${duration} days`,
+    totalAdditionalUnits: stockImpact?.reduce((sum, p) => sum + p.additional_units_needed, 0) || 0
+  };
+  auditLog.record(req, { action: 'scenario.run', targetType: 'scenario', details: { scenario, summary } });
+
   res.json({
     success: true,
     scenario,
     impactedForecast,
     stockImpact,
-    summary: {
-      demandIncrease: `${Math.round((multiplier - 1) * 100)}%`,
-      duration: `${duration} days`,
-      totalAdditionalUnits: stockImpact?.reduce((sum, p) => sum + p.additional_units_needed, 0) || 0
-    }
+    summary
   });
 });
 
@@ -170,16 +186,19 @@ router.post('/supply-disruption', (req, res) => {
     };
   });
 
+  const summary = {
+    delayDays,
+    capacityReduction: `${Math.round(capacityReduction * 100)}%`,
+    productsAtRisk: stockImpact?.filter(p => p.risk_level === 'high').length || 0,
+    totalUnitsNeeded: stockImpact?.reduce((sum, p) => sum + p.stockout_risk, 0) || 0
+  };
+  auditLog.record(req, { action: 'scenario.run', targetType: 'scenario', details: { scenario, summary } });
+
   res.json({
     success: true,
     scenario,
     stockImpact,
-    summary: {
-      delayDays,
-      capacityReduction: `${Math.round(capacityReduction * 100)}%`,
-      productsAtRisk: stockImpact?.filter(p => p.risk_level === 'high').length || 0,
-      totalUnitsNeeded: stockImpact?.reduce((sum, p) => sum + p.stockout_risk, 0) || 0
-    }
+    summary
   });
 });
 
@@ -237,17 +256,20 @@ router.post('/promotion', (req, res) => {
     };
   });
 
+  const summary = {
+    lift: `${Math.round((lift - 1) * 100)}% increase`,
+    duration: `${duration} days`,
+    totalExtraUnits: stockNeeded?.reduce((sum, p) => sum + p.extra_units_needed, 0) || 0,
+    productsNeedingReorder: stockNeeded?.filter(p => p.stock_after_promo < 0).length || 0
+  };
+  auditLog.record(req, { action: 'scenario.run', targetType: 'scenario', details: { scenario, summary } });
+
   res.json({
     success: true,
     scenario,
     promotionImpact,
     stockNeeded,
-    summary: {
-      lift: `${Math.round((lift - 1) * 100)}% increase`,
-      duration: `${duration} days`,
-      totalExtraUnits: stockNeeded?.reduce((sum, p) => sum + p.extra_units_needed, 0) || 0,
-      productsNeedingReorder: stockNeeded?.filter(p => p.stock_after_promo < 0).length || 0
-    }
+    summary
   });
 });
 
@@ -256,6 +278,7 @@ router.post('/promotion', (req, res) => {
  * Get scenario session
  */
 router.get('/session/:sessionId', (req, res) => {
+  const scenarioSessions = getScenarioSessions(req);
   const { sessionId } = req.params;
   
   const session = scenarioSessions.get(sessionId);
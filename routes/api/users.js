@@ -0,0 +1,57 @@
+// routes/api/users.js - Members of the current workspace and their roles (workspace admins only)
+const express = require('express');
+const router = express.Router();
+
+const authService = require('../../server/auth-service');
+const workspaceService = require('../../server/workspace-service');
+
+/**
+ * GET /api/users
+ * List the workspace's members and their roles
+ */
+router.get('/', (req, res) => {
+  const members = workspaceService.getMembers(req.workspace.id);
+
+  res.json({
+    success: true,
+    users: members,
+    count: members.length,
+    roles: authService.roles
+  });
+});
+
+/**
+ * PUT /api/users/:email/role
+ * Set a member's role ({ role: "viewer" | "planner" | "admin" })
+ */
+router.put('/:email/role', (req, res) => {
+  try {
+    const member = workspaceService.setRole(req.workspace.id, req.params.email, req.body?.role);
+    console.log(`👤 ${req.user.email} set the role of ${member.email} to ${member.role} in ${req.workspace.name}`);
+
+    res.json({
+      success: true,
+      user: member,
+      message: 'Role updated successfully'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/users/:email
+ * Remove a member from the workspace
+ */
+router.delete('/:email', (req, res) => {
+  try {
+    workspaceService.removeMember(req.workspace.id, req.params.email);
+    console.log(`👤 ${req.user.email} removed ${req.params.email} from ${req.workspace.name}`);
+
+    res.json({ success: true, message: 'Member removed successfully' });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
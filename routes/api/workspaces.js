@@ -0,0 +1,124 @@
+// routes/api/workspaces.js - Workspaces and invitations
+const express = require('express');
+const router = express.Router();
+
+const authService = require('../../server/auth-service');
+const workspaceService = require('../../server/workspace-service');
+
+// Routes on the current workspace (X-Workspace-Id header, or the user's first workspace)
+const current = [workspaceService.requireWorkspace];
+const admin = [...current, authService.requirePermission('members:manage')];
+
+/**
+ * Answer with an error's status (500 for unexpected errors)
+ */
+function sendError(res, error) {
+  res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
+/**
+ * GET /api/workspaces
+ * Workspaces of the signed-in user, with their role in each
+ */
+router.get('/', (req, res) => {
+  const workspaces = workspaceService.listFor(req.user.email);
+
+  res.json({
+    success: true,
+    workspaces,
+    count: workspaces.length
+  });
+});
+
+/**
+ * POST /api/workspaces
+ * Create a workspace ({ name }) administered by the signed-in user
+ */
+router.post('/', (req, res) => {
+  try {
+    const workspace = workspaceService.create(req.body?.name, req.user.email);
+    console.log(`🏢 ${req.user.email} created workspace ${workspace.name}`);
+
+    res.status(201).json({
+      success: true,
+      workspace: { id: workspace.id, name: workspace.name, role: 'admin' }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/workspaces/invitations/accept
+ * Join a workspace with an invitation token ({ token }) sent to the user's email
+ */
+router.post('/invitations/accept', (req, res) => {
+  try {
+    const workspace = workspaceService.acceptInvitation(req.body?.token, req.user.email);
+    console.log(`🏢 ${req.user.email} joined workspace ${workspace.name}`);
+
+    res.json({ success: true, workspace });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/workspaces/current
+ * The current workspace, its members and the user's role
+ */
+router.get('/current', current, (req, res) => {
+  res.json({
+    success: true,
+    workspace: {
+      ...req.workspace,
+      role: req.user.role,
+      members: workspaceService.getMembers(req.workspace.id)
+    }
+  });
+});
+
+/**
+ * GET /api/workspaces/current/invitations
+ * Pending invitations to the current workspace
+ */
+router.get('/current/invitations', admin, (req, res) => {
+  const invitations = workspaceService.listInvitations(req.workspace.id);
+
+  res.json({
+    success: true,
+    invitations,
+    count: invitations.length
+  });
+});
+
+/**
+ * POST /api/workspaces/current/invitations
+ * Invite someone ({ email, role = "viewer" }). The returned token is shown once; the
+ * invitee passes it as `invitation` when registering, or accepts it once signed in.
+ */
+router.post('/current/invitations', admin, (req, res) => {
+  try {
+    const { invitation, token } = workspaceService.invite(req.workspace.id, req.body, req.user.email);
+    console.log(`✉️  ${req.user.email} invited ${invitation.email} to ${req.workspace.name} as ${invitation.role}`);
+
+    res.status(201).json({ success: true, invitation, token });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/current/invitations/:invitationId
+ * Withdraw an invitation
+ */
+router.delete('/current/invitations/:invitationId', admin, (req, res) => {
+  try {
+    workspaceService.revokeInvitation(req.workspace.id, req.params.invitationId);
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// server/anomaly-detector.js - Outlier detection and cleansing for demand series
+
+const forecastModels = require('./forecast-models');
+
+// Scale factor turning a median absolute deviation into a normal standard deviation
+const MAD_SCALE = 1.4826;
+
+class AnomalyDetector {
+    constructor() {
+        this.methods = ['hampel', 'iqr', 'none'];
+        this.treatments = ['flag', 'replace'];
+        // Conservative defaults: median smoothing shrinks the residual spread, so the
+        // textbook Hampel cut-off of 3 flags ordinary noise in about 1% of periods
+        this.defaultThresholds = { hampel: 4, iqr: 3 };
+    }
+
+    /**
+     * Flag outliers from the residuals of a robust trend + seasonal decomposition.
+     * 'hampel' compares each residual with the median and MAD of its neighbours,
+     * 'iqr' with Tukey fences (Q1 - k*IQR, Q3 + k*IQR) over all residuals.
+     * Returns the flagged points with the value the decomposition expected instead.
+     */
+    detect(historical, { method = 'hampel', seasonLength = 7, threshold = null, window = 7 } = {}) {
+        if (method === 'none' || !historical || historical.length < 2 * window + 1) {
+            return [];
+        }
+
+        const values = historical.map(h => h.sales);
+        const { expected, residuals } = this.decompose(values, seasonLength);
+        const limit = threshold ?? this.defaultThresholds[method];
+        const scores = method === 'iqr'
+            ? this.iqrScores(residuals)
+            : this.hampelScores(residuals, window);
+
+        return historical
+            .map((h, i) => ({
+                index: i,
+                date: h.date,
+                value: h.sales,
+                expected: Math.max(0, Math.round(expected[i] * 100) / 100),
+                score: scores[i] === null ? null : Math.round(scores[i] * 100) / 100
+            }))
+            .filter(point => point.score !== null && point.score > limit);
+    }
+
+    /**
+     * Replace flagged points with their expected values
+     */
+    cleanse(historical, anomalies) {
+        const replacements = new Map(anomalies.map(a => [a.index, a.expected]));
+
+        return historical.map((h, i) => replacements.has(i)
+            ? { ...h, sales: replacements.get(i), original: h.sales }
+            : h);
+    }
+
+    /**
+     * Split a series into a centred rolling-median trend, a median seasonal pattern
+     * (when there are at least two full seasons) and the residual left over.
+     * Windows at the ends are shifted inwards so they always span a full season.
+     */
+    decompose(values, seasonLength) {
+        const half = Math.max(1, Math.min(Math.floor(seasonLength / 2), 6));
+        const size = Math.min(values.length, 2 * half + 1);
+        const trend = values.map((_, i) => {
+            const start = Math.max(0, Math.min(i - half, values.length - size));
+            return this.median(values.slice(start, start + size));
+        });
+        const detrended = values.map((v, i) => v - trend[i]);
+
+        let seasonal = values.map(() => 0);
+        if (seasonLength > 1 && values.length >= 2 * seasonLength) {
+            const pattern = Array.from({ length: seasonLength }, (_, p) =>
+                this.median(detrended.filter((_, i) => i % seasonLength === p))
+            );
+            seasonal = values.map((_, i) => pattern[i % seasonLength]);
+        }
+
+        return {
+            expected: trend.map((t, i) => t + seasonal[i]),
+            residuals: detrended.map((d, i) => d - seasonal[i])
+        };
+    }
+
+    /**
+     * Hampel scores: distance from the local median in units of the robust spread.
+     * The spread is never taken below that of the whole series, so quiet stretches (where
+     * median smoothing leaves many exact zeros) do not turn ordinary noise into outliers.
+     */
+    hampelScores(residuals, window) {
+        const spread = values => {
+            const center = this.median(values);
+            return MAD_SCALE * this.median(values.map(v => Math.abs(v - center)));
+        };
+        const globalScale = spread(residuals);
+
+        return residuals.map((r, i) => {
+            const neighbours = residuals.slice(Math.max(0, i - window), i + window + 1);
+            const scale = Math.max(spread(neighbours), globalScale);
+
+            return scale > 0 ? Math.abs(r - this.median(neighbours)) / scale : null;
+        });
+    }
+
+    /**
+     * IQR scores: distance beyond the quartiles in units of the interquartile range,
+     * so a score above k lies outside the Tukey fence for k
+     */
+    iqrScores(residuals) {
+        const q1 = forecastModels.quantile(residuals, 0.25);
+        const q3 = forecastModels.quantile(residuals, 0.75);
+        const iqr = q3 - q1;
+        if (!(iqr > 0)) return residuals.map(() => null);
+
+        return residuals.map(r => {
+            if (r > q3) return (r - q3) / iqr;
+            if (r < q1) return (q1 - r) / iqr;
+            return 0;
+        });
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    median(values) {
+        return forecastModels.quantile(values, 0.5);
+    }
+}
+
+module.exports = new AnomalyDetector();
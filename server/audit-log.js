@@ -0,0 +1,169 @@
+// server/audit-log.js - Append-only record of who changed what in each workspace
+const crypto = require('crypto');
+
+const storage = require('./storage');
+
+// Columns of the CSV export
+const CSV_COLUMNS = ['timestamp', 'actor', 'action', 'targetType', 'targetId', 'changes', 'before', 'after', 'details'];
+
+class AuditLog {
+  constructor() {
+    this.defaultLimit = 100;
+    this.maxLimit = 1000;
+  }
+
+  /**
+   * Entries of a workspace, oldest first. Entries are only ever added: nothing in the app
+   * updates or deletes them.
+   */
+  entries(workspaceId) {
+    return storage.workspaceCollection('auditLog', workspaceId);
+  }
+
+  /**
+   * Record an action of the request's user in its workspace. `before` and `after` are the
+   * target's values around the change (null when it did not exist); `changes` lists the
+   * fields that differ between them.
+   */
+  record(req, { action, targetType, targetId = null, before = null, after = null, details = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: req.user.email,
+      actorName: req.user.name || null,
+      action,
+      targetType,
+      targetId: targetId === null ? null : String(targetId),
+      changes: this.diff(before, after),
+      before,
+      after,
+      details
+    };
+
+    this.entries(req.workspace.id).set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Fields whose values differ between two versions of a record
+   */
+  diff(before, after) {
+    const isRecord = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isRecord(before) && !isRecord(after)) return [];
+
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...fields].filter(field =>
+      JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field])
+    );
+  }
+
+  /**
+   * A page of the entries matching filters (see filter), with the total number of matches
+   */
+  query(workspaceId, filters = {}) {
+    const limit = this.parseCount(filters.limit, 'limit', this.defaultLimit);
+    const offset = this.parseCount(filters.offset, 'offset', 0);
+
+    if (limit === 0 || limit > this.maxLimit) {
+      throw this.badRequest(`limit must be between 1 and ${this.maxLimit}`);
+    }
+
+    const matches = this.filter(workspaceId, filters);
+    return {
+      entries: matches.slice(offset, offset + limit),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Entries of a workspace matching filters, newest first:
+   * { actor, action (exact, or "product" for every "product.*"), targetType, targetId,
+   *   field (changed field), from, to (ISO dates or times) }
+   * Each filter takes one string: a repeated query parameter is rejected.
+   */
+  filter(workspaceId, filters = {}) {
+    const { actor, action, targetType, targetId, field, from, to } = Object.fromEntries(
+      ['actor', 'action', 'targetType', 'targetId', 'field', 'from', 'to']
+        .map(name => [name, this.parseString(filters[name], name)])
+    );
+    const since = this.parseTime(from, 'from');
+    const until = this.parseTime(to, 'to', true);
+
+    return this.entries(workspaceId).filter(entry =>
+      (!actor || entry.actor === actor.toLowerCase()) &&
+      (!action || entry.action === action || entry.action.startsWith(`${action}.`)) &&
+      (!targetType || entry.targetType === targetType) &&
+      (!targetId || entry.targetId === targetId) &&
+      (!field || entry.changes.includes(field)) &&
+      (!since || entry.timestamp >= since) &&
+      (!until || entry.timestamp <= until)
+    ).reverse();
+  }
+
+  /**
+   * CSV of entries, with before, after and details as JSON
+   */
+  toCSV(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+      const value = entry[column];
+      if (column === 'changes') return this.csvCell(value.join(' '));
+      return this.csvCell(value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * One CSV cell: quoted when needed, and prefixed with ' when a spreadsheet would
+   * read it as a formula (including after a leading tab or carriage return)
+   */
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * String query parameter, or undefined when absent
+   */
+  parseString(value, name) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== 'string') throw this.badRequest(`${name} must be a single value`);
+    return value;
+  }
+
+  /**
+   * ISO time of a date filter; a bare "to" date covers the whole day
+   */
+  parseTime(value, name, endOfDay = false) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (isNaN(time.getTime())) throw this.badRequest(`${name} must be an ISO date or time`);
+    return time.toISOString();
+  }
+
+  /**
+   * Non-negative integer query parameter
+   */
+  parseCount(value, name, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) throw this.badRequest(`${name} must be a non-negative integer`);
+    return count;
+  }
+
+  /**
+   * Validation error answered with a 400
+   */
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,320 @@
+// server/auth-service.js - Password hashing, signed access tokens and refresh tokens
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const storage = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with every hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+// Roles from least to most privileged, and the roles holding each permission.
+// Every role can read data and run forecasts, optimizations and scenarios.
+const ROLES = ['viewer', 'planner', 'admin'];
+const PERMISSIONS = {
+  'products:write': ['planner', 'admin'],
+  'sessions:delete': ['planner', 'admin'],
+  'cache:clear': ['admin'],
+  'members:manage': ['admin'],
+  'audit:read': ['admin']
+};
+
+class AuthService {
+  constructor() {
+    // Lifetimes in seconds: short-lived access tokens, long-lived refresh tokens
+    this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+    this.refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+    this.users = storage.collection('users');
+    this.refreshTokens = storage.collection('refreshTokens');
+    this.revokedTokens = storage.collection('revokedTokens');
+    this.settings = storage.collection('settings');
+    this.roles = ROLES;
+    this.requireAuth = this.requireAuth.bind(this);
+  }
+
+  /**
+   * Salted scrypt hash of a password: "scrypt$N$r$p$salt$hash" (salt and hash in base64)
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+    return this.formatHash(salt, hash, SCRYPT_PARAMS);
+  }
+
+  /**
+   * Synchronous hashPassword, for storage migrations (which run synchronously at startup)
+   */
+  hashPasswordSync(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+    return this.formatHash(salt, hash, SCRYPT_PARAMS);
+  }
+
+  /**
+   * Stored form of a hash with its salt and cost parameters
+   */
+  formatHash(salt, hash, { N, r, p }) {
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   */
+  async verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Sign in with email and password. Unknown emails take as long as wrong passwords,
+   * so response times do not reveal which accounts exist.
+   */
+  async authenticate(email, password) {
+    const user = this.users.get(this.normalizeEmail(email));
+    const valid = user
+      ? await this.verifyPassword(password, user.passwordHash)
+      : (await this.hashPassword(password), false);
+
+    if (!valid) throw this.unauthorized('Invalid credentials');
+    return user;
+  }
+
+  /**
+   * Access token (HS256 JWT carrying the user's email and name) and a new refresh token
+   */
+  issueTokens(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const token = this.sign({
+      sub: user.email,
+      name: user.name,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + this.accessTokenTtl
+    });
+
+    // Only a hash of the refresh token is stored, so a copy of the store cannot be replayed
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    this.refreshTokens.set(this.hashToken(refreshToken), {
+      email: user.email,
+      createdAt: new Date().toISOString(),
+      expiresAt: Date.now() + this.refreshTokenTtl * 1000
+    });
+
+    return { token, refreshToken, expiresIn: this.accessTokenTtl };
+  }
+
+  /**
+   * Trade a refresh token for a new token pair. Refresh tokens are single-use: the old
+   * one is removed, so a stolen token stops working once its owner refreshes.
+   */
+  refresh(refreshToken) {
+    const key = this.hashToken(refreshToken || '');
+    const record = this.refreshTokens.get(key);
+    if (!record || record.expiresAt <= Date.now()) {
+      if (record) this.refreshTokens.delete(key);
+      throw this.unauthorized('Invalid or expired refresh token');
+    }
+
+    this.refreshTokens.delete(key);
+    const user = this.users.get(record.email);
+    if (!user) throw this.unauthorized('User not found');
+
+    return { user, ...this.issueTokens(user) };
+  }
+
+  /**
+   * Revoke an access token (until it would have expired) and/or a refresh token.
+   * Tokens that are malformed or already expired are ignored.
+   */
+  revoke({ token = null, refreshToken = null } = {}) {
+    if (token) {
+      const payload = this.decode(token, { ignoreExpiry: true });
+      if (payload && payload.exp * 1000 > Date.now()) {
+        this.revokedTokens.set(payload.jti, { email: payload.sub, expiresAt: payload.exp * 1000 });
+      }
+    }
+    if (refreshToken) {
+      this.refreshTokens.delete(this.hashToken(refreshToken));
+    }
+    this.pruneExpired();
+  }
+
+  /**
+   * Payload of a valid access token; throws a 401 error when the token is malformed,
+   * tampered with, expired or revoked
+   */
+  verifyAccessToken(token) {
+    const payload = this.decode(token);
+    if (!payload) throw this.unauthorized('Invalid or expired token');
+    if (this.revokedTokens.has(payload.jti)) throw this.unauthorized('Token has been revoked');
+    return payload;
+  }
+
+  /**
+   * Express middleware: requires "Authorization: Bearer <access token>" and sets req.user
+   * to the stored user. Roles belong to workspace memberships and are added by
+   * workspaceService.requireWorkspace.
+   */
+  requireAuth(req, res, next) {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+
+    try {
+      const payload = this.verifyAccessToken(token);
+      const user = this.users.get(payload.sub);
+      if (!user) throw this.unauthorized('User not found');
+
+      req.user = { email: user.email, name: user.name };
+      next();
+    } catch (error) {
+      res.status(error.status || 401).json({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Express middleware (after requireWorkspace): answers 403 unless the user's role in the
+   * workspace grants the permission
+   */
+  requirePermission(permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+
+    return (req, res, next) => {
+      if (this.can(req.user, permission)) return next();
+      res.status(403).json({
+        success: false,
+        error: `Your role (${req.user?.role || 'none'}) does not allow this action`,
+        requiredRoles: PERMISSIONS[permission]
+      });
+    };
+  }
+
+  /**
+   * Whether a user's role grants a permission
+   */
+  can(user, permission) {
+    return (PERMISSIONS[permission] || []).includes(user?.role);
+  }
+
+  /**
+   * Signed token "header.payload.signature" (base64url JSON, HMAC-SHA256)
+   */
+  sign(payload) {
+    const header = this.encode({ alg: 'HS256', typ: 'JWT' });
+    const body = this.encode(payload);
+    return `${header}.${body}.${this.signature(`${header}.${body}`)}`;
+  }
+
+  /**
+   * Payload of a token with a valid signature (and, unless ignoreExpiry, not expired); null otherwise
+   */
+  decode(token, { ignoreExpiry = false } = {}) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(this.signature(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    } catch (error) {
+      return null;
+    }
+    if (!ignoreExpiry && !(payload.exp * 1000 > Date.now())) return null;
+    return payload;
+  }
+
+  /**
+   * Token helpers: base64url JSON, HMAC signature, SHA-256 digest of a refresh token
+   */
+  encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+  }
+
+  signature(data) {
+    return crypto.createHmac('sha256', this.getSecret()).update(data).digest('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Signing secret: AUTH_SECRET, or a random one generated once and kept in storage
+   * (so tokens survive restarts) when it is not set
+   */
+  getSecret() {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+
+    let secret = this.settings.get('authSecret');
+    if (!secret) {
+      secret = crypto.randomBytes(32).toString('hex');
+      this.settings.set('authSecret', secret);
+      console.warn('⚠️  AUTH_SECRET is not set; generated a signing secret and saved it with the stored data');
+    }
+    return secret;
+  }
+
+  /**
+   * Drop revoked and refresh tokens past their expiry
+   */
+  pruneExpired() {
+    const now = Date.now();
+    [this.revokedTokens, this.refreshTokens].forEach(collection => {
+      collection.entries()
+        .filter(([, record]) => record.expiresAt <= now)
+        .forEach(([key]) => collection.delete(key));
+    });
+  }
+
+  /**
+   * Emails are stored trimmed and lower-case, so sign-in is case-insensitive
+   */
+  normalizeEmail(email) {
+    return (email || '').toString().trim().toLowerCase();
+  }
+
+  /**
+   * Whether a (normalized) email looks like an address: one @, no spaces, a dotted domain
+   */
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  /**
+   * Problem with the fields of a login or registration body, or null when every field is a
+   * non-empty string (other JSON values would reach password hashing and fail there)
+   */
+  credentialsError(body, fields) {
+    const list = fields.length > 2
+      ? `${fields.slice(0, -1).join(', ')}, and ${fields[fields.length - 1]}`
+      : fields.join(' and ');
+    const label = list.charAt(0).toUpperCase() + list.slice(1);
+
+    if (fields.some(field => !body?.[field])) return `${label} required`;
+    if (fields.some(field => typeof body[field] !== 'string')) return `${label} must be strings`;
+    return null;
+  }
+
+  /**
+   * Authentication error answered with a 401
+   */
+  unauthorized(message) {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+  }
+}
+
+module.exports = new AuthService();
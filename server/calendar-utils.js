@@ -0,0 +1,202 @@
+// server/calendar-utils.js - Regular calendars, frequency detection and gap filling for demand series
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarUtils {
+  constructor() {
+    this.frequencies = ['daily', 'weekly', 'monthly'];
+    this.fillPolicies = ['zero', 'interpolate'];
+  }
+
+  /**
+   * Detect whether dates are daily, weekly or monthly from the gaps between them.
+   * The coarsest granularity seen in at least 20% of the gaps wins: finer rows can be
+   * summed into coarser periods but not split, so a mixed daily/weekly file is weekly,
+   * while a daily series with a few missing days stays daily.
+   */
+  detectFrequency(dates) {
+    const days = [...new Set(dates.map(d => this.toDate(d).getTime()))].sort((a, b) => a - b);
+    if (days.length < 2) return 'daily';
+
+    const gaps = days.slice(1).map((t, i) => (t - days[i]) / DAY_MS);
+    const share = test => gaps.filter(test).length / gaps.length;
+
+    if (share(gap => gap >= 25) >= 0.2) return 'monthly';
+    if (share(gap => gap >= 5) >= 0.2) return 'weekly';
+    return 'daily';
+  }
+
+  /**
+   * Resample a series onto a regular calendar at the given frequency, summing observations
+   * that fall in the same period and filling missing periods with the chosen policy:
+   * 'zero' (no row means no demand) or 'interpolate' (linear between the neighbouring
+   * observed periods; leading and trailing gaps have no neighbour and get zero).
+   * Weekly periods are phased on `origin` (default: the first date), monthly periods start
+   * on the first of the month. `start`/`end` extend the calendar beyond the observations.
+   * The first and last periods the data covers only partly are scaled up to a whole period
+   * (see completeEdgePeriods); `span` sets the covered days, by default the observations'.
+   */
+  buildCalendar(historical, frequency = 'daily', { fillPolicy = 'zero', origin = null, start = null, end = null, span = null } = {}) {
+    if (!historical || historical.length === 0) {
+      return { series: [], observedPeriods: 0, filledPeriods: 0, partialPeriods: 0, span: null };
+    }
+
+    const sorted = [...historical].sort((a, b) => this.toDate(a.date) - this.toDate(b.date));
+    const phase = this.toDate(origin || sorted[0].date);
+
+    const buckets = new Map();
+    sorted.forEach(h => {
+      const key = this.formatDate(this.getPeriodStart(h.date, frequency, phase));
+      buckets.set(key, (buckets.get(key) || 0) + h.sales);
+    });
+
+    const keys = Array.from(buckets.keys());
+    const first = this.getPeriodStart(start || keys[0], frequency, phase);
+    const last = this.getPeriodStart(end || keys[keys.length - 1], frequency, phase);
+
+    const series = [];
+    for (let date = first; date <= last; date = this.addPeriods(date, 1, frequency)) {
+      const key = this.formatDate(date);
+      series.push(buckets.has(key)
+        ? { date: key, sales: buckets.get(key), filled: false }
+        : { date: key, sales: null, filled: true });
+    }
+
+    const coverage = span || this.getSpan(sorted);
+    const partialPeriods = this.completeEdgePeriods(series, frequency, coverage, phase);
+
+    if (fillPolicy === 'interpolate') {
+      this.interpolateGaps(series);
+    }
+    series.forEach(point => {
+      if (point.sales === null) point.sales = 0;
+    });
+
+    const filledPeriods = series.filter(p => p.filled).length;
+    return { series, observedPeriods: series.length - filledPeriods, filledPeriods, partialPeriods, span: coverage };
+  }
+
+  /**
+   * Days covered by sorted observations and their own frequency. Each row covers one
+   * period at that frequency, so a weekly row dated Monday covers Monday to Sunday.
+   */
+  getSpan(sorted) {
+    const dates = sorted.map(h => this.toDate(h.date));
+    const frequency = this.detectFrequency(dates);
+    const last = this.addPeriods(dates[dates.length - 1], 1, frequency);
+
+    return { first: dates[0], last: new Date(last.getTime() - DAY_MS), frequency };
+  }
+
+  /**
+   * Scale the periods holding the first and last covered day up to a whole period when the
+   * data covers only part of them: a daily history ending on a Monday would otherwise end
+   * on a one-day week that looks like a collapse in demand. Periods are left alone when the
+   * rows are as coarse as the periods. Returns the number of periods scaled.
+   */
+  completeEdgePeriods(series, frequency, span, phase) {
+    if (this.frequencies.indexOf(span.frequency) >= this.frequencies.indexOf(frequency)) return 0;
+
+    const edges = new Set([span.first, span.last].map(day => this.formatDate(this.getPeriodStart(day, frequency, phase))));
+    let scaled = 0;
+
+    edges.forEach(key => {
+      const point = series.find(p => p.date === key);
+      if (!point || point.sales === null) return;
+
+      const periodStart = this.toDate(key);
+      const periodEnd = this.addPeriods(periodStart, 1, frequency);
+      const length = (periodEnd - periodStart) / DAY_MS;
+      const covered = (Math.min(periodEnd, span.last.getTime() + DAY_MS) - Math.max(periodStart, span.first)) / DAY_MS;
+
+      if (covered > 0 && covered < length) {
+        point.sales = Math.round(point.sales * length / covered * 100) / 100;
+        scaled++;
+      }
+    });
+
+    return scaled;
+  }
+
+  /**
+   * Fill runs of missing values linearly between the observed values on either side
+   */
+  interpolateGaps(series) {
+    let previous = -1;
+
+    series.forEach((point, i) => {
+      if (point.sales === null) return;
+
+      if (previous >= 0 && i - previous > 1) {
+        const from = series[previous].sales;
+        const step = (point.sales - from) / (i - previous);
+        for (let j = previous + 1; j < i; j++) {
+          series[j].sales = Math.round((from + step * (j - previous)) * 100) / 100;
+        }
+      }
+      previous = i;
+    });
+  }
+
+  /**
+   * Start of the period a date falls in (UTC)
+   */
+  getPeriodStart(date, frequency, origin = null) {
+    const d = this.toDate(date);
+
+    if (frequency === 'monthly') {
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    }
+
+    if (frequency === 'weekly') {
+      const phase = this.toDate(origin || d);
+      const weeks = Math.floor((d - phase) / (7 * DAY_MS));
+      return new Date(phase.getTime() + weeks * 7 * DAY_MS);
+    }
+
+    return d;
+  }
+
+  /**
+   * Step a date forward by whole periods (UTC). Months keep the day of month where it exists.
+   */
+  addPeriods(date, count, frequency) {
+    const d = this.toDate(date);
+
+    if (frequency === 'monthly') {
+      const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + count, 1));
+      const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+      target.setUTCDate(Math.min(d.getUTCDate(), lastDay));
+      return target;
+    }
+
+    const step = frequency === 'weekly' ? 7 : 1;
+    return new Date(d.getTime() + count * step * DAY_MS);
+  }
+
+  /**
+   * Number of periods needed to cover a horizon given in days
+   */
+  periodsForDays(days, frequency) {
+    if (frequency === 'monthly') return Math.max(1, Math.ceil(days / 30));
+    if (frequency === 'weekly') return Math.max(1, Math.ceil(days / 7));
+    return Math.max(1, days);
+  }
+
+  /**
+   * Parse a date or date string to a UTC midnight Date
+   */
+  toDate(value) {
+    const d = value instanceof Date ? value : new Date(value);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+
+  /**
+   * Format a Date as YYYY-MM-DD (UTC)
+   */
+  formatDate(date) {
+    return this.toDate(date).toISOString().split('T')[0];
+  }
+}
+
+module.exports = new CalendarUtils();
@@ -0,0 +1,141 @@
+// server/event-regressors.js - Holiday and event effects estimated from past occurrences
+
+const calendarUtils = require('./calendar-utils');
+const anomalyDetector = require('./anomaly-detector');
+const forecastModels = require('./forecast-models');
+
+class EventRegressors {
+    /**
+     * Merge holidays and custom events into one list. Custom events need a name and a
+     * `date` or `dates`; `before`/`after` widen every occurrence by that many days.
+     */
+    normalizeEvents(holidays = [], customEvents = []) {
+        if (!Array.isArray(customEvents)) {
+            const error = new Error('events must be an array of { name, date | dates }');
+            error.status = 400;
+            throw error;
+        }
+
+        const custom = customEvents.map(event => {
+            const dates = event.dates || (event.date ? [event.date] : []);
+            if (!event.name || dates.length === 0 || dates.some(d => isNaN(new Date(d)))) {
+                const error = new Error(`Invalid event ${JSON.stringify(event)}: a name and valid date or dates are required`);
+                error.status = 400;
+                throw error;
+            }
+
+            return {
+                name: event.name.toString(),
+                category: event.category || 'custom',
+                dates,
+                before: Math.max(0, parseInt(event.before) || 0),
+                after: Math.max(0, parseInt(event.after) || 0),
+                source: 'custom'
+            };
+        });
+
+        return [
+            ...holidays.map(holiday => ({ before: 0, after: 0, ...holiday })),
+            ...custom
+        ];
+    }
+
+    /**
+     * Period start dates (YYYY-MM-DD) covered by any occurrence of an event
+     */
+    getEventPeriods(event, frequency, origin) {
+        const periods = new Set();
+
+        event.dates.forEach(date => {
+            for (let offset = -event.before; offset <= event.after; offset++) {
+                const day = calendarUtils.addPeriods(date, offset, 'daily');
+                periods.add(calendarUtils.formatDate(calendarUtils.getPeriodStart(day, frequency, origin)));
+            }
+        });
+
+        return periods;
+    }
+
+    /**
+     * Estimate a multiplier per event as the mean ratio of actual demand to the
+     * robust baseline (rolling-median trend + seasonal pattern) over the event's past
+     * occurrences. Events that never occurred in the history keep a multiplier of 1.
+     */
+    estimateEffects(historical, events, frequency) {
+        if (!historical || historical.length === 0 || events.length === 0) return [];
+
+        const origin = historical[0].date;
+        const seasonLength = forecastModels.getSeasonLength(frequency);
+        const { expected } = anomalyDetector.decompose(historical.map(h => h.sales), seasonLength);
+        const positions = new Map(historical.map((h, i) => [h.date, i]));
+
+        return events.map(event => {
+            const periods = this.getEventPeriods(event, frequency, origin);
+            const occurrences = Array.from(periods)
+                .filter(date => positions.has(date))
+                .sort();
+            const ratios = occurrences
+                .map(date => {
+                    const i = positions.get(date);
+                    return expected[i] > 0 ? historical[i].sales / expected[i] : null;
+                })
+                .filter(ratio => ratio !== null);
+
+            const multiplier = ratios.length > 0
+                ? ratios.reduce((a, b) => a + b, 0) / ratios.length
+                : 1;
+
+            return {
+                name: event.name,
+                category: event.category,
+                source: event.source,
+                periods,
+                occurrences,
+                estimated: ratios.length > 0,
+                multiplier: Math.round(multiplier * 1000) / 1000
+            };
+        });
+    }
+
+    /**
+     * Combined multiplier for every period touched by an estimated event
+     * (overlapping events multiply)
+     */
+    getMultipliers(effects) {
+        const multipliers = new Map();
+
+        effects
+            .filter(effect => effect.estimated)
+            .forEach(effect => effect.periods.forEach(date => {
+                multipliers.set(date, (multipliers.get(date) || 1) * effect.multiplier);
+            }));
+
+        return multipliers;
+    }
+
+    /**
+     * Public view of the estimated effects: uplift in percent, the past occurrences it was
+     * estimated from and the forecast dates it falls on (applied only when estimated).
+     * Events that neither occurred in the history nor fall in the horizon are left out.
+     */
+    describeEffects(effects, forecastDates = []) {
+        return effects
+            .map(effect => {
+                const upcoming = forecastDates.filter(date => effect.periods.has(date));
+                return {
+                    name: effect.name,
+                    category: effect.category,
+                    source: effect.source,
+                    estimated: effect.estimated,
+                    multiplier: effect.multiplier,
+                    uplift: Math.round((effect.multiplier - 1) * 1000) / 10,
+                    occurrences: effect.occurrences,
+                    upcoming,
+                    appliedTo: effect.estimated ? upcoming : []
+                };
+            })
+            .filter(effect => effect.occurrences.length > 0 || effect.upcoming.length > 0);
+    }
+}
+
+module.exports = new EventRegressors();
@@ -1,6 +1,7 @@
 // server/external-factors.js - External factors integration
 const fs = require('fs');
 const path = require('path');
+const holidayCalendar = require('./holiday-calendar');
 
 class ExternalFactors {
     constructor() {
@@ -27,13 +28,18 @@ class ExternalFactors {
             
             return data;
         } catch (error) {
-            console.error('Error loading external factors:', error);
-            return this.getDefaultFactors();
+            // Fall back to defaults (with the US federal holidays) until the cache expires
+            console.warn(`⚠️  Could not load external factors (${error.message}); using defaults`);
+            this.cache = this.getDefaultFactors();
+            this.cacheTime = Date.now();
+
+            return this.cache;
         }
     }
 
     /**
-     * Get default factors if mock data unavailable
+     * Get default factors if mock data unavailable. The default country keeps a calendar of
+     * its national holidays, so holiday regressors still resolve.
      */
     getDefaultFactors() {
         return {
@@ -43,7 +49,22 @@ class ExternalFactors {
                 gdpGrowth: 0.02,
                 inflation: 0.03
             },
-            holidays: [],
+            defaultCountries: ['US'],
+            holidayCalendars: {
+                US: {
+                    name: 'United States',
+                    holidays: [
+                        { name: "New Year's Day", rule: { type: 'fixed', month: 1, day: 1, observed: 'nearest-weekday' }, impact: 'high', category: 'national' },
+                        { name: 'Martin Luther King Jr. Day', rule: { type: 'nth-weekday', month: 1, weekday: 1, n: 3 }, impact: 'low', category: 'national' },
+                        { name: "Presidents' Day", rule: { type: 'nth-weekday', month: 2, weekday: 1, n: 3 }, impact: 'medium', category: 'national' },
+                        { name: 'Memorial Day', rule: { type: 'last-weekday', month: 5, weekday: 1 }, impact: 'medium', category: 'national' },
+                        { name: 'Independence Day', rule: { type: 'fixed', month: 7, day: 4, observed: 'nearest-weekday' }, impact: 'medium', category: 'national' },
+                        { name: 'Labor Day', rule: { type: 'nth-weekday', month: 9, weekday: 1, n: 1 }, impact: 'medium', category: 'national' },
+                        { name: 'Thanksgiving', rule: { type: 'nth-weekday', month: 11, weekday: 4, n: 4 }, impact: 'high', category: 'national' },
+                        { name: 'Christmas', rule: { type: 'fixed', month: 12, day: 25, observed: 'nearest-weekday' }, impact: 'high', category: 'national' }
+                    ]
+                }
+            },
             weather: {
                 regions: []
             },
@@ -57,21 +78,20 @@ class ExternalFactors {
     /**
      * Get factors for a specific date range
      */
-    async getFactorsForPeriod(startDate, endDate) {
-        const factors = await this.loadFactors();
-        
-        // Filter holidays in the date range
-        const holidaysInRange = (factors.holidays || []).filter(holiday => {
-            const holidayDate = new Date(holiday.date);
-            return holidayDate >= startDate && holidayDate <= endDate;
-        });
+    async getFactorsForPeriod(startDate, endDate, countries = null) {
+        const { holidayCalendars, ...factors } = await this.loadFactors();
+        const selected = await this.resolveCountries(countries);
+
+        // Holidays generated from the calendar rules for every year in the range
+        const holidaysInRange = holidayCalendar.getHolidays(holidayCalendars || {}, selected, startDate, endDate);
 
         return {
             ...factors,
             holidays: holidaysInRange,
+            countries: selected,
             period: {
-                start: startDate.toISOString().split('T')[0],
-                end: endDate.toISOString().split('T')[0]
+                start: new Date(startDate).toISOString().split('T')[0],
+                end: new Date(endDate).toISOString().split('T')[0]
             }
         };
     }
@@ -79,13 +99,14 @@ class ExternalFactors {
     /**
      * Get impact multiplier for a date
      */
-    async getDateMultiplier(date) {
+    async getDateMultiplier(date, countries = null) {
         const factors = await this.loadFactors();
         let multiplier = 1.0;
 
         // Check for holidays
-        const dateStr = date.toISOString().split('T')[0];
-        const holiday = (factors.holidays || []).find(h => h.date === dateStr);
+        const holiday = holidayCalendar.getHolidays(
+            factors.holidayCalendars || {}, await this.resolveCountries(countries), date, date
+        ).find(h => h.date === date.toISOString().split('T')[0]);
         
         if (holiday) {
             switch (holiday.impact) {
@@ -117,6 +138,65 @@ class ExternalFactors {
         return Math.round(multiplier * 100) / 100;
     }
 
+    /**
+     * Holidays in a date range as events for the forecast regressors, one per holiday with
+     * all of its occurrences. A holiday shared by several countries on the same dates is
+     * one event; one named alike but on other dates is kept apart per country.
+     */
+    async getHolidayEvents(startDate, endDate, countries = null) {
+        const { holidays } = await this.getFactorsForPeriod(startDate, endDate, countries);
+
+        const byCountry = new Map();
+        holidays.forEach(holiday => {
+            const key = `${holiday.name}|${holiday.country}`;
+            if (!byCountry.has(key)) {
+                byCountry.set(key, { name: holiday.name, category: holiday.category || 'holiday', countries: [holiday.country], dates: [] });
+            }
+            byCountry.get(key).dates.push(holiday.date);
+        });
+
+        const events = new Map();
+        byCountry.forEach(event => {
+            const key = `${event.name}|${event.dates.join(',')}`;
+            if (events.has(key)) {
+                events.get(key).countries.push(...event.countries);
+            } else {
+                events.set(key, event);
+            }
+        });
+
+        const names = Array.from(events.values()).map(e => e.name);
+        return Array.from(events.values()).map(event => ({
+            ...event,
+            name: names.filter(n => n === event.name).length > 1
+                ? `${event.name} (${event.countries.join(', ')})`
+                : event.name,
+            source: 'holiday'
+        }));
+    }
+
+    /**
+     * Country codes to take holidays from: a list or comma-separated string, defaulting to
+     * `defaultCountries`. Unknown codes are rejected.
+     */
+    async resolveCountries(countries = null) {
+        const factors = await this.loadFactors();
+        const available = Object.keys(factors.holidayCalendars || {});
+        const requested = typeof countries === 'string' ? countries.split(',') : countries;
+        const selected = (requested && requested.length > 0 ? requested : factors.defaultCountries || [])
+            .map(c => c.toString().trim().toUpperCase())
+            .filter(Boolean);
+
+        const unknown = selected.filter(c => !available.includes(c));
+        if (unknown.length > 0) {
+            const error = new Error(`Unknown holiday country "${unknown.join(', ')}". Available: ${available.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        return [...new Set(selected)];
+    }
+
     /**
      * Get weather impact for region
      */
@@ -1,10 +1,20 @@
 // server/forecast-logic.js - Fixed version with real math for ALL forecast periods
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 const promptTemplates = require('./prompt-templates');
+const forecastModels = require('./forecast-models');
+const seasonalityUtils = require('./seasonality-utils');
+const forecastMetrics = require('./forecast-metrics');
+const statsUtils = require('./stats-utils');
+const calendarUtils = require('./calendar-utils');
+const anomalyDetector = require('./anomaly-detector');
+const eventRegressors = require('./event-regressors');
+const externalFactors = require('./external-factors');
+const hierarchyReconciliation = require('./hierarchy-reconciliation');
 
 dotenv.config();
 
-// In-memory forecast cache
+// In-memory forecast cache, keyed by "<workspace id>:<session id>:<input hash>"
 const forecastCache = new Map();
 
 class ForecastLogic {
@@ -17,6 +27,33 @@ class ForecastLogic {
         this.model = this.provider === 'groq' 
             ? 'llama-3.3-70b-versatile'
             : 'deepseek-chat';
+
+        // Model library. Every entry fits an array of values and returns a common fit object
+        // ({ model, parameters, fitted, residuals, forecast(h), simulate(errors) }).
+        // `seasonal` models capture the cycle of their own frequency; `adjust: false` models
+        // are fitted on the raw values without seasonal indices.
+        this.modelRegistry = {
+            'naive': { fit: values => forecastModels.fitNaive(values) },
+            'seasonal-naive': { seasonal: true, fit: (values, ctx) => forecastModels.fitSeasonalNaive(values, ctx.seasonLength) },
+            'moving-average': { fit: values => forecastModels.fitMovingAverage(values) },
+            'ses': { fit: values => forecastModels.fitSES(values) },
+            'holt': { fit: values => forecastModels.fitHolt(values) },
+            'holt-winters': { seasonal: true, fit: (values, ctx) => forecastModels.fitHoltWinters(values, ctx.seasonLength, ctx.seasonal) },
+            'linear-regression': { seasonal: true, fit: (values, ctx) => forecastModels.fitLinearRegression(values, ctx.seasonLength) },
+            'croston': { adjust: false, fit: values => forecastModels.fitCroston(values) },
+            'sba': { adjust: false, fit: values => forecastModels.fitCroston(values, 'sba') },
+            'tsb': { adjust: false, fit: values => forecastModels.fitTSB(values) }
+        };
+
+        // Models used for series classified as intermittent or lumpy
+        this.intermittentModels = ['croston', 'sba', 'tsb'];
+
+        // 'analytic' uses closed-form h-step variances where the model has them and
+        // bootstraps residuals otherwise; 'simulation' always bootstraps
+        this.intervalMethods = ['analytic', 'simulation'];
+
+        // Quantiles returned with every forecast row unless the request asks for others
+        this.defaultQuantiles = [0.1, 0.5, 0.9];
     }
 
     /**
@@ -26,15 +63,51 @@ class ForecastLogic {
     async generateForecast(salesData, products, options = {}) {
         const {
             forecastPeriods = 30,
-            confidenceLevel = 0.95,
+            model = 'holt-winters',
+            seasonal = 'additive',
+            intervalMethod = 'analytic',
+            seed = forecastModels.DEFAULT_SEED,
+            intermittentModel = 'auto',
+            frequency: requestedFrequency = 'auto',
+            fillPolicy = 'zero',
+            anomalyMethod = 'hampel',
+            anomalyTreatment = 'flag',
+            includeExternalFactors = true,
+            reconciliation = 'bottom-up',
             cacheKey = null
         } = options;
+        const confidenceLevel = this.normalizeLevel(options.confidenceLevel ?? 0.95);
+        const intervalLevels = this.getIntervalLevels(confidenceLevel, options.intervalLevels);
+        const quantiles = this.getQuantileLevels(options.quantiles ?? this.defaultQuantiles);
+        const modelOptions = { model, seasonal, intervalMethod, seed, confidenceLevel, intervalLevels, quantiles, intermittentModel, anomalyMethod, anomalyTreatment };
 
         console.log(`🔮 Generating ${forecastPeriods}-day forecast using REAL MATH...`);
 
-        // Check cache
-        if (cacheKey && forecastCache.has(cacheKey)) {
-            const cached = forecastCache.get(cacheKey);
+        if (!salesData || salesData.length === 0) {
+            throw new Error('No sales data provided');
+        }
+        this.validateModel(model, intermittentModel);
+        if (!this.intervalMethods.includes(intervalMethod)) {
+            const error = new Error(`Unknown interval method "${intervalMethod}". Available: ${this.intervalMethods.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+        this.validateCalendarOptions(requestedFrequency, fillPolicy);
+        this.validateAnomalyOptions(anomalyMethod, anomalyTreatment);
+        if (!hierarchyReconciliation.methods.includes(reconciliation)) {
+            const error = new Error(`Unknown reconciliation method "${reconciliation}". Available: ${hierarchyReconciliation.methods.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        // Custom events are checked up front; holidays are generated once the date range is known
+        const customEvents = eventRegressors.normalizeEvents([], options.events || []);
+        const countries = includeExternalFactors ? await externalFactors.resolveCountries(options.countries) : [];
+
+        // Check cache: a session's forecast is reused only for the same data and options
+        const inputKey = cacheKey && `${cacheKey}:${this.hashInputs(salesData, products, options)}`;
+        if (inputKey && forecastCache.has(inputKey)) {
+            const cached = forecastCache.get(inputKey);
             if (Date.now() - cached.timestamp < 3600000) {
                 console.log('📦 Returning cached forecast');
                 return cached.data;
@@ -42,28 +115,85 @@ class ForecastLogic {
         }
 
         try {
-            if (!salesData || salesData.length === 0) {
-                throw new Error('No sales data provided');
-            }
+            // STEP 1-2: Aggregate historical data onto a regular calendar at the detected
+            // (or requested) frequency, filling missing periods
+            const { historical, frequency, calendar } = this.buildHistory(salesData, requestedFrequency, fillPolicy);
+            console.log(`📊 Aggregated ${historical.length} ${frequency} periods (${calendar.filledPeriods} filled with ${fillPolicy})`);
 
-            // STEP 1: Aggregate historical data
-            const historical = this.aggregateHistoricalData(salesData);
-            console.log(`📊 Aggregated ${historical.length} historical data points`);
+            // Forecast periods are requested in days and emitted at the data frequency
+            const periods = calendarUtils.periodsForDays(forecastPeriods, frequency);
 
-            // STEP 2: Detect data frequency (daily, weekly, or monthly)
-            const frequency = this.detectTimeFrequency(historical);
-            console.log(`📅 Detected frequency: ${frequency}`);
+            // Holidays of the selected countries over the history and horizon, and custom
+            // events, become regressors
+            const lastPeriod = historical[historical.length - 1].date;
+            const holidays = countries.length > 0
+                ? await externalFactors.getHolidayEvents(
+                    historical[0].date,
+                    calendarUtils.addPeriods(calendarUtils.addPeriods(lastPeriod, periods + 1, frequency), -1, 'daily'),
+                    countries
+                )
+                : [];
+            modelOptions.events = eventRegressors.normalizeEvents(holidays, customEvents);
 
             // STEP 3: Calculate daily demand (scale correctly)
             const dailyDemand = this.calculateDailyDemand(historical, frequency);
             console.log(`📈 Average daily demand: ${dailyDemand.avg} units/day`);
 
-            // STEP 4: Generate REAL forecast using exponential smoothing
-            const forecast = this.generateRealForecast(historical, forecastPeriods, frequency);
+            // STEP 4: Generate a separate forecast for every product, on the same calendar
+            // and anchored on the same last period
+            const lastDate = historical[historical.length - 1].date;
+            const productSeries = this.buildProductSeries(salesData, products, {
+                frequency,
+                fillPolicy,
+                origin: historical[0].date,
+                end: lastDate,
+                span: calendar.span
+            });
+            const productForecasts = productSeries.map(series => ({
+                product_id: series.product_id,
+                product_name: series.product_name,
+                category: series.category,
+                ...this.forecastSeries(series.historical, periods, frequency, lastDate, modelOptions),
+                dataPoints: series.historical.length,
+                averageDailyDemand: this.calculateDailyDemand(series.historical, frequency).avg
+            }));
+            console.log(`📦 Generated forecasts for ${productForecasts.length} products`);
+
+            // Per-location forecasts when the sales rows carry a store / warehouse
+            const locationForecasts = this.forecastLocations(salesData, products, periods, frequency, {
+                frequency,
+                fillPolicy,
+                origin: historical[0].date,
+                end: lastDate,
+                span: calendar.span
+            }, modelOptions);
+            if (locationForecasts.length > 0) {
+                console.log(`🏬 Generated forecasts for ${locationForecasts.length} locations`);
+            }
+
+            // STEP 5: Reconcile SKU, category and total forecasts when every row belongs to a
+            // product, or forecast the total directly (unattributed rows or a single series)
+            const coveredRows = productSeries.reduce((sum, s) => sum + s.rowCount, 0);
+            const hierarchy = productForecasts.length > 1 && coveredRows === salesData.length
+                ? this.forecastHierarchy(productSeries, productForecasts, historical, periods, frequency, lastDate, modelOptions, reconciliation)
+                : null;
+            const totalSeries = hierarchy
+                ? hierarchy.total
+                : this.forecastSeries(historical, periods, frequency, lastDate, modelOptions);
+            const forecast = totalSeries.points;
             console.log(`✅ Generated ${forecast.length} forecast points`);
 
-            // STEP 5: Calculate confidence intervals from actual data variance
-            const confidenceIntervals = this.calculateConfidenceIntervals(historical, forecast);
+            // Event effects and outliers in the total history (a rolled-up total was never fitted)
+            const eventEffects = totalSeries.events
+                ? null
+                : eventRegressors.estimateEffects(historical, modelOptions.events, frequency);
+            const events = totalSeries.events || eventRegressors.describeEffects(eventEffects, forecast.map(f => f.date));
+            const demandPattern = totalSeries.demandPattern || forecastModels.classifyDemand(historical.map(h => h.sales));
+            const anomalies = totalSeries.anomalies ||
+                this.detectAnomalies(historical, frequency, demandPattern, anomalyMethod, eventEffects);
+            if (anomalies.length > 0) {
+                console.log(`⚠️ Flagged ${anomalies.length} anomalies (${anomalyTreatment})`);
+            }
 
             // STEP 6: Detect seasonality (real detection, not AI)
             const seasonality = this.detectRealSeasonality(historical);
@@ -72,24 +202,113 @@ class ForecastLogic {
             const insights = await this.getAIInsights(historical, forecast, dailyDemand, seasonality);
 
             // STEP 8: Prepare chart data
-            const chartData = this.prepareChartData(forecast, historical);
+            const chartData = this.prepareChartData(forecast, historical, anomalies);
 
             const result = {
-                forecast: forecast.map((f, i) => ({
-                    date: f.date,
-                    predicted: Math.round(f.value * 100) / 100,
-                    upper_bound: Math.round((f.value * confidenceIntervals.upperBound[i]) * 100) / 100,
-                    lower_bound: Math.round((f.value * confidenceIntervals.lowerBound[i]) * 100) / 100
+                forecast: this.formatForecastRows(forecast),
+                productForecasts: productForecasts.map(p => ({
+                    product_id: p.product_id,
+                    product_name: p.product_name,
+                    category: p.category,
+                    forecast: this.formatForecastRows(p.points, p),
+                    metadata: {
+                        dataPoints: p.dataPoints,
+                        averageDailyDemand: p.averageDailyDemand,
+                        model: p.model,
+                        intervalMethod: p.intervalMethod,
+                        demandPattern: p.demandPattern,
+                        seasonalProfile: p.seasonalProfile,
+                        anomalies: this.formatAnomalies(p.anomalies),
+                        events: p.events
+                    }
+                })),
+                categoryForecasts: (hierarchy?.categories || []).map(c => ({
+                    category: c.category,
+                    product_ids: c.product_ids,
+                    forecast: this.formatForecastRows(c.points),
+                    metadata: {
+                        model: c.model,
+                        intervalMethod: c.intervalMethod
+                    }
+                })),
+                locationForecasts: locationForecasts.map(l => ({
+                    location: l.location,
+                    forecast: this.formatForecastRows(l.total.points),
+                    productForecasts: l.productForecasts.map(p => ({
+                        product_id: p.product_id,
+                        product_name: p.product_name,
+                        category: p.category,
+                        forecast: this.formatForecastRows(p.points, p),
+                        metadata: {
+                            dataPoints: p.dataPoints,
+                            averageDailyDemand: p.averageDailyDemand,
+                            model: p.model,
+                            demandPattern: p.demandPattern
+                        }
+                    })),
+                    metadata: {
+                        dataPoints: l.rowCount,
+                        averageDailyDemand: this.calculateDailyDemand(l.historical, frequency).avg,
+                        model: l.total.model,
+                        intervalMethod: l.total.intervalMethod
+                    }
                 })),
                 insights: insights.insights || [],
                 recommendations: insights.recommendations || [],
                 confidence: confidenceLevel,
                 seasonality: seasonality,
+                seasonalProfile: this.describeSeasonalProfile(historical, frequency, totalSeries, productForecasts),
+                events,
                 chartData: chartData,
                 metadata: {
                     dataPoints: salesData.length,
                     forecastPeriods,
+                    horizonPeriods: periods,
                     frequency,
+                    calendar: {
+                        requestedFrequency,
+                        fillPolicy,
+                        periods: historical.length,
+                        observedPeriods: calendar.observedPeriods,
+                        filledPeriods: calendar.filledPeriods,
+                        partialPeriods: calendar.partialPeriods
+                    },
+                    productsForecasted: productForecasts.length,
+                    locations: locationForecasts.length > 0 ? {
+                        count: locationForecasts.length,
+                        names: locationForecasts.map(l => l.location),
+                        unassignedRows: salesData.length - locationForecasts.reduce((sum, l) => sum + l.rowCount, 0)
+                    } : null,
+                    hierarchy: hierarchy && {
+                        reconciliation: hierarchy.method,
+                        shrinkage: hierarchy.lambda,
+                        levels: {
+                            total: 1,
+                            categories: hierarchy.categories.length,
+                            products: productForecasts.length
+                        }
+                    },
+                    model: totalSeries.model,
+                    modelSelection: model === 'auto' ? this.summarizeModelSelection(totalSeries, productForecasts) : null,
+                    demandPattern,
+                    intermittentProducts: productForecasts
+                        .filter(p => forecastModels.isIntermittent(p.demandPattern))
+                        .map(p => p.product_id),
+                    intervalMethod,
+                    intervals: {
+                        method: totalSeries.intervalMethod,
+                        confidenceLevel,
+                        levels: intervalLevels
+                    },
+                    quantiles: quantiles.map(q => this.getQuantileKey(q)),
+                    holidayCountries: countries,
+                    anomalies: {
+                        method: anomalyMethod,
+                        treatment: anomalyTreatment,
+                        count: anomalies.length,
+                        points: this.formatAnomalies(anomalies)
+                    },
+                    seed,
                     averageDailyDemand: dailyDemand.avg,
                     peakDailyDemand: dailyDemand.peak,
                     generatedAt: new Date().toISOString()
@@ -97,8 +316,8 @@ class ForecastLogic {
             };
 
             // Cache the result
-            if (cacheKey) {
-                forecastCache.set(cacheKey, {
+            if (inputKey) {
+                forecastCache.set(inputKey, {
                     data: result,
                     timestamp: Date.now()
                 });
@@ -109,29 +328,728 @@ class ForecastLogic {
         } catch (error) {
             console.error('Forecast generation error:', error);
             // Fallback to simple moving average
-            return this.fallbackForecast(salesData, forecastPeriods);
+            return this.fallbackForecast(salesData, forecastPeriods, confidenceLevel);
+        }
+    }
+
+    /**
+     * Rolling-origin backtest: refit on an expanding window ending at each origin and score
+     * the next `horizon` periods against what actually happened
+     */
+    backtest(salesData, options = {}) {
+        const {
+            horizon = 7,
+            folds = 5,
+            step = horizon,
+            model = 'holt-winters',
+            seasonal = 'additive',
+            productId = null,
+            intermittentModel = 'none',
+            frequency: requestedFrequency = 'auto',
+            fillPolicy = 'zero',
+            anomalyMethod = 'hampel',
+            anomalyTreatment = 'flag',
+            minTrainingSize = Math.max(horizon, 7)
+        } = options;
+
+        if (!salesData || salesData.length === 0) {
+            throw new Error('No sales data provided');
+        }
+        this.validateModel(model, intermittentModel);
+        this.validateCalendarOptions(requestedFrequency, fillPolicy);
+        this.validateAnomalyOptions(anomalyMethod, anomalyTreatment);
+
+        const rows = productId
+            ? salesData.filter(row => this.getProductKey(row) === productId || row.product_name === productId)
+            : salesData;
+        const { historical, frequency } = this.buildHistory(rows, requestedFrequency, fillPolicy);
+
+        console.log(`🧪 Backtesting ${model} with horizon ${horizon}`);
+
+        const result = this.backtestSeries(historical, frequency, {
+            horizon, folds, step, model, seasonal, intermittentModel, anomalyMethod, anomalyTreatment, minTrainingSize
+        });
+
+        return {
+            horizon,
+            frequency,
+            model,
+            productId,
+            overall: result.overall,
+            folds: result.folds
+        };
+    }
+
+    /**
+     * Backtest one aggregated series over rolling origins and pool the fold errors
+     */
+    backtestSeries(historical, frequency, options = {}) {
+        const {
+            horizon = 7,
+            folds = 5,
+            step = horizon,
+            model = 'holt-winters',
+            seasonal = 'additive',
+            intermittentModel = 'none',
+            anomalyMethod = 'none',
+            anomalyTreatment = 'flag',
+            minTrainingSize = Math.max(horizon, 7)
+        } = options;
+        const seasonLength = forecastModels.getSeasonLength(frequency);
+
+        // Origins step back from the end of the history, oldest first
+        const origins = [];
+        for (let k = folds - 1; k >= 0; k--) {
+            const origin = historical.length - horizon - k * step;
+            if (origin >= minTrainingSize) origins.push(origin);
+        }
+
+        if (origins.length === 0) {
+            const error = new Error(`Not enough history for backtest: need at least ${minTrainingSize + horizon} data points, got ${historical.length}`);
+            error.status = 400;
+            throw error;
+        }
+
+        const foldResults = origins.map((origin, i) => {
+            const training = historical.slice(0, origin);
+            const test = historical.slice(origin, origin + horizon);
+            const series = this.forecastSeries(training, test.length, frequency, null, {
+                model, seasonal, intermittentModel, anomalyMethod, anomalyTreatment
+            });
+
+            const actual = test.map(t => t.sales);
+            const predicted = series.points.map(p => p.value);
+            const trainingValues = training.map(t => t.sales);
+
+            return {
+                fold: i + 1,
+                trainStart: training[0].date,
+                trainEnd: training[training.length - 1].date,
+                testStart: test[0].date,
+                testEnd: test[test.length - 1].date,
+                trainingSize: training.length,
+                metrics: forecastMetrics.summarize(actual, predicted, trainingValues, seasonLength),
+                points: test.map((t, j) => ({
+                    date: t.date,
+                    actual: t.sales,
+                    predicted: Math.round(predicted[j] * 100) / 100
+                })),
+                // Raw series kept for pooling the overall metrics
+                actual,
+                predicted,
+                training: trainingValues,
+                seasonLength
+            };
+        });
+
+        return {
+            overall: forecastMetrics.summarizeFolds(foldResults),
+            folds: foldResults.map(({ actual, predicted, training, seasonLength, ...fold }) => fold)
+        };
+    }
+
+    /**
+     * Pick the model with the lowest backtest error for one series.
+     * MASE is compared when every candidate has it (it is undefined for flat histories), RMSE otherwise.
+     */
+    selectModel(historical, periods, frequency, options = {}) {
+        const {
+            seasonal = 'additive',
+            folds = 3,
+            candidates = Object.keys(this.modelRegistry),
+            fallback = 'holt-winters'
+        } = options;
+        const seasonLength = forecastModels.getSeasonLength(frequency);
+        const horizon = Math.max(1, Math.min(periods, seasonLength, Math.floor(historical.length / 4)));
+
+        const scores = [];
+        candidates.forEach(name => {
+            try {
+                const { overall } = this.backtestSeries(historical, frequency, { horizon, folds, model: name, seasonal });
+                scores.push({ model: name, mase: overall.mase, rmse: overall.rmse, smape: overall.smape });
+            } catch (error) {
+                if (error.status !== 400) throw error;
+            }
+        });
+
+        if (scores.length === 0) {
+            return {
+                method: 'backtest',
+                model: fallback,
+                metric: null,
+                horizon,
+                folds,
+                reason: `Not enough history to compare models; using ${fallback}`,
+                runnerUp: null,
+                scores: []
+            };
+        }
+
+        const metric = scores.every(s => s.mase !== null) ? 'mase' : 'rmse';
+        scores.forEach(s => { s.score = s[metric]; });
+        // Stable sort keeps registry order on ties; models without a score go last
+        scores.sort((a, b) => (a.score ?? Infinity) - (b.score ?? Infinity));
+
+        return {
+            method: 'backtest',
+            model: scores[0].model,
+            metric,
+            horizon,
+            folds,
+            runnerUp: scores[1] || null,
+            scores
+        };
+    }
+
+    /**
+     * Collect the automatic model choices of the total and of every product forecast
+     */
+    summarizeModelSelection(totalSeries, productForecasts) {
+        const describe = (series, model) => ({
+            series,
+            model: model.name,
+            parameters: model.parameters,
+            metric: model.selection?.metric || null,
+            score: model.selection?.scores[0]?.score ?? null,
+            runnerUp: model.selection?.runnerUp || null,
+            scores: model.selection?.scores || []
+        });
+
+        return [
+            ...(totalSeries.model.selection ? [describe('total', totalSeries.model)] : []),
+            ...productForecasts.map(p => ({ ...describe(p.product_id, p.model), product_name: p.product_name }))
+        ];
+    }
+
+    /**
+     * Aggregate sales rows into one series on a regular calendar
+     */
+    buildHistory(salesData, requestedFrequency = 'auto', fillPolicy = 'zero') {
+        const observed = this.aggregateHistoricalData(salesData);
+        const frequency = requestedFrequency === 'auto'
+            ? this.detectTimeFrequency(observed)
+            : requestedFrequency;
+        const calendar = calendarUtils.buildCalendar(observed, frequency, { fillPolicy });
+
+        return { historical: calendar.series, frequency, calendar };
+    }
+
+    /**
+     * Reject frequencies and gap-filling policies the calendar does not support
+     */
+    validateCalendarOptions(frequency, fillPolicy) {
+        if (frequency !== 'auto' && !calendarUtils.frequencies.includes(frequency)) {
+            const error = new Error(`Unknown frequency "${frequency}". Available: auto, ${calendarUtils.frequencies.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        if (!calendarUtils.fillPolicies.includes(fillPolicy)) {
+            const error = new Error(`Unknown fill policy "${fillPolicy}". Available: ${calendarUtils.fillPolicies.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Reject model names that are neither in the library nor one of the special modes
+     */
+    validateModel(model, intermittentModel = 'auto') {
+        if (!(model === 'auto' || model === 'smoothing' || this.modelRegistry[model])) {
+            const error = new Error(`Unknown forecast model "${model}". Available: auto, smoothing, ${Object.keys(this.modelRegistry).join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        if (!(intermittentModel === 'auto' || intermittentModel === 'none' || this.intermittentModels.includes(intermittentModel))) {
+            const error = new Error(`Unknown intermittent model "${intermittentModel}". Available: auto, none, ${this.intermittentModels.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Flag outliers in a series. Intermittent series are left alone: their isolated
+     * spikes are the demand, not errors in it. Known holidays and events are not outliers.
+     */
+    detectAnomalies(historical, frequency, demandPattern, method = 'hampel', eventEffects = []) {
+        if (method === 'none' || forecastModels.isIntermittent(demandPattern)) {
+            return [];
+        }
+
+        return anomalyDetector
+            .detect(historical, {
+                method,
+                seasonLength: forecastModels.getSeasonLength(frequency)
+            })
+            .filter(anomaly => !eventEffects.some(effect => effect.periods.has(anomaly.date)));
+    }
+
+    /**
+     * Reject anomaly detection methods and treatments the detector does not support
+     */
+    validateAnomalyOptions(method, treatment) {
+        if (!anomalyDetector.methods.includes(method)) {
+            const error = new Error(`Unknown anomaly method "${method}". Available: ${anomalyDetector.methods.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        if (!anomalyDetector.treatments.includes(treatment)) {
+            const error = new Error(`Unknown anomaly treatment "${treatment}". Available: ${anomalyDetector.treatments.join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * Forecast a single series with the requested model and attach confidence bounds to every point
+     */
+    forecastSeries(historical, periods, frequency, anchorDate = null, modelOptions = {}) {
+        const {
+            model = 'holt-winters',
+            seasonal = 'additive',
+            intervalMethod = 'analytic',
+            seed = forecastModels.DEFAULT_SEED,
+            confidenceLevel = 0.95,
+            intervalLevels = [confidenceLevel],
+            quantiles = [],
+            intermittentModel = 'auto',
+            anomalyMethod = 'hampel',
+            anomalyTreatment = 'flag',
+            events = []
+        } = modelOptions;
+
+        let forecast;
+        let modelInfo;
+        let fit = null;
+
+        // Intermittent and lumpy series switch to the Croston family unless disabled
+        // ('none') or a Croston-family model was requested explicitly
+        const demandPattern = forecastModels.classifyDemand(historical.map(h => h.sales));
+
+        // Holiday and event uplifts, estimated from their past occurrences in the raw history
+        const eventEffects = eventRegressors.estimateEffects(historical, events, frequency);
+        const eventMultipliers = eventRegressors.getMultipliers(eventEffects);
+
+        // Flag outliers and, when asked to, replace them before anything is fitted
+        const anomalies = this.detectAnomalies(historical, frequency, demandPattern, anomalyMethod, eventEffects);
+        if (anomalyTreatment === 'replace' && anomalies.length > 0) {
+            historical = anomalyDetector.cleanse(historical, anomalies);
+        }
+
+        // Models fit the demand with event effects divided out; they are multiplied
+        // back onto the forecast periods the events fall on
+        if (eventMultipliers.size > 0) {
+            historical = historical.map(h => eventMultipliers.get(h.date) > 0
+                ? { ...h, sales: h.sales / eventMultipliers.get(h.date) }
+                : h);
+        }
+
+        // Seasonal indices estimated from this series' own history
+        const seasonalProfile = this.calculateSeasonalFactors(historical, frequency);
+
+        const intermittent = intermittentModel !== 'none' &&
+            forecastModels.isIntermittent(demandPattern) &&
+            !this.intermittentModels.includes(model);
+
+        let selection = null;
+        let modelName = model;
+        if (intermittent && intermittentModel !== 'auto') {
+            modelName = intermittentModel;
+        } else if (intermittent) {
+            selection = this.selectModel(historical, periods, frequency, {
+                seasonal,
+                candidates: this.intermittentModels,
+                fallback: 'sba'
+            });
+            modelName = selection.model;
+        } else if (model === 'auto') {
+            selection = this.selectModel(historical, periods, frequency, { seasonal });
+            modelName = selection.model;
+        }
+        const applied = this.selectSeasonalProfiles(seasonalProfile, frequency, modelName);
+
+        if (this.modelRegistry[modelName]) {
+            const result = this.generateModelForecast(historical, periods, frequency, anchorDate, modelName, seasonal, seasonalProfile);
+            forecast = result.forecast;
+            fit = result.fit;
+            modelInfo = {
+                name: result.model,
+                parameters: result.parameters,
+                ...(selection && { selection })
+            };
+        } else {
+            forecast = this.generateRealForecast(historical, periods, frequency, anchorDate, seasonalProfile);
+            modelInfo = { name: 'smoothing', parameters: {} };
+        }
+
+        // Every series gets its own generator from the same seed, so results do not depend on product order
+        const levels = [...new Set([...intervalLevels, confidenceLevel])].sort((a, b) => a - b);
+        const intervals = fit
+            ? this.calculatePredictionIntervals(fit, forecast, levels, intervalMethod, forecastModels.createRandom(seed), quantiles)
+            : this.calculateConfidenceIntervals(historical, forecast, levels, quantiles);
+
+        return {
+            model: modelInfo,
+            intervalMethod: intervals.method,
+            demandPattern,
+            seasonalProfile: { ...seasonalProfile, applied },
+            anomalies,
+            // One-step residuals, used to weight the hierarchy reconciliation
+            residuals: fit ? fit.residuals : this.naiveResiduals(historical),
+            events: eventRegressors.describeEffects(eventEffects, forecast.map(f => f.date)),
+            points: forecast.map((f, i) => this.withMainInterval(this.applyEventMultiplier({
+                date: f.date,
+                value: f.value,
+                ...intervals.points[i]
+            }, eventMultipliers.get(f.date)), confidenceLevel))
+        };
+    }
+
+    /**
+     * Scale a forecast point (value, spread, intervals and quantiles) by an event multiplier
+     */
+    applyEventMultiplier(point, multiplier) {
+        if (multiplier === undefined || multiplier === 1) return point;
+
+        const scale = value => Math.round(value * multiplier * 100) / 100;
+        return {
+            ...point,
+            value: scale(point.value),
+            sd: point.sd !== undefined ? point.sd * multiplier : point.sd,
+            intervals: point.intervals.map(i => ({ ...i, lower: scale(i.lower), upper: scale(i.upper) })),
+            quantiles: (point.quantiles || []).map(q => ({ ...q, value: scale(q.value) }))
+        };
+    }
+
+    /**
+     * Generate forecast with a model from the library (Holt-Winters, SES, regression, ...)
+     */
+    generateModelForecast(historical, periods, frequency, anchorDate = null, modelName = 'holt-winters', seasonal = 'additive', seasonalProfile = null) {
+        const lastDate = new Date(anchorDate || historical[historical.length - 1].date);
+        const seasonLength = forecastModels.getSeasonLength(frequency);
+
+        // Seasonal indices the model does not capture itself are divided out before
+        // fitting and multiplied back onto the forecast
+        const profile = seasonalProfile || this.calculateSeasonalFactors(historical, frequency);
+        const applied = this.selectSeasonalProfiles(profile, frequency, modelName);
+        const values = historical.map(h =>
+            h.sales / (seasonalityUtils.getSeasonalIndex(new Date(h.date), profile, applied) || 1)
+        );
+
+        const fit = this.modelRegistry[modelName].fit(values, { seasonLength, seasonal });
+        const predictions = fit.forecast(periods);
+
+        const forecast = predictions.map((predicted, i) => {
+            const forecastDate = calendarUtils.addPeriods(lastDate, i + 1, frequency);
+            const index = seasonalityUtils.getSeasonalIndex(forecastDate, profile, applied);
+            return {
+                date: calendarUtils.formatDate(forecastDate),
+                value: Math.max(0, Math.round(predicted * index * 100) / 100),
+                // Kept to put prediction intervals on the same scale as the forecast
+                index
+            };
+        });
+
+        return { model: fit.model, parameters: fit.parameters, forecast, fit };
+    }
+
+    /**
+     * Describe the seasonal profile behind the total forecast. A rolled-up total has no model
+     * of its own, so it lists the profiles applied to any of its products.
+     */
+    describeSeasonalProfile(historical, frequency, totalSeries, productForecasts) {
+        if (totalSeries.seasonalProfile) {
+            return totalSeries.seasonalProfile;
+        }
+
+        const applied = [...new Set(productForecasts.flatMap(p => p.seasonalProfile?.applied || []))];
+        return { ...this.calculateSeasonalFactors(historical, frequency), applied };
+    }
+
+    /**
+     * Sum several forecast series date by date into a rolled-up total.
+     * Forecast errors of the series are treated as independent, so variances add up
+     * (summing the bounds themselves would overstate the spread of the total).
+     */
+    rollUpForecasts(seriesList, confidenceLevel = 0.95, quantiles = []) {
+        const totals = new Map();
+
+        seriesList.forEach(points => {
+            points.forEach(p => {
+                const total = totals.get(p.date) || {
+                    date: p.date,
+                    value: 0,
+                    variance: 0,
+                    levels: (p.intervals || []).map(i => i.level)
+                };
+                total.value += p.value;
+                total.variance += Math.pow(p.sd || 0, 2);
+                totals.set(p.date, total);
+            });
+        });
+
+        return Array.from(totals.values())
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .map(total => {
+                const sd = Math.sqrt(total.variance);
+                return this.withMainInterval({
+                    date: total.date,
+                    value: total.value,
+                    sd,
+                    intervals: this.normalIntervals(total.value, sd, total.levels.length > 0 ? total.levels : [confidenceLevel]),
+                    quantiles: this.normalQuantiles(total.value, sd, quantiles)
+                }, confidenceLevel);
+            });
+    }
+
+    /**
+     * Forecast the SKU / category / total hierarchy and make it coherent. Bottom-up sums the
+     * SKU forecasts and their variances (the previous roll-up). Top-down, OLS and MinT need
+     * base forecasts of the total and of every category; the reconciled values replace the
+     * base values of every node (SKU points included), with each node keeping the spread
+     * of its base forecast around the new value.
+     */
+    forecastHierarchy(productSeries, productForecasts, historical, periods, frequency, anchorDate, modelOptions, method = 'bottom-up') {
+        const { confidenceLevel = 0.95, quantiles = [] } = modelOptions;
+        const { nodes, categories, S } = hierarchyReconciliation.buildSummingMatrix(productSeries.map(s => s.category));
+        const members = category => productForecasts.filter(p => p.category === category);
+
+        if (method === 'bottom-up') {
+            const rollUp = forecasts => ({
+                points: this.rollUpForecasts(forecasts.map(p => p.points), confidenceLevel, quantiles),
+                model: { name: 'bottom-up', parameters: {} },
+                intervalMethod: 'rolled-up'
+            });
+
+            return {
+                method,
+                lambda: null,
+                total: rollUp(productForecasts),
+                categories: categories.map(category => ({
+                    category,
+                    product_ids: members(category).map(p => p.product_id),
+                    ...rollUp(members(category))
+                }))
+            };
         }
+
+        // Base forecasts of the total and of every category, in the order of the summing matrix
+        const categoryHistories = categories.map(category => this.sumSeries(
+            productSeries.filter(s => s.category === category).map(s => s.historical)
+        ));
+        const baseSeries = [
+            this.forecastSeries(historical, periods, frequency, anchorDate, modelOptions),
+            ...categoryHistories.map(h => this.forecastSeries(h, periods, frequency, anchorDate, modelOptions)),
+            ...productForecasts
+        ];
+
+        const { forecasts, lambda } = hierarchyReconciliation.reconcile(
+            baseSeries.map(series => series.points.map(p => p.value)),
+            S,
+            method,
+            {
+                proportions: hierarchyReconciliation.getProportions(productSeries.map(s => s.historical.map(h => h.sales))),
+                residuals: baseSeries.map(series => series.residuals)
+            }
+        );
+
+        const reconciled = baseSeries.map((series, i) => ({
+            ...series,
+            points: this.recenterPoints(series.points, forecasts[i], confidenceLevel)
+        }));
+        nodes.forEach((node, i) => {
+            if (node.level === 'sku') productForecasts[node.index].points = reconciled[i].points;
+        });
+
+        return {
+            method,
+            lambda: lambda === null ? null : Math.round(lambda * 1000) / 1000,
+            total: reconciled[0],
+            categories: categories.map((category, c) => ({
+                category,
+                product_ids: members(category).map(p => p.product_id),
+                ...reconciled[1 + c]
+            }))
+        };
+    }
+
+    /**
+     * Forecast every location (store / warehouse) found in the sales rows: one series per
+     * product at the location, summed into the location total when every row there belongs
+     * to a product. Rows without a location are left out; returns [] when no row has one.
+     */
+    forecastLocations(salesData, products, periods, frequency, calendar, modelOptions) {
+        const { confidenceLevel = 0.95, quantiles = [] } = modelOptions;
+        const groups = new Map();
+
+        salesData.forEach(row => {
+            const location = this.getLocationKey(row);
+            if (!location) return;
+            if (!groups.has(location)) groups.set(location, []);
+            groups.get(location).push(row);
+        });
+
+        return Array.from(groups.entries())
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([location, rows]) => {
+                const historical = calendarUtils.buildCalendar(this.aggregateHistoricalData(rows), frequency, calendar).series;
+                const productSeries = this.buildProductSeries(rows, products, calendar);
+                const productForecasts = productSeries.map(series => ({
+                    product_id: series.product_id,
+                    product_name: series.product_name,
+                    category: series.category,
+                    ...this.forecastSeries(series.historical, periods, frequency, calendar.end, modelOptions),
+                    dataPoints: series.historical.length,
+                    averageDailyDemand: this.calculateDailyDemand(series.historical, frequency).avg
+                }));
+
+                const coveredRows = productSeries.reduce((sum, s) => sum + s.rowCount, 0);
+                const total = productForecasts.length > 1 && coveredRows === rows.length
+                    ? {
+                        points: this.rollUpForecasts(productForecasts.map(p => p.points), confidenceLevel, quantiles),
+                        model: { name: 'bottom-up', parameters: {} },
+                        intervalMethod: 'rolled-up'
+                    }
+                    : this.forecastSeries(historical, periods, frequency, calendar.end, modelOptions);
+
+                return { location, historical, rowCount: rows.length, total, productForecasts };
+            });
+    }
+
+    /**
+     * Sum several series date by date
+     */
+    sumSeries(seriesList) {
+        const totals = new Map();
+        seriesList.forEach(series => series.forEach(h => {
+            totals.set(h.date, (totals.get(h.date) || 0) + h.sales);
+        }));
+
+        return Array.from(totals.entries())
+            .sort((a, b) => new Date(a[0]) - new Date(b[0]))
+            .map(([date, sales]) => ({ date, sales }));
+    }
+
+    /**
+     * Move forecast points to new central values, shifting their intervals and quantiles
+     * by the same amount (bounds stay non-negative)
+     */
+    recenterPoints(points, values, confidenceLevel = 0.95) {
+        return points.map((p, h) => {
+            const value = Math.max(0, Math.round(values[h] * 100) / 100);
+            const shift = bound => Math.max(0, Math.round((bound + value - p.value) * 100) / 100);
+
+            return this.withMainInterval({
+                ...p,
+                value,
+                intervals: p.intervals.map(i => ({ ...i, lower: shift(i.lower), upper: shift(i.upper) })),
+                quantiles: (p.quantiles || []).map(q => ({ ...q, value: shift(q.value) }))
+            }, confidenceLevel);
+        });
+    }
+
+    /**
+     * One-step residuals of the naive forecast, for series forecast without a fitted model
+     */
+    naiveResiduals(historical) {
+        return historical.map((h, i) => i === 0 ? NaN : h.sales - historical[i - 1].sales);
+    }
+
+    /**
+     * Convert internal forecast points to the rows returned by the API
+     */
+    formatForecastRows(points, product = null) {
+        return points.map(p => ({
+            date: p.date,
+            ...(product && { product_id: product.product_id, product_name: product.product_name }),
+            predicted: Math.round(p.value * 100) / 100,
+            upper_bound: Math.round(p.upper * 100) / 100,
+            lower_bound: Math.round(p.lower * 100) / 100,
+            prediction_intervals: (p.intervals || []).map(i => ({
+                level: i.level,
+                lower_bound: Math.round(i.lower * 100) / 100,
+                upper_bound: Math.round(i.upper * 100) / 100
+            })),
+            quantiles: Object.fromEntries((p.quantiles || []).map(q => [
+                this.getQuantileKey(q.q),
+                Math.round(q.value * 100) / 100
+            ]))
+        }));
+    }
+
+    /**
+     * Split sales rows into one aggregated series per product. With a calendar, each series
+     * runs from the product's first period to the shared `end`, with gaps filled.
+     */
+    buildProductSeries(salesData, products = [], calendar = null) {
+        const groups = new Map();
+
+        salesData.forEach(row => {
+            const key = this.getProductKey(row);
+            if (!key) return;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+
+        return Array.from(groups.entries())
+            .map(([key, rows]) => {
+                const product = this.matchProduct(key, rows[0], products);
+                return {
+                    product_id: product?.id || key,
+                    product_name: product?.name || rows[0].product_name || key,
+                    category: product?.category || rows[0].category || rows[0].Category || 'Uncategorized',
+                    historical: calendar
+                        ? calendarUtils.buildCalendar(this.aggregateHistoricalData(rows), calendar.frequency, calendar).series
+                        : this.aggregateHistoricalData(rows),
+                    rowCount: rows.length
+                };
+            })
+            .filter(series => series.historical.length > 0);
+    }
+
+    /**
+     * Get the product identifier of a sales row (ID preferred, name otherwise)
+     */
+    getProductKey(row) {
+        const key = row.product_id || row.productId || row.ProductID ||
+            row.product || row.product_name || row.productName || row.Product;
+        return key !== undefined && key !== null && key.toString().trim()
+            ? key.toString().trim()
+            : null;
+    }
+
+    /**
+     * Get the location (store / warehouse) of a sales row, or null for a single stock pool
+     */
+    getLocationKey(row) {
+        const key = row.location || row.location_id || row.locationId || row.warehouse ||
+            row.Location || row.Warehouse;
+        return key !== undefined && key !== null && key.toString().trim()
+            ? key.toString().trim()
+            : null;
+    }
+
+    /**
+     * Find the catalog product a sales series belongs to, by ID or by name
+     */
+    matchProduct(key, row, products = []) {
+        const names = [key, row.product_name, row.productName, row.product]
+            .filter(n => typeof n === 'string')
+            .map(n => n.trim().toLowerCase());
+
+        return (products || []).find(p =>
+            p.id === key ||
+            (p.name && names.includes(p.name.toLowerCase()))
+        ) || null;
     }
 
     /**
      * Detect if data is daily, weekly, or monthly
      */
     detectTimeFrequency(historical) {
-        if (historical.length < 2) return 'daily';
-        
-        const dates = historical.map(h => new Date(h.date));
-        const gaps = [];
-        
-        for (let i = 1; i < dates.length; i++) {
-            const gap = (dates[i] - dates[i-1]) / (1000 * 60 * 60 * 24);
-            gaps.push(gap);
-        }
-        
-        const avgGap = gaps.reduce((a, b) => a + b, 0) / gaps.length;
-        
-        if (avgGap >= 28) return 'monthly';
-        if (avgGap >= 6) return 'weekly';
-        return 'daily';
+        return calendarUtils.detectFrequency(historical.map(h => h.date));
     }
 
     /**
@@ -165,52 +1083,42 @@ class ForecastLogic {
     }
 
     /**
-     * Generate REAL forecast using exponential smoothing
-     * This is a proper statistical method, not AI hallucination
+     * Generate REAL forecast by compounding the last value with the linear trend
+     * and seasonal factors (the 'smoothing' model)
      */
-    generateRealForecast(historical, periods, frequency) {
+    generateRealForecast(historical, periods, frequency, anchorDate = null, seasonalProfile = null) {
         const values = historical.map(h => h.sales);
-        const lastDate = new Date(historical[historical.length - 1].date);
+        const lastObserved = historical[historical.length - 1];
+        const lastDate = new Date(anchorDate || lastObserved.date);
         
         // Calculate trend using linear regression
         const trend = this.calculateTrend(values);
         
-        // Calculate seasonality factors
-        const seasonalFactors = this.calculateSeasonalFactors(values, frequency);
-        
-        // Holt-Winters exponential smoothing parameters
-        const alpha = 0.3;  // Level smoothing
-        const beta = 0.1;   // Trend smoothing
-        const gamma = 0.2;  // Seasonal smoothing
+        // Seasonal indices estimated from the data
+        const profile = seasonalProfile || this.calculateSeasonalFactors(historical, frequency);
+        const applied = this.selectSeasonalProfiles(profile, frequency, 'smoothing');
         
-        let level = values[values.length - 1];
-        let currentTrend = trend;
-        let lastValue = level;
+        // Start from the deseasonalized last value so seasonal factors do not compound
+        const lastIndex = seasonalityUtils.getSeasonalIndex(new Date(lastObserved.date), profile, applied) || 1;
+        let level = lastObserved.sales / lastIndex;
         
         const forecast = [];
         
         for (let i = 1; i <= periods; i++) {
             // Update level with slight trend
-            level = lastValue * (1 + currentTrend * 0.001);
+            level = level * (1 + trend * 0.001);
             
             // Apply seasonal factor based on date
-            const forecastDate = new Date(lastDate);
-            forecastDate.setDate(forecastDate.getDate() + i);
-            const seasonFactor = this.getSeasonalFactor(forecastDate, seasonalFactors);
+            const forecastDate = calendarUtils.addPeriods(lastDate, i, frequency);
+            const seasonFactor = seasonalityUtils.getSeasonalIndex(forecastDate, profile, applied);
             
-            // Calculate predicted value
-            let predicted = level * seasonFactor;
-            
-            // Add small random variation for realism (2% max)
-            const variation = 1 + (Math.random() - 0.5) * 0.04;
-            predicted = predicted * variation;
+            // Calculate predicted value (deterministic: same input, same forecast)
+            const predicted = level * seasonFactor;
             
             forecast.push({
-                date: forecastDate.toISOString().split('T')[0],
+                date: calendarUtils.formatDate(forecastDate),
                 value: Math.max(1, Math.round(predicted * 100) / 100)
             });
-            
-            lastValue = predicted;
         }
         
         return forecast;
@@ -238,57 +1146,210 @@ class ForecastLogic {
     }
 
     /**
-     * Calculate seasonal factors based on day of week or month
+     * Estimate seasonal factors (day-of-week, week-of-year, month-of-year) from the history
      */
-    calculateSeasonalFactors(values, frequency) {
-        const factors = new Array(frequency === 'monthly' ? 12 : 7).fill(1);
-        
-        if (frequency === 'weekly') {
-            // Weekday factors (Monday=0 to Sunday=6)
-            return [1.2, 1.0, 0.9, 0.9, 1.0, 1.1, 1.1];
-        } else if (frequency === 'monthly') {
-            // Monthly factors (Jan=0 to Dec=11)
-            return [1.2, 1.0, 0.9, 0.9, 1.0, 1.1, 1.1, 1.0, 1.0, 1.1, 1.2, 1.3];
+    calculateSeasonalFactors(historical, frequency) {
+        return seasonalityUtils.estimateSeasonalProfile(historical, frequency);
+    }
+
+    /**
+     * Choose which estimated seasonal profiles a model applies.
+     * Seasonal models (Holt-Winters, seasonal naive, regression with dummies) already capture
+     * the cycle of their own frequency, so only a longer yearly profile is applied on top of
+     * them; week-of-year is preferred to month-of-year.
+     */
+    selectSeasonalProfiles(profile, frequency, model) {
+        const applied = [];
+        const entry = this.modelRegistry[model];
+        if (!profile || entry?.adjust === false) return applied;
+
+        const modelsCycle = Boolean(entry?.seasonal);
+        if (frequency === 'daily' && !modelsCycle && profile.dayOfWeek) {
+            applied.push('dayOfWeek');
         }
-        
-        return factors;
+
+        const yearlyHandledByModel = modelsCycle && frequency !== 'daily';
+        if (!yearlyHandledByModel) {
+            if (frequency !== 'monthly' && profile.weekOfYear) {
+                applied.push('weekOfYear');
+            } else if (profile.monthOfYear) {
+                applied.push('monthOfYear');
+            }
+        }
+
+        return applied;
     }
 
     /**
-     * Get seasonal factor for a specific date
+     * Prediction intervals from the fitted model's residuals: closed-form h-step variances where
+     * the model has them ('analytic'), otherwise the quantiles of bootstrapped sample paths.
+     * Uses the seeded generator, so the same seed always reproduces the same bounds.
      */
-    getSeasonalFactor(date, seasonalFactors) {
-        if (seasonalFactors.length === 7) {
-            // Weekly pattern
-            return seasonalFactors[date.getDay()];
-        } else if (seasonalFactors.length === 12) {
-            // Monthly pattern
-            return seasonalFactors[date.getMonth()];
+    calculatePredictionIntervals(fit, forecast, levels, intervalMethod, random, quantiles = []) {
+        const variances = intervalMethod === 'analytic'
+            ? forecastModels.forecastVariance(fit, forecast.length)
+            : null;
+
+        if (variances) {
+            return {
+                method: 'analytic',
+                points: forecast.map((f, i) => {
+                    const sd = Math.sqrt(variances[i]) * (f.index ?? 1);
+                    return {
+                        sd,
+                        intervals: this.normalIntervals(f.value, sd, levels),
+                        quantiles: this.normalQuantiles(f.value, sd, quantiles)
+                    };
+                })
+            };
         }
-        return 1;
+
+        const paths = forecastModels.simulatePaths(fit, forecast.length, { random });
+
+        return {
+            method: 'bootstrap',
+            points: forecast.map((f, i) => {
+                const index = f.index ?? 1;
+                const samples = paths[i];
+
+                return {
+                    sd: statsUtils.standardDeviation(samples) * index,
+                    // Bounds are kept around the point forecast, on the same seasonal scale
+                    intervals: levels.map(level => {
+                        const tail = (1 - level) / 2;
+                        const lower = samples.length > 0 ? forecastModels.quantile(samples, tail) * index : f.value;
+                        const upper = samples.length > 0 ? forecastModels.quantile(samples, 1 - tail) * index : f.value;
+                        return {
+                            level,
+                            lower: Math.max(0, Math.min(f.value, lower)),
+                            upper: Math.max(f.value, upper)
+                        };
+                    }),
+                    // Quantiles describe the simulated distribution itself (the median of a
+                    // lumpy item can be 0), so they are not pulled towards the point forecast
+                    quantiles: quantiles.map(q => ({
+                        q,
+                        value: samples.length > 0 ? Math.max(0, forecastModels.quantile(samples, q) * index) : f.value
+                    }))
+                };
+            })
+        };
     }
 
     /**
-     * Calculate confidence intervals from historical variance
+     * Prediction intervals for the legacy 'smoothing' model, which has no fitted residuals.
+     * It compounds from the last observation, so one-step changes of the history act as
+     * residuals and the variance grows like a random walk's.
      */
-    calculateConfidenceIntervals(historical, forecast) {
+    calculateConfidenceIntervals(historical, forecast, levels, quantiles = []) {
         const values = historical.map(h => h.sales);
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length;
-        const stdDev = Math.sqrt(variance);
-        const cv = stdDev / mean; // Coefficient of variation
-        
-        // Wider intervals for longer forecasts
-        const upperBound = [];
-        const lowerBound = [];
-        
-        forecast.forEach((_, i) => {
-            const uncertainty = cv * (1 + i / forecast.length);
-            upperBound.push(1 + Math.min(0.5, uncertainty));
-            lowerBound.push(Math.max(0.5, 1 - uncertainty));
+        const changes = values.slice(1).map((v, i) => v - values[i]);
+        const sigma = changes.length > 0
+            ? Math.sqrt(changes.reduce((sum, c) => sum + c * c, 0) / changes.length)
+            : 0;
+
+        return {
+            method: 'analytic',
+            points: forecast.map((f, i) => {
+                const sd = sigma * Math.sqrt(i + 1);
+                return {
+                    sd,
+                    intervals: this.normalIntervals(f.value, sd, levels),
+                    quantiles: this.normalQuantiles(f.value, sd, quantiles)
+                };
+            })
+        };
+    }
+
+    /**
+     * Central normal intervals around a point forecast for each confidence level (floored at zero demand)
+     */
+    normalIntervals(value, sd, levels) {
+        return levels.map(level => {
+            const z = statsUtils.normalCritical(level);
+            return {
+                level,
+                lower: Math.max(0, value - z * sd),
+                upper: value + z * sd
+            };
         });
-        
-        return { upperBound, lowerBound };
+    }
+
+    /**
+     * Normal quantiles around a point forecast (floored at zero demand)
+     */
+    normalQuantiles(value, sd, quantiles) {
+        return quantiles.map(q => ({
+            q,
+            value: Math.max(0, value + statsUtils.normalQuantile(q) * sd)
+        }));
+    }
+
+    /**
+     * Expose the interval at the requested confidence level as the point's upper/lower bounds
+     */
+    withMainInterval(point, confidenceLevel) {
+        const main = point.intervals.find(i => i.level === confidenceLevel) || point.intervals[0];
+        return {
+            ...point,
+            upper: main ? main.upper : point.value,
+            lower: main ? main.lower : point.value
+        };
+    }
+
+    /**
+     * Accept a probability level as a fraction (0.9) or a percentage (90)
+     */
+    normalizeLevel(level, name = 'confidence level') {
+        let value = parseFloat(level);
+        if (value > 1 && value < 100) value = value / 100;
+
+        if (!(value > 0 && value < 1)) {
+            const error = new Error(`Invalid ${name} "${level}": use a value between 0 and 1 (e.g. 0.95) or a percentage (e.g. 95)`);
+            error.status = 400;
+            throw error;
+        }
+
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * Quantiles to return, as sorted fractions. Accepts fractions (0.9), percentages (90)
+     * or P-labels ("P90"), as an array or a comma-separated string.
+     */
+    getQuantileLevels(quantiles = []) {
+        const requested = typeof quantiles === 'string'
+            ? quantiles.split(',').map(q => q.trim()).filter(Boolean)
+            : (quantiles || []);
+
+        const levels = requested.map(q => {
+            const value = typeof q === 'string' ? q.replace(/^p/i, '') : q;
+            // P-labels and whole numbers are percentages
+            const fraction = typeof q === 'string' && /^p/i.test(q) ? parseFloat(value) / 100 : parseFloat(value);
+            return this.normalizeLevel(fraction, 'quantile');
+        });
+
+        return [...new Set(levels)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Payload key of a quantile, e.g. 0.1 -> "p10", 0.025 -> "p2.5"
+     */
+    getQuantileKey(q) {
+        return `p${Math.round(q * 1000) / 10}`;
+    }
+
+    /**
+     * All interval levels to compute, as sorted fractions including the main confidence level.
+     * Accepts an array or a comma-separated string (e.g. "80,95").
+     */
+    getIntervalLevels(confidenceLevel, intervalLevels = null) {
+        const requested = typeof intervalLevels === 'string'
+            ? intervalLevels.split(',').map(l => l.trim()).filter(Boolean)
+            : (intervalLevels || []);
+
+        const levels = requested.map(level => this.normalizeLevel(level));
+        return [...new Set([...levels, confidenceLevel])].sort((a, b) => a - b);
     }
 
     /**
@@ -328,11 +1389,11 @@ class ForecastLogic {
      * AI is ONLY used for insights - NO NUMBERS GENERATED HERE
      */
     async getAIInsights(historical, forecast, dailyDemand, seasonality) {
+        const totalForecast = forecast.reduce((sum, f) => sum + f.value, 0);
+        const totalHistorical = historical.reduce((sum, h) => sum + h.sales, 0);
+        const growthRate = ((totalForecast / forecast.length) / (totalHistorical / historical.length) - 1) * 100;
+
         try {
-            const totalForecast = forecast.reduce((sum, f) => sum + f.value, 0);
-            const totalHistorical = historical.reduce((sum, h) => sum + h.sales, 0);
-            const growthRate = ((totalForecast / forecast.length) / (totalHistorical / historical.length) - 1) * 100;
-            
             const prompt = `You are a supply chain expert. Based on the following REAL calculated metrics, provide business insights and recommendations.
 
 CALCULATED METRICS (from real statistical models):
@@ -404,12 +1465,43 @@ RECOMMENDATIONS:
     /**
      * Prepare chart data for visualization
      */
-    prepareChartData(forecast, historical) {
+    prepareChartData(forecast, historical, anomalies = []) {
         const labels = [...historical.map(h => h.date), ...forecast.map(f => f.date)];
         const historicalValues = [...historical.map(h => h.sales), ...Array(forecast.length).fill(null)];
-        const forecastValues = [...Array(historical.length).fill(null), ...forecast.map(f => f.value)];
-        
-        return { labels, historical: historicalValues, forecast: forecastValues };
+        const alignForecast = values => [...Array(historical.length).fill(null), ...values];
+        const forecastValues = alignForecast(forecast.map(f => f.value));
+
+        const chartData = { labels, historical: historicalValues, forecast: forecastValues };
+
+        // Bounds and quantile fan bands, aligned with the labels like the forecast line
+        if (forecast.length > 0 && forecast[0].upper !== undefined) {
+            chartData.upperBound = alignForecast(forecast.map(f => f.upper));
+            chartData.lowerBound = alignForecast(forecast.map(f => f.lower));
+        }
+        if (forecast.length > 0 && forecast[0].quantiles?.length > 0) {
+            chartData.quantiles = Object.fromEntries(forecast[0].quantiles.map((q, j) => [
+                this.getQuantileKey(q.q),
+                alignForecast(forecast.map(f => f.quantiles[j].value))
+            ]));
+        }
+
+        // Flagged outliers sit on the historical line, null everywhere else
+        if (anomalies.length > 0) {
+            const flagged = new Map(anomalies.map(a => [a.date, a.value]));
+            chartData.anomalies = labels.map((date, i) =>
+                i < historical.length && flagged.has(date) ? flagged.get(date) : null
+            );
+        }
+
+        return chartData;
+    }
+
+    /**
+     * Public view of flagged outliers: the date, the observed value, the value expected
+     * instead (used as the replacement) and the outlier score
+     */
+    formatAnomalies(anomalies = []) {
+        return anomalies.map(({ date, value, expected, score }) => ({ date, value, expected, score }));
     }
 
     /**
@@ -422,8 +1514,9 @@ RECOMMENDATIONS:
             const date = row.date || row.Date;
             if (!date) return;
             
+            // Zero-demand rows are kept: they carry the signal of intermittent items
             const sales = parseFloat(row.sales || row.Sales || row.quantity || 0);
-            if (isNaN(sales) || sales === 0) return;
+            if (isNaN(sales)) return;
             
             const key = new Date(date).toISOString().split('T')[0];
             aggregated.set(key, (aggregated.get(key) || 0) + sales);
@@ -437,10 +1530,12 @@ RECOMMENDATIONS:
     /**
      * Fallback forecast using simple moving average
      */
-    fallbackForecast(salesData, periods) {
+    fallbackForecast(salesData, periods, confidenceLevel = 0.95) {
         const historical = this.aggregateHistoricalData(salesData);
         const values = historical.map(h => h.sales);
-        const lastAvg = values.slice(-7).reduce((a, b) => a + b, 0) / Math.min(7, values.length);
+        const recent = values.slice(-7);
+        const lastAvg = recent.reduce((a, b) => a + b, 0) / Math.min(7, values.length);
+        const margin = statsUtils.normalCritical(confidenceLevel) * statsUtils.standardDeviation(recent);
         const lastDate = new Date(historical[historical.length - 1].date);
         
         const forecast = [];
@@ -454,11 +1549,17 @@ RECOMMENDATIONS:
         }
         
         return {
-            forecast: forecast.map(f => ({ ...f, predicted: f.value, upper_bound: f.value * 1.15, lower_bound: f.value * 0.85 })),
+            forecast: forecast.map(f => ({
+                ...f,
+                predicted: f.value,
+                upper_bound: Math.round((f.value + margin) * 100) / 100,
+                lower_bound: Math.round(Math.max(0, f.value - margin) * 100) / 100
+            })),
+            productForecasts: [],
             insights: ['Using fallback forecast model due to data limitations'],
             recommendations: ['Consider adding more historical data for better accuracy'],
             confidence: 0.7,
-            chartData: this.prepareChartData({ forecast }, historical)
+            chartData: this.prepareChartData(forecast, historical)
         };
     }
 
@@ -504,11 +1605,35 @@ RECOMMENDATIONS:
     }
 
     /**
-     * Clear forecast cache
+     * Hash of the sales data, products and options (other than the cache key) of a forecast
+     */
+    hashInputs(salesData, products, { cacheKey, ...options }) {
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ salesData, products, options }))
+            .digest('hex');
+    }
+
+    /**
+     * Clear the forecast cache entries whose key starts with `<scope>:` (a workspace id),
+     * or the whole cache without a scope
+     */
+    clearCache(scope) {
+        if (!scope) {
+            forecastCache.clear();
+        } else {
+            [...forecastCache.keys()]
+                .filter(key => key.startsWith(`${scope}:`))
+                .forEach(key => forecastCache.delete(key));
+        }
+        console.log(`🧹 Forecast cache cleared${scope ? ` for ${scope}` : ''}`);
+    }
+
+    /**
+     * Number of cached forecasts, optionally only those of one scope (a workspace id)
      */
-    clearCache() {
-        forecastCache.clear();
-        console.log('🧹 Forecast cache cleared');
+    cacheSize(scope) {
+        if (!scope) return forecastCache.size;
+        return [...forecastCache.keys()].filter(key => key.startsWith(`${scope}:`)).length;
     }
 }
 
@@ -0,0 +1,123 @@
+// server/forecast-metrics.js - Forecast error metrics for backtesting
+
+class ForecastMetrics {
+    /**
+     * Mean absolute percentage error (%). Periods with zero actual demand are skipped.
+     */
+    calculateMAPE(actual, predicted) {
+        const terms = actual
+            .map((a, i) => a !== 0 ? Math.abs((a - predicted[i]) / a) : null)
+            .filter(t => t !== null);
+
+        return terms.length > 0 ? this.mean(terms) * 100 : null;
+    }
+
+    /**
+     * Symmetric mean absolute percentage error (%), bounded between 0 and 200
+     */
+    calculateSMAPE(actual, predicted) {
+        const terms = actual.map((a, i) => {
+            const denominator = Math.abs(a) + Math.abs(predicted[i]);
+            return denominator === 0 ? 0 : 2 * Math.abs(a - predicted[i]) / denominator;
+        });
+
+        return terms.length > 0 ? this.mean(terms) * 100 : null;
+    }
+
+    /**
+     * Mean absolute scaled error: MAE divided by the in-sample MAE of the seasonal naive forecast
+     */
+    calculateMASE(actual, predicted, training, seasonLength = 1) {
+        const scale = this.calculateNaiveScale(training, seasonLength);
+        if (!scale) return null;
+
+        const mae = this.mean(actual.map((a, i) => Math.abs(a - predicted[i])));
+        return mae / scale;
+    }
+
+    /**
+     * In-sample MAE of the seasonal naive forecast (falls back to lag 1 for short histories)
+     */
+    calculateNaiveScale(training, seasonLength = 1) {
+        const lag = training.length > seasonLength ? seasonLength : 1;
+        if (training.length <= lag) return null;
+
+        const errors = [];
+        for (let i = lag; i < training.length; i++) {
+            errors.push(Math.abs(training[i] - training[i - lag]));
+        }
+
+        const scale = this.mean(errors);
+        return scale > 0 ? scale : null;
+    }
+
+    /**
+     * Root mean squared error
+     */
+    calculateRMSE(actual, predicted) {
+        if (actual.length === 0) return null;
+        return Math.sqrt(this.mean(actual.map((a, i) => Math.pow(a - predicted[i], 2))));
+    }
+
+    /**
+     * Mean error (forecast minus actual): positive means over-forecasting
+     */
+    calculateBias(actual, predicted) {
+        if (actual.length === 0) return null;
+        return this.mean(actual.map((a, i) => predicted[i] - a));
+    }
+
+    /**
+     * Calculate all metrics for one set of actuals and forecasts
+     */
+    summarize(actual, predicted, training, seasonLength = 1) {
+        return {
+            mape: this.round(this.calculateMAPE(actual, predicted)),
+            smape: this.round(this.calculateSMAPE(actual, predicted)),
+            mase: this.round(this.calculateMASE(actual, predicted, training, seasonLength), 4),
+            rmse: this.round(this.calculateRMSE(actual, predicted)),
+            bias: this.round(this.calculateBias(actual, predicted)),
+            points: actual.length
+        };
+    }
+
+    /**
+     * Pool the errors of several folds into overall metrics.
+     * Each fold carries its own MASE scale, so scaled errors are averaged directly.
+     */
+    summarizeFolds(folds) {
+        const actual = folds.flatMap(f => f.actual);
+        const predicted = folds.flatMap(f => f.predicted);
+        const scaledErrors = folds.flatMap(f => {
+            const scale = this.calculateNaiveScale(f.training, f.seasonLength);
+            return scale ? f.actual.map((a, i) => Math.abs(a - f.predicted[i]) / scale) : [];
+        });
+
+        return {
+            mape: this.round(this.calculateMAPE(actual, predicted)),
+            smape: this.round(this.calculateSMAPE(actual, predicted)),
+            mase: this.round(scaledErrors.length > 0 ? this.mean(scaledErrors) : null, 4),
+            rmse: this.round(this.calculateRMSE(actual, predicted)),
+            bias: this.round(this.calculateBias(actual, predicted)),
+            points: actual.length
+        };
+    }
+
+    /**
+     * Arithmetic mean
+     */
+    mean(values) {
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    /**
+     * Round a metric for reporting, keeping null for undefined metrics
+     */
+    round(value, decimals = 2) {
+        if (value === null || value === undefined || !isFinite(value)) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+module.exports = new ForecastMetrics();
@@ -0,0 +1,737 @@
+// server/forecast-models.js - Statistical forecasting models with fitted parameters
+
+class ForecastModels {
+    constructor() {
+        // Seed used for stochastic components when the caller does not supply one
+        this.DEFAULT_SEED = 42;
+    }
+
+    /**
+     * Get the seasonal cycle length for a data frequency
+     */
+    getSeasonLength(frequency) {
+        switch (frequency) {
+            case 'monthly':
+                return 12;
+            case 'weekly':
+                return 52;
+            default:
+                return 7;
+        }
+    }
+
+    /**
+     * Build a fit object from in-sample one-step predictions.
+     * Periods without a prediction (e.g. before the first full window) are left out of the residuals.
+     * `varianceFactors(h)` gives the h-step forecast variances as multiples of the one-step
+     * variance, for models with a closed form; the others get bootstrapped intervals.
+     */
+    buildFit(model, parameters, values, fitted, forecast, simulate = null, varianceFactors = null) {
+        const residuals = values.map((y, t) =>
+            fitted[t] === null || fitted[t] === undefined ? NaN : y - fitted[t]
+        );
+        const sse = residuals.filter(r => isFinite(r)).reduce((sum, r) => sum + r * r, 0);
+
+        return { model, parameters, fitted, residuals, sse, forecast, simulate, varianceFactors };
+    }
+
+    /**
+     * Naive: every future period equals the last observation
+     */
+    fitNaive(values) {
+        const last = values[values.length - 1];
+        const fitted = values.map((_, t) => t > 0 ? values[t - 1] : null);
+
+        return this.buildFit('naive', {}, values, fitted,
+            periods => Array(periods).fill(last),
+            errors => {
+                let y = last;
+                return errors.map(error => (y = y + error));
+            },
+            // Random walk: errors accumulate
+            periods => Array.from({ length: periods }, (_, i) => i + 1)
+        );
+    }
+
+    /**
+     * Seasonal naive: every future period equals the same period one season ago
+     */
+    fitSeasonalNaive(values, seasonLength) {
+        const m = seasonLength;
+        if (!m || m < 2 || values.length <= m) {
+            return this.fitNaive(values);
+        }
+
+        const n = values.length;
+        const fitted = values.map((_, t) => t >= m ? values[t - m] : null);
+
+        return this.buildFit('seasonal-naive', { seasonLength: m }, values, fitted,
+            periods => Array.from({ length: periods }, (_, i) => values[n - m + (i % m)]),
+            errors => {
+                const path = values.slice(-m);
+                return errors.map((error, h) => {
+                    const y = path[h] + error;
+                    path.push(y);
+                    return y;
+                });
+            },
+            // One more accumulated error for every completed season
+            periods => Array.from({ length: periods }, (_, i) => Math.floor(i / m) + 1)
+        );
+    }
+
+    /**
+     * Moving average: the window length is chosen by in-sample mean squared error
+     */
+    fitMovingAverage(values, windows = [3, 7, 14, 28]) {
+        const n = values.length;
+        const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+        const candidates = windows.filter(w => w <= Math.floor(n / 2));
+        if (candidates.length === 0) candidates.push(Math.max(1, Math.min(3, n)));
+
+        let best = null;
+        candidates.forEach(window => {
+            const fitted = values.map((_, t) => t >= window ? mean(values.slice(t - window, t)) : null);
+            const errors = values
+                .map((y, t) => fitted[t] === null ? null : Math.pow(y - fitted[t], 2))
+                .filter(e => e !== null);
+            const mse = errors.length > 0 ? mean(errors) : Infinity;
+
+            if (!best || mse < best.mse) {
+                best = { window, fitted, mse };
+            }
+        });
+
+        const window = best.window;
+        const level = mean(values.slice(-window));
+
+        return this.buildFit('moving-average', { window }, values, best.fitted,
+            periods => Array(periods).fill(level),
+            errors => {
+                const path = values.slice(-window);
+                return errors.map(error => {
+                    const y = mean(path.slice(-window)) + error;
+                    path.push(y);
+                    return y;
+                });
+            },
+            // Error of a new observation plus the error of the window mean
+            periods => Array(periods).fill(1 + 1 / window)
+        );
+    }
+
+    /**
+     * Simple exponential smoothing with alpha fitted by in-sample SSE
+     */
+    fitSES(values) {
+        const run = alpha => {
+            let level = values[0];
+            const fitted = values.map((y, t) => {
+                if (t === 0) return null;
+                const prediction = level;
+                level = alpha * y + (1 - alpha) * level;
+                return prediction;
+            });
+            return { level, fitted };
+        };
+        const sse = fitted => fitted.reduce((sum, f, t) => f === null ? sum : sum + Math.pow(values[t] - f, 2), 0);
+
+        const [alpha] = this.optimize(([a]) => sse(run(a).fitted), [0.3]).params;
+        const state = run(alpha);
+
+        return this.buildFit('ses', { alpha: this.round(alpha) }, values, state.fitted,
+            periods => Array(periods).fill(state.level),
+            errors => {
+                let level = state.level;
+                return errors.map(error => {
+                    const y = level + error;
+                    level = alpha * y + (1 - alpha) * level;
+                    return y;
+                });
+            },
+            periods => Array.from({ length: periods }, (_, i) => 1 + i * alpha * alpha)
+        );
+    }
+
+    /**
+     * Linear regression on a time trend plus one dummy per season (first season is the baseline).
+     * Dummies are only used once the history covers two full seasons.
+     */
+    fitLinearRegression(values, seasonLength = 1) {
+        const n = values.length;
+        const m = seasonLength && seasonLength > 1 && n >= seasonLength * 2 ? seasonLength : 1;
+
+        const row = t => {
+            const features = [1, t];
+            for (let k = 1; k < m; k++) features.push(t % m === k ? 1 : 0);
+            return features;
+        };
+
+        const X = values.map((_, t) => row(t));
+        const coefficients = this.leastSquares(X, values);
+        const predict = t => row(t).reduce((sum, x, j) => sum + x * coefficients[j], 0);
+        const fitted = values.map((_, t) => predict(t));
+
+        const forecast = periods => Array.from({ length: periods }, (_, i) => predict(n + i));
+
+        return this.buildFit('linear-regression', {
+            intercept: this.round(coefficients[0]),
+            slope: this.round(coefficients[1]),
+            seasonLength: m,
+            seasonalEffects: coefficients.slice(2).map(c => this.round(c))
+        }, values, fitted, forecast,
+            // Residuals are independent, so a path is the trend line plus the sampled errors
+            errors => forecast(errors.length).map((value, h) => value + errors[h]),
+            // Parameter uncertainty is ignored, so the variance does not grow with the horizon
+            periods => Array(periods).fill(1)
+        );
+    }
+
+    /**
+     * Croston's method for intermittent demand: demand sizes and the intervals between
+     * demands are smoothed separately; the forecast rate is size / interval.
+     * The 'sba' variant applies the Syntetos-Boylan bias correction (1 - alpha / 2).
+     */
+    fitCroston(values, variant = 'croston') {
+        const run = alpha => {
+            const correction = variant === 'sba' ? 1 - alpha / 2 : 1;
+            const firstDemand = values.findIndex(v => v > 0);
+            const fitted = values.map(() => null);
+            if (firstDemand === -1) {
+                return { size: 0, interval: 1, rate: 0, fitted };
+            }
+
+            let size = values[firstDemand];
+            let interval = firstDemand + 1;
+            let sinceLast = 1;
+
+            for (let t = firstDemand + 1; t < values.length; t++) {
+                fitted[t] = correction * size / interval;
+                if (values[t] > 0) {
+                    size = size + alpha * (values[t] - size);
+                    interval = interval + alpha * (sinceLast - interval);
+                    sinceLast = 1;
+                } else {
+                    sinceLast++;
+                }
+            }
+
+            return { size, interval, rate: correction * size / interval, fitted };
+        };
+
+        const alpha = this.fitIntermittentParameters(values, ([a]) => run(a).fitted, [0.1])[0];
+        const state = run(alpha);
+
+        return this.buildFit(variant, {
+            alpha: this.round(alpha),
+            demandSize: this.round(state.size),
+            demandInterval: this.round(state.interval)
+        }, values, state.fitted,
+            periods => Array(periods).fill(state.rate),
+            errors => errors.map(error => Math.max(0, state.rate + error))
+        );
+    }
+
+    /**
+     * Teunter-Syntetos-Babai: smooths the demand size on demand periods and the probability
+     * of demand every period, so the forecast decays when an item stops selling
+     */
+    fitTSB(values) {
+        const run = (alpha, beta) => {
+            const firstDemand = values.findIndex(v => v > 0);
+            const fitted = values.map(() => null);
+            if (firstDemand === -1) {
+                return { size: 0, probability: 0, fitted };
+            }
+
+            let size = values[firstDemand];
+            let probability = 1 / (firstDemand + 1);
+
+            for (let t = firstDemand + 1; t < values.length; t++) {
+                fitted[t] = probability * size;
+                const occurred = values[t] > 0 ? 1 : 0;
+                probability = probability + beta * (occurred - probability);
+                if (occurred) {
+                    size = size + alpha * (values[t] - size);
+                }
+            }
+
+            return { size, probability, fitted };
+        };
+
+        const [alpha, beta] = this.fitIntermittentParameters(values, ([a, b]) => run(a, b).fitted, [0.1, 0.1]);
+        const state = run(alpha, beta);
+        const rate = state.probability * state.size;
+
+        return this.buildFit('tsb', {
+            alpha: this.round(alpha),
+            beta: this.round(beta),
+            demandSize: this.round(state.size),
+            demandProbability: this.round(state.probability)
+        }, values, state.fitted,
+            periods => Array(periods).fill(rate),
+            errors => errors.map(error => Math.max(0, rate + error))
+        );
+    }
+
+    /**
+     * Fit smoothing constants of an intermittent model by in-sample SSE, kept within 0.05-0.3.
+     * The SSE surface of sparse series is flat and an unconstrained fit tends to collapse onto 0.
+     */
+    fitIntermittentParameters(values, runFitted, initial) {
+        const sse = fitted => fitted.reduce((sum, f, t) => f === null ? sum : sum + Math.pow(values[t] - f, 2), 0);
+        const { params } = this.optimize(candidate => sse(runFitted(candidate)), initial);
+        return params.map(p => Math.min(0.3, Math.max(0.05, p)));
+    }
+
+    /**
+     * Classify a demand series by average inter-demand interval (ADI) and squared coefficient
+     * of variation of the non-zero demand sizes (CV²), using the Syntetos-Boylan cut-offs
+     * 1.32 and 0.49: smooth, erratic, intermittent or lumpy.
+     */
+    classifyDemand(values) {
+        const demands = values.filter(v => v > 0);
+        if (demands.length === 0) {
+            return { pattern: 'no-demand', adi: null, cv2: null, demandPeriods: 0, periods: values.length };
+        }
+
+        const adi = values.length / demands.length;
+        const mean = demands.reduce((a, b) => a + b, 0) / demands.length;
+        const variance = demands.reduce((sum, d) => sum + Math.pow(d - mean, 2), 0) / demands.length;
+        const cv2 = variance / (mean * mean);
+
+        let pattern;
+        if (adi < 1.32) {
+            pattern = cv2 < 0.49 ? 'smooth' : 'erratic';
+        } else {
+            pattern = cv2 < 0.49 ? 'intermittent' : 'lumpy';
+        }
+
+        return {
+            pattern,
+            adi: this.round(adi),
+            cv2: this.round(cv2),
+            demandPeriods: demands.length,
+            periods: values.length
+        };
+    }
+
+    /**
+     * Intermittent and lumpy series are better served by the Croston family
+     */
+    isIntermittent(classification) {
+        return classification?.pattern === 'intermittent' || classification?.pattern === 'lumpy';
+    }
+
+    /**
+     * Ordinary least squares via the normal equations
+     */
+    leastSquares(X, y) {
+        const columns = X[0].length;
+        const XtX = Array.from({ length: columns }, () => Array(columns).fill(0));
+        const Xty = Array(columns).fill(0);
+
+        X.forEach((row, i) => {
+            for (let a = 0; a < columns; a++) {
+                Xty[a] += row[a] * y[i];
+                for (let b = 0; b < columns; b++) XtX[a][b] += row[a] * row[b];
+            }
+        });
+
+        return this.solveLinearSystem(XtX, Xty);
+    }
+
+    /**
+     * Solve A x = b with Gaussian elimination and partial pivoting.
+     * Singular directions (e.g. a season that never occurs) get a coefficient of 0.
+     */
+    solveLinearSystem(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            }
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            if (Math.abs(M[col][col]) < 1e-12) continue;
+
+            for (let r = 0; r < n; r++) {
+                if (r === col) continue;
+                const factor = M[r][col] / M[col][col];
+                for (let c = col; c <= n; c++) M[r][c] -= factor * M[col][c];
+            }
+        }
+
+        return M.map((row, i) => Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]);
+    }
+
+    /**
+     * Fit Holt-Winters triple exponential smoothing.
+     * alpha/beta/gamma are chosen by minimizing the in-sample one-step-ahead SSE.
+     * Falls back to Holt's linear trend when there are fewer than two full seasons.
+     */
+    fitHoltWinters(values, seasonLength, seasonal = 'additive') {
+        if (!seasonLength || seasonLength < 2 || values.length < seasonLength * 2) {
+            return this.fitHolt(values);
+        }
+
+        // Multiplicative seasonality is undefined for zero or negative demand
+        const mode = seasonal === 'multiplicative' && values.every(v => v > 0)
+            ? 'multiplicative'
+            : 'additive';
+
+        const best = this.optimize(
+            ([alpha, beta, gamma]) => this.runHoltWinters(values, { alpha, beta, gamma }, seasonLength, mode).sse,
+            [0.3, 0.1, 0.2]
+        );
+
+        const [alpha, beta, gamma] = best.params;
+        const params = { alpha, beta, gamma };
+        const state = this.runHoltWinters(values, params, seasonLength, mode);
+
+        return {
+            model: 'holt-winters',
+            parameters: {
+                alpha: this.round(alpha),
+                beta: this.round(beta),
+                gamma: this.round(gamma),
+                seasonal: mode,
+                seasonLength
+            },
+            fitted: state.fitted,
+            residuals: state.residuals,
+            sse: state.sse,
+            forecast: (periods) => {
+                const n = values.length;
+                const result = [];
+                for (let h = 1; h <= periods; h++) {
+                    const season = state.seasonals[n + ((h - 1) % seasonLength)];
+                    const base = state.level + h * state.trend;
+                    result.push(mode === 'multiplicative' ? base * season : base + season);
+                }
+                return result;
+            },
+            // Replay the recursions forward with the given one-step errors added to each prediction
+            simulate: (errors) => {
+                const path = { level: state.level, trend: state.trend };
+                const seasonals = state.seasonals.slice(-seasonLength);
+                return errors.map((error, h) => {
+                    const season = seasonals[h];
+                    const y = this.predictHoltWinters(path, season, mode) + error;
+                    seasonals.push(this.updateHoltWinters(path, y, season, params, mode));
+                    return y;
+                });
+            },
+            // The closed form only holds for additive seasonality; multiplicative fits are bootstrapped
+            varianceFactors: mode === 'additive'
+                ? (periods) => this.smoothingVarianceFactors(periods, params, seasonLength)
+                : null
+        };
+    }
+
+    /**
+     * h-step variance multipliers of additive exponential smoothing (ETS(A,A,A) class 1 formula,
+     * Hyndman et al. 2008). The component-form beta and gamma are converted to the
+     * error-correction form: beta* = alpha * beta, gamma* = (1 - alpha) * gamma.
+     */
+    smoothingVarianceFactors(periods, { alpha, beta = 0, gamma = 0 }, seasonLength = 1) {
+        const b = alpha * beta;
+        const g = (1 - alpha) * gamma;
+
+        return Array.from({ length: periods }, (_, i) => {
+            const h = i + 1;
+            const k = Math.floor((h - 1) / seasonLength);
+            const trendTerm = (h - 1) * (alpha * alpha + alpha * b * h + b * b * h * (2 * h - 1) / 6);
+            const seasonalTerm = gamma > 0 ? g * k * (2 * alpha + g + b * seasonLength * (k + 1)) : 0;
+            return 1 + trendTerm + seasonalTerm;
+        });
+    }
+
+    /**
+     * One-step-ahead Holt-Winters prediction from the current level/trend and the matching seasonal
+     */
+    predictHoltWinters({ level, trend }, season, mode) {
+        return mode === 'multiplicative'
+            ? (level + trend) * season
+            : level + trend + season;
+    }
+
+    /**
+     * Update level and trend in place for an observation and return the new seasonal component
+     */
+    updateHoltWinters(state, y, season, { alpha, beta, gamma }, mode) {
+        const previousLevel = state.level;
+
+        if (mode === 'multiplicative') {
+            state.level = alpha * (season !== 0 ? y / season : y) + (1 - alpha) * (state.level + state.trend);
+            state.trend = beta * (state.level - previousLevel) + (1 - beta) * state.trend;
+            return gamma * (state.level !== 0 ? y / state.level : 1) + (1 - gamma) * season;
+        }
+
+        state.level = alpha * (y - season) + (1 - alpha) * (state.level + state.trend);
+        state.trend = beta * (state.level - previousLevel) + (1 - beta) * state.trend;
+        return gamma * (y - state.level) + (1 - gamma) * season;
+    }
+
+    /**
+     * Run the Holt-Winters recursions for a fixed set of smoothing parameters
+     */
+    runHoltWinters(values, params, seasonLength, mode) {
+        const m = seasonLength;
+        const firstSeason = values.slice(0, m);
+        const secondSeason = values.slice(m, 2 * m);
+        const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+        // Classical initialization from the first two seasons
+        const state = {
+            level: mean(firstSeason),
+            trend: (mean(secondSeason) - mean(firstSeason)) / m
+        };
+        const seasonals = firstSeason.map(v =>
+            mode === 'multiplicative' ? (state.level !== 0 ? v / state.level : 1) : v - state.level
+        );
+
+        const fitted = [];
+        const residuals = [];
+        let sse = 0;
+
+        values.forEach((y, t) => {
+            const season = seasonals[t];
+            const prediction = this.predictHoltWinters(state, season, mode);
+
+            const error = y - prediction;
+            fitted.push(prediction);
+            residuals.push(error);
+            sse += error * error;
+
+            seasonals.push(this.updateHoltWinters(state, y, season, params, mode));
+        });
+
+        return { ...state, seasonals, fitted, residuals, sse: isFinite(sse) ? sse : Infinity };
+    }
+
+    /**
+     * Fit Holt's linear trend (double exponential smoothing)
+     */
+    fitHolt(values) {
+        const update = (state, y, alpha, beta) => {
+            const previousLevel = state.level;
+            state.level = alpha * y + (1 - alpha) * (state.level + state.trend);
+            state.trend = beta * (state.level - previousLevel) + (1 - beta) * state.trend;
+        };
+
+        const run = (alpha, beta) => {
+            const state = {
+                level: values[0],
+                trend: values.length > 1 ? values[1] - values[0] : 0
+            };
+            const fitted = [];
+            const residuals = [];
+            let sse = 0;
+
+            values.forEach(y => {
+                const prediction = state.level + state.trend;
+                const error = y - prediction;
+                fitted.push(prediction);
+                residuals.push(error);
+                sse += error * error;
+                update(state, y, alpha, beta);
+            });
+
+            return { ...state, fitted, residuals, sse };
+        };
+
+        const best = this.optimize(([alpha, beta]) => run(alpha, beta).sse, [0.3, 0.1]);
+        const [alpha, beta] = best.params;
+        const state = run(alpha, beta);
+
+        return {
+            model: 'holt',
+            parameters: { alpha: this.round(alpha), beta: this.round(beta) },
+            fitted: state.fitted,
+            residuals: state.residuals,
+            sse: state.sse,
+            forecast: (periods) => Array.from({ length: periods }, (_, i) => state.level + (i + 1) * state.trend),
+            simulate: (errors) => {
+                const path = { level: state.level, trend: state.trend };
+                return errors.map(error => {
+                    const y = path.level + path.trend + error;
+                    update(path, y, alpha, beta);
+                    return y;
+                });
+            },
+            varianceFactors: (periods) => this.smoothingVarianceFactors(periods, { alpha, beta })
+        };
+    }
+
+    /**
+     * Simulate future sample paths by bootstrapping the fitted model's one-step residuals
+     * through its own recursions. Returns one array of simulated values per horizon step.
+     */
+    simulatePaths(fit, periods, { paths = 500, random = this.createRandom(this.DEFAULT_SEED) } = {}) {
+        const residuals = (fit.residuals || []).filter(r => isFinite(r));
+        const byHorizon = Array.from({ length: periods }, () => []);
+
+        if (!fit.simulate || residuals.length === 0) {
+            return byHorizon;
+        }
+
+        for (let p = 0; p < paths; p++) {
+            const errors = Array.from({ length: periods }, () =>
+                residuals[Math.floor(random() * residuals.length)]
+            );
+            fit.simulate(errors).forEach((value, h) => byHorizon[h].push(value));
+        }
+
+        return byHorizon;
+    }
+
+    /**
+     * Analytic h-step forecast variances from the one-step residual variance, or null when the
+     * model has no closed form
+     */
+    forecastVariance(fit, periods) {
+        const residuals = (fit.residuals || []).filter(r => isFinite(r));
+        if (!fit.varianceFactors || residuals.length === 0) return null;
+
+        const sigma2 = residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length;
+        return fit.varianceFactors(periods).map(factor => sigma2 * factor);
+    }
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32) returning numbers in [0, 1).
+     * The same seed always yields the same sequence.
+     */
+    createRandom(seed = this.DEFAULT_SEED) {
+        let state = this.hashSeed(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Turn a numeric or string seed into a 32-bit integer
+     */
+    hashSeed(seed) {
+        // Form fields arrive as strings; '7' and 7 should be the same seed
+        if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) {
+            seed = Number(seed);
+        }
+
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Empirical quantile of a list of numbers (linear interpolation)
+     */
+    quantile(values, q) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Minimize an objective over parameters in (0, 1) using Nelder-Mead.
+     * Parameters are searched in logit space so every candidate stays inside the bounds.
+     */
+    optimize(objective, initial, { maxIterations = 200, tolerance = 1e-8 } = {}) {
+        const toUnit = x => 1 / (1 + Math.exp(-x));
+        const toReal = p => Math.log(p / (1 - p));
+        const evaluate = point => {
+            const value = objective(point.map(toUnit));
+            return isFinite(value) ? value : Infinity;
+        };
+
+        const dims = initial.length;
+        const start = initial.map(p => toReal(Math.min(0.99, Math.max(0.01, p))));
+        let simplex = [start];
+        for (let i = 0; i < dims; i++) {
+            const point = [...start];
+            point[i] += 1;
+            simplex.push(point);
+        }
+        let scores = simplex.map(evaluate);
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const order = scores.map((score, i) => i).sort((a, b) => scores[a] - scores[b]);
+            simplex = order.map(i => simplex[i]);
+            scores = order.map(i => scores[i]);
+
+            if (Math.abs(scores[dims] - scores[0]) <= tolerance * (Math.abs(scores[0]) + tolerance)) {
+                break;
+            }
+
+            const centroid = Array(dims).fill(0);
+            for (let i = 0; i < dims; i++) {
+                for (let d = 0; d < dims; d++) centroid[d] += simplex[i][d] / dims;
+            }
+
+            const worst = simplex[dims];
+            const along = coefficient => centroid.map((c, d) => c + coefficient * (worst[d] - c));
+
+            const reflected = along(-1);
+            const reflectedScore = evaluate(reflected);
+
+            if (reflectedScore < scores[0]) {
+                const expanded = along(-2);
+                const expandedScore = evaluate(expanded);
+                if (expandedScore < reflectedScore) {
+                    simplex[dims] = expanded;
+                    scores[dims] = expandedScore;
+                } else {
+                    simplex[dims] = reflected;
+                    scores[dims] = reflectedScore;
+                }
+            } else if (reflectedScore < scores[dims - 1]) {
+                simplex[dims] = reflected;
+                scores[dims] = reflectedScore;
+            } else {
+                const contracted = along(0.5);
+                const contractedScore = evaluate(contracted);
+                if (contractedScore < scores[dims]) {
+                    simplex[dims] = contracted;
+                    scores[dims] = contractedScore;
+                } else {
+                    // Shrink towards the best point
+                    for (let i = 1; i <= dims; i++) {
+                        simplex[i] = simplex[i].map((v, d) => simplex[0][d] + 0.5 * (v - simplex[0][d]));
+                        scores[i] = evaluate(simplex[i]);
+                    }
+                }
+            }
+        }
+
+        const bestIndex = scores.indexOf(Math.min(...scores));
+        return { params: simplex[bestIndex].map(toUnit), value: scores[bestIndex] };
+    }
+
+    /**
+     * Round a parameter for reporting
+     */
+    round(value, decimals = 4) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+module.exports = new ForecastModels();
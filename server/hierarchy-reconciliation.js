@@ -0,0 +1,175 @@
+// server/hierarchy-reconciliation.js - Coherent forecasts across the SKU / category / total hierarchy
+
+const forecastModels = require('./forecast-models');
+
+class HierarchyReconciliation {
+    constructor() {
+        this.methods = ['bottom-up', 'top-down', 'ols', 'mint'];
+    }
+
+    /**
+     * Summing matrix S of a total / category / SKU hierarchy. Rows follow `nodes` (the
+     * total, then each category, then each SKU); columns are the SKUs, so S times the SKU
+     * forecasts gives the forecast of every node.
+     */
+    buildSummingMatrix(skuCategories) {
+        const categories = [...new Set(skuCategories)];
+        const nodes = [
+            { level: 'total' },
+            ...categories.map(category => ({ level: 'category', category })),
+            ...skuCategories.map((category, index) => ({ level: 'sku', index, category }))
+        ];
+
+        const S = nodes.map(node => skuCategories.map((category, j) => {
+            if (node.level === 'total') return 1;
+            if (node.level === 'category') return category === node.category ? 1 : 0;
+            return node.index === j ? 1 : 0;
+        }));
+
+        return { nodes, categories, S };
+    }
+
+    /**
+     * Reconcile base forecasts (one array over the horizon per node, in `nodes` order):
+     * - 'bottom-up': aggregate the SKU forecasts
+     * - 'top-down': split the total by each SKU's share of historical demand (`proportions`)
+     * - 'ols': S (S'S)^-1 S' y
+     * - 'mint': S (S'W^-1 S)^-1 S'W^-1 y with W the shrunk covariance of the one-step
+     *   residuals (`residuals`, one array per node, aligned on their last periods)
+     * Returns the coherent forecasts of every node and, for MinT, the shrinkage intensity.
+     */
+    reconcile(base, S, method, { proportions = null, residuals = null } = {}) {
+        const bottomCount = S[0].length;
+        const bottomStart = S.length - bottomCount;
+        const horizon = base[0].length;
+        const column = h => base.map(values => values[h]);
+
+        let bottom;
+        let lambda = null;
+
+        if (method === 'bottom-up') {
+            bottom = base.slice(bottomStart);
+        } else if (method === 'top-down') {
+            bottom = proportions.map(p => base[0].map(total => total * p));
+        } else {
+            let W = null;
+            if (method === 'mint') {
+                const shrunk = this.shrinkCovariance(residuals);
+                W = shrunk.covariance;
+                lambda = shrunk.lambda;
+            }
+            const G = this.getProjection(S, W);
+            bottom = Array.from({ length: bottomCount }, () => Array(horizon).fill(0));
+            for (let h = 0; h < horizon; h++) {
+                const b = this.multiply(G, column(h));
+                b.forEach((value, j) => { bottom[j][h] = value; });
+            }
+        }
+
+        // Negative SKU forecasts are cut to zero before aggregating, which keeps every node coherent
+        bottom = bottom.map(values => values.map(v => Math.max(0, v)));
+
+        const forecasts = S.map(row =>
+            Array.from({ length: horizon }, (_, h) =>
+                row.reduce((sum, s, j) => sum + s * bottom[j][h], 0)
+            )
+        );
+
+        return { forecasts, lambda };
+    }
+
+    /**
+     * G = (S'W^-1 S)^-1 S'W^-1, mapping base forecasts of every node to SKU forecasts
+     * (W = identity for OLS). W^-1 is applied by solving W X = S rather than inverting W.
+     */
+    getProjection(S, W = null) {
+        const St = this.transpose(S);
+        const WinvS = W
+            ? this.transpose(St.map(col => forecastModels.solveLinearSystem(W, col)))
+            : S;
+        const StWinvS = this.multiplyMatrices(St, WinvS);
+        const WinvSt = this.transpose(WinvS);
+
+        // Solve (S'W^-1 S) G = S'W^-1 one node column at a time
+        const columns = S.map((_, i) =>
+            forecastModels.solveLinearSystem(StWinvS, WinvSt.map(row => row[i]))
+        );
+        return this.transpose(columns);
+    }
+
+    /**
+     * Share of each SKU in total historical demand (proportions of the historical averages)
+     */
+    getProportions(bottomHistories) {
+        const totals = bottomHistories.map(values => values.reduce((a, b) => a + b, 0));
+        const grand = totals.reduce((a, b) => a + b, 0);
+
+        return grand > 0
+            ? totals.map(t => t / grand)
+            : totals.map(() => 1 / totals.length);
+    }
+
+    /**
+     * Covariance of one-step residuals shrunk towards its diagonal (Schäfer-Strimmer
+     * intensity, as used by MinT-shrink). Residual series are aligned on their last
+     * periods and periods where any node has no residual are dropped. With too few
+     * periods the diagonal alone is used.
+     */
+    shrinkCovariance(residuals) {
+        const length = Math.min(...residuals.map(r => r.length));
+        const rows = Array.from({ length }, (_, t) =>
+            residuals.map(r => r[r.length - length + t])
+        ).filter(row => row.every(Number.isFinite));
+
+        const n = rows.length;
+        const k = residuals.length;
+        const covariance = Array.from({ length: k }, (_, i) =>
+            Array.from({ length: k }, (_, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0) / Math.max(n, 1))
+        );
+        // Nodes without residual variance (e.g. never sold) get a tiny one to keep W invertible
+        const variances = covariance.map((row, i) => row[i] > 0 ? row[i] : 1e-6);
+        const diagonal = variances.map((v, i) => variances.map((_, j) => i === j ? v : 0));
+
+        if (n < 2) return { covariance: diagonal, lambda: 1 };
+
+        const scaled = rows.map(row => row.map((r, i) => r / Math.sqrt(variances[i])));
+        let numerator = 0;
+        let denominator = 0;
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+                if (i === j) continue;
+                const products = scaled.map(row => row[i] * row[j]);
+                const mean = products.reduce((a, b) => a + b, 0) / n;
+                const variance = products.reduce((sum, p) => sum + Math.pow(p - mean, 2), 0) / (n * (n - 1));
+                numerator += variance;
+                denominator += Math.pow(covariance[i][j] / Math.sqrt(variances[i] * variances[j]), 2);
+            }
+        }
+
+        const lambda = denominator > 0 ? Math.max(0, Math.min(1, numerator / denominator)) : 1;
+        return {
+            covariance: covariance.map((row, i) => row.map((c, j) =>
+                i === j ? variances[i] : (1 - lambda) * c
+            )),
+            lambda
+        };
+    }
+
+    /**
+     * Matrix helpers
+     */
+    transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    multiply(A, x) {
+        return A.map(row => row.reduce((sum, a, j) => sum + a * x[j], 0));
+    }
+
+    multiplyMatrices(A, B) {
+        const Bt = this.transpose(B);
+        return A.map(row => Bt.map(col => row.reduce((sum, a, j) => sum + a * col[j], 0)));
+    }
+}
+
+module.exports = new HierarchyReconciliation();
@@ -0,0 +1,157 @@
+// server/holiday-calendar.js - Rule-based holiday dates for any year and country
+
+const calendarUtils = require('./calendar-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HolidayCalendar {
+    constructor() {
+        this.ruleTypes = ['fixed', 'nth-weekday', 'last-weekday', 'easter'];
+        this.observanceRules = ['nearest-weekday', 'next-weekday'];
+    }
+
+    /**
+     * Holidays of the given countries between two dates (inclusive), sorted by date.
+     * `calendars` maps a country code to { name, holidays: [{ name, rule, impact, category }] }.
+     */
+    getHolidays(calendars, countries, startDate, endDate) {
+        const start = calendarUtils.toDate(startDate);
+        const end = calendarUtils.toDate(endDate);
+        const inRange = date => date >= start && date <= end;
+        const holidays = [];
+
+        countries.forEach(country => {
+            const calendar = calendars[country];
+            if (!calendar) return;
+
+            // One year either side so observed days that cross New Year are not lost
+            for (let year = start.getUTCFullYear() - 1; year <= end.getUTCFullYear() + 1; year++) {
+                this.getYearHolidays(calendar, year)
+                    .filter(holiday => inRange(holiday.date) || inRange(holiday.observed))
+                    .forEach(holiday => holidays.push({
+                        name: holiday.name,
+                        date: calendarUtils.formatDate(holiday.date),
+                        ...(holiday.observed.getTime() !== holiday.date.getTime() && {
+                            observed: calendarUtils.formatDate(holiday.observed)
+                        }),
+                        country,
+                        impact: holiday.impact,
+                        category: holiday.category
+                    }));
+            }
+        });
+
+        return holidays.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Resolve every rule of a calendar for one year. Substitute days ('next-weekday')
+     * skip days already taken by another holiday, so Christmas and Boxing Day on a
+     * weekend are observed on Monday and Tuesday.
+     */
+    getYearHolidays(calendar, year) {
+        const resolved = (calendar.holidays || [])
+            .map(holiday => ({ ...holiday, date: this.resolveRule(holiday, year) }))
+            .sort((a, b) => a.date - b.date);
+        const taken = new Set(resolved.map(h => h.date.getTime()));
+
+        return resolved.map(holiday => {
+            const observed = this.getObservedDate(holiday.date, holiday.rule.observed, taken);
+            taken.add(observed.getTime());
+            return { ...holiday, observed };
+        });
+    }
+
+    /**
+     * Date of a holiday rule in a given year (UTC). Every rule accepts an `offset` in days,
+     * e.g. Black Friday is the fourth Thursday of November plus one.
+     */
+    resolveRule(holiday, year) {
+        const { rule } = holiday;
+        let date;
+
+        switch (rule.type) {
+            case 'fixed':
+                date = new Date(Date.UTC(year, rule.month - 1, rule.day));
+                break;
+            case 'nth-weekday':
+                date = this.nthWeekday(year, rule.month, rule.weekday, rule.n);
+                break;
+            case 'last-weekday':
+                date = this.lastWeekday(year, rule.month, rule.weekday);
+                break;
+            case 'easter':
+                date = this.easterSunday(year);
+                break;
+            default:
+                throw new Error(`Unknown holiday rule type "${rule.type}" for ${holiday.name}. Available: ${this.ruleTypes.join(', ')}`);
+        }
+
+        if (rule.observed && !this.observanceRules.includes(rule.observed)) {
+            throw new Error(`Unknown observance "${rule.observed}" for ${holiday.name}. Available: ${this.observanceRules.join(', ')}`);
+        }
+
+        return new Date(date.getTime() + (rule.offset || 0) * DAY_MS);
+    }
+
+    /**
+     * Day a weekend holiday is observed on: 'nearest-weekday' moves Saturday to Friday and
+     * Sunday to Monday, 'next-weekday' moves to the next free weekday. Other days are unchanged.
+     */
+    getObservedDate(date, observed, taken = new Set()) {
+        const day = date.getUTCDay();
+        if (!observed || (day !== 0 && day !== 6)) return date;
+
+        if (observed === 'nearest-weekday') {
+            return new Date(date.getTime() + (day === 6 ? -1 : 1) * DAY_MS);
+        }
+
+        let substitute = date;
+        do {
+            substitute = new Date(substitute.getTime() + DAY_MS);
+        } while (substitute.getUTCDay() === 0 || substitute.getUTCDay() === 6 || taken.has(substitute.getTime()));
+        return substitute;
+    }
+
+    /**
+     * The n-th given weekday (0 = Sunday) of a month, e.g. the 4th Thursday of November
+     */
+    nthWeekday(year, month, weekday, n) {
+        const first = new Date(Date.UTC(year, month - 1, 1));
+        const shift = (weekday - first.getUTCDay() + 7) % 7;
+        return new Date(Date.UTC(year, month - 1, 1 + shift + (n - 1) * 7));
+    }
+
+    /**
+     * The last given weekday (0 = Sunday) of a month, e.g. the last Monday of May
+     */
+    lastWeekday(year, month, weekday) {
+        const last = new Date(Date.UTC(year, month, 0));
+        const shift = (last.getUTCDay() - weekday + 7) % 7;
+        return new Date(Date.UTC(year, month - 1, last.getUTCDate() - shift));
+    }
+
+    /**
+     * Western Easter Sunday (anonymous Gregorian algorithm)
+     */
+    easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+}
+
+module.exports = new HolidayCalendar();
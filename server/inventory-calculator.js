@@ -1,6 +1,17 @@
 // server/inventory-calculator.js - Inventory optimization calculations
+const forecastModels = require('./forecast-models');
+const statsUtils = require('./stats-utils');
 
 class InventoryCalculator {
+  constructor() {
+    this.serviceTypes = ['cycle', 'fill-rate'];
+    // Policies an order recommendation can follow: the service-level reorder point or the
+    // cost-optimal (Q, r)
+    this.orderPolicies = ['service-level', 'cost-optimal'];
+    // Service-level policy used when none is configured: 95% cycle service for every item
+    this.defaultServiceLevels = { default: 0.95, classes: {}, categories: {}, products: {} };
+  }
+
   /**
    * Calculate economic order quantity (EOQ)
    */
@@ -13,6 +24,97 @@ class InventoryCalculator {
     return Math.round(eoq * 100) / 100;
   }
 
+  /**
+   * Cost parameters of a product: `ordering_cost` per order (50 by default), `holding_cost_rate`
+   * as a share of unit cost per year (25% by default), and per-unit penalties for lost sales
+   * (`stockout_cost`, the lost margin by default) and backorders (`backorder_cost`, the
+   * stockout cost by default)
+   */
+  getCostParameters(product) {
+    const unitCost = product.unit_cost || 0;
+    const margin = Math.max(0, (product.unit_price || 0) - unitCost);
+    const holdingCostRate = product.holding_cost_rate ?? 0.25;
+    const stockoutCost = product.stockout_cost ?? (margin || unitCost);
+
+    return {
+      orderingCost: product.ordering_cost ?? 50,
+      holdingCostRate,
+      holdingCostPerUnitYear: holdingCostRate * unitCost,
+      holdingCostPerUnitDay: holdingCostRate * unitCost / 365,
+      stockoutCost,
+      backorderCost: product.backorder_cost ?? stockoutCost
+    };
+  }
+
+  /**
+   * Order quantity Q and reorder point r minimizing expected annual cost under continuous
+   * review with normal lead-time demand (Hadley-Whitin iteration):
+   * - ordering A D / Q, holding h (Q / 2 + r - μL), shortage p D n(r) / Q, where
+   *   n(r) = σ G(k) is the expected shortage per cycle
+   * - r sets P(stockout per cycle) to h Q / (p D) with backorders, h Q / (h Q + p D) with lost
+   *   sales (which also hold the lost units' worth of extra stock)
+   * - Q is the EOQ with the ordering cost raised by the expected shortage cost p n(r)
+   * Starting from the plain EOQ, the two are alternated until Q settles. Safety stock is kept
+   * non-negative. Returns null when demand, the ordering cost or the holding cost is zero.
+   */
+  calculateCostOptimalPolicy(dailyDemand, demandStdDev, leadTimeDays, costs, { leadTimeStdDev = 0, backorders = false } = {}) {
+    const annualDemand = dailyDemand * 365;
+    const holdingCost = costs.holdingCostPerUnitYear;
+    const shortageCost = backorders ? costs.backorderCost : costs.stockoutCost;
+    const eoq = this.calculateEOQ(annualDemand, costs.orderingCost, holdingCost);
+    if (eoq === null) return null;
+
+    const leadTimeDemand = dailyDemand * leadTimeDays;
+    const sigma = Math.sqrt(
+      leadTimeDays * demandStdDev * demandStdDev +
+      Math.pow(dailyDemand * leadTimeStdDev, 2)
+    );
+
+    const getSafetyFactor = quantity => {
+      if (!(sigma > 0) || !(shortageCost > 0)) return 0;
+      const stockoutRisk = backorders
+        ? holdingCost * quantity / (shortageCost * annualDemand)
+        : holdingCost * quantity / (holdingCost * quantity + shortageCost * annualDemand);
+      return stockoutRisk >= 0.5 ? 0 : statsUtils.normalQuantile(1 - stockoutRisk);
+    };
+
+    let quantity = eoq;
+    let k = getSafetyFactor(quantity);
+    for (let i = 0; i < 50; i++) {
+      const shortage = sigma * statsUtils.normalLoss(k);
+      const next = this.calculateEOQ(annualDemand, costs.orderingCost + shortageCost * shortage, holdingCost);
+      k = getSafetyFactor(next);
+      const settled = Math.abs(next - quantity) < 0.01;
+      quantity = next;
+      if (settled) break;
+    }
+
+    const safetyStock = k * sigma;
+    const shortage = sigma > 0 ? sigma * statsUtils.normalLoss(k) : 0;
+    const annualCosts = {
+      ordering: costs.orderingCost * annualDemand / quantity,
+      holding: holdingCost * (quantity / 2 + safetyStock + (backorders ? 0 : shortage)),
+      stockout: shortageCost * annualDemand * shortage / quantity
+    };
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      order_quantity: Math.round(quantity),
+      reorder_point: Math.round(leadTimeDemand + safetyStock),
+      safety_stock: Math.round(safetyStock),
+      eoq: Math.round(eoq),
+      orders_per_year: round(annualDemand / quantity),
+      cycle_service_level: Math.round(statsUtils.normalCdf(k) * 10000) / 10000,
+      fill_rate: Math.round(Math.max(0, 1 - shortage / quantity) * 10000) / 10000,
+      annual_costs: {
+        ordering: round(annualCosts.ordering),
+        holding: round(annualCosts.holding),
+        stockout: round(annualCosts.stockout),
+        total: round(annualCosts.ordering + annualCosts.holding + annualCosts.stockout)
+      }
+    };
+  }
+
   /**
    * Calculate reorder point
    */
@@ -21,24 +123,273 @@ class InventoryCalculator {
   }
 
   /**
-   * Calculate safety stock
+   * Calculate safety stock for any service level. Lead-time demand has standard deviation
+   * √(L σd² + d² σL²), which reduces to σd √L when suppliers report no lead-time deviation.
+   * - 'cycle': probability of no stockout per replenishment cycle, SS = z(level) * σ
+   * - 'fill-rate': share of demand served from stock, SS = k * σ where the expected
+   *   shortage per cycle σ G(k) equals (1 - level) * order quantity (one lead time of
+   *   demand when no quantity is given)
+   */
+  calculateSafetyStock(averageDailyDemand, leadTimeDays, serviceLevel, demandStdDev, { leadTimeStdDev = 0, serviceType = 'cycle', orderQuantity = null } = {}) {
+    this.validateServiceLevel(serviceLevel, serviceType);
+
+    const sigma = Math.sqrt(
+      leadTimeDays * demandStdDev * demandStdDev +
+      Math.pow(averageDailyDemand * (leadTimeStdDev || 0), 2)
+    );
+    if (!(sigma > 0)) return 0;
+
+    const k = serviceType === 'fill-rate'
+      ? this.getFillRateFactor(serviceLevel, sigma, orderQuantity ?? averageDailyDemand * leadTimeDays)
+      : statsUtils.normalQuantile(serviceLevel);
+
+    return Math.round(Math.max(0, k * sigma) * 100) / 100;
+  }
+
+  /**
+   * Safety factor k meeting a fill rate: solves G(k) = (1 - fill rate) * Q / σ by bisection
+   * (G, the normal loss function, falls as k grows)
    */
-  calculateSafetyStock(averageDailyDemand, leadTimeDays, serviceLevel, demandStdDev) {
-    // Z-score for service level
-    const zScores = {
-      0.90: 1.28,
-      0.95: 1.65,
-      0.99: 2.33
+  getFillRateFactor(fillRate, sigma, orderQuantity) {
+    const target = (1 - fillRate) * Math.max(orderQuantity, 0) / sigma;
+    let low = -4;
+    let high = 8;
+
+    if (statsUtils.normalLoss(low) <= target) return low;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (statsUtils.normalLoss(mid) > target) low = mid;
+      else high = mid;
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Service target of a product, from the first of:
+   * - the product's own `fill_rate` or `service_level`
+   * - the policy entry for its ID (`products`), its category (`categories`) or its ABC class (`classes`)
+   * - the policy `default` (95% cycle service)
+   * Policy entries are cycle service levels, or `{ fill_rate }` / `{ service_level }` objects.
+   */
+  getServiceTarget(product, policy = null, abcClass = null) {
+    const levels = policy || this.defaultServiceLevels;
+    const lookup = (entries, key) => {
+      if (!entries || key === undefined || key === null) return undefined;
+      const match = Object.keys(entries).find(k => k.toLowerCase() === key.toString().toLowerCase());
+      return match === undefined ? undefined : entries[match];
     };
-    
-    const z = zScores[serviceLevel] || 1.65;
-    
-    // Safety stock = Z * σ * √L
-    const safetyStock = z * demandStdDev * Math.sqrt(leadTimeDays);
-    
+
+    const own = product.fill_rate ?? product.service_level;
+    const candidates = [
+      ['product', own !== undefined && own !== null ? product : undefined],
+      ['product-policy', lookup(levels.products, product.id)],
+      ['category', lookup(levels.categories, product.category)],
+      ['class', lookup(levels.classes, abcClass)],
+      ['default', levels.default ?? this.defaultServiceLevels.default]
+    ];
+    const [source, entry] = candidates.find(([, value]) => value !== undefined && value !== null);
+
+    return { ...this.toServiceTarget(entry), source };
+  }
+
+  /**
+   * Read a policy entry or product as a service target
+   */
+  toServiceTarget(entry) {
+    if (entry !== null && typeof entry === 'object') {
+      return entry.fill_rate !== undefined && entry.fill_rate !== null
+        ? { serviceLevel: entry.fill_rate, serviceType: 'fill-rate' }
+        : { serviceLevel: entry.service_level, serviceType: 'cycle' };
+    }
+    return { serviceLevel: entry, serviceType: 'cycle' };
+  }
+
+  /**
+   * Fill in a service-level policy ({ default, classes, categories, products }) and check
+   * every level in it
+   */
+  normalizeServiceLevels(policy = {}) {
+    const normalized = {
+      default: policy.default ?? this.defaultServiceLevels.default,
+      classes: { ...this.defaultServiceLevels.classes, ...(policy.classes || {}) },
+      categories: { ...this.defaultServiceLevels.categories, ...(policy.categories || {}) },
+      products: { ...this.defaultServiceLevels.products, ...(policy.products || {}) }
+    };
+
+    [normalized.default, ...['classes', 'categories', 'products'].flatMap(key => Object.values(normalized[key]))]
+      .forEach(entry => {
+        const target = this.toServiceTarget(entry);
+        this.validateServiceLevel(target.serviceLevel, target.serviceType);
+      });
+
+    return normalized;
+  }
+
+  /**
+   * ABC classes to apply a policy with: the given ones, or classes derived from the
+   * sales when the policy has class levels
+   */
+  resolveABCClasses(products, salesData, policy, abcClasses = null) {
+    if (abcClasses) return abcClasses;
+    return Object.keys(policy.classes).length > 0 ? this.getABCClasses(products, salesData) : {};
+  }
+
+  /**
+   * ABC class of every product by the value of its sales (units times unit price when
+   * the rows carry no revenue), as a map from product ID to class
+   */
+  getABCClasses(products, salesData) {
+    const items = new Map();
+
+    products.forEach(product => {
+      if (items.has(product.id)) return;
+      const annualValue = this.getProductSales(salesData, product).reduce((sum, s) => {
+        const revenue = parseFloat(s.revenue || s.Revenue || 0);
+        const quantity = parseFloat(s.sales || s.Sales || s.quantity || s.Quantity || 0);
+        return sum + (revenue || quantity * (product.unit_price || 0));
+      }, 0);
+      items.set(product.id, { id: product.id, annualValue });
+    });
+
+    return Object.fromEntries(
+      this.classifyABC(Array.from(items.values())).map(item => [item.id, item.class])
+    );
+  }
+
+  /**
+   * Reject service levels outside (0, 1) and unknown service types
+   */
+  validateServiceLevel(serviceLevel, serviceType = 'cycle') {
+    if (!this.serviceTypes.includes(serviceType)) {
+      const error = new Error(`Unknown service type "${serviceType}". Available: ${this.serviceTypes.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (!(serviceLevel > 0 && serviceLevel < 1)) {
+      const error = new Error(`Service level must be between 0 and 1 (exclusive), got ${serviceLevel}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate safety stock for intermittent demand. Lead-time demand is simulated as a compound
+   * of demand occurrence (Bernoulli per day) and demand size (resampled from the non-zero days),
+   * and safety stock is its service-level quantile minus its mean. A normal approximation
+   * understates the risk of lumpy items, where a single order can exceed average lead-time demand.
+   */
+  calculateIntermittentSafetyStock(dailyValues, leadTimeDays, serviceLevel, { paths = 2000, seed = forecastModels.DEFAULT_SEED } = {}) {
+    const sizes = dailyValues.filter(v => v > 0);
+    if (sizes.length === 0 || dailyValues.length === 0) return 0;
+
+    const probability = sizes.length / dailyValues.length;
+    const days = Math.max(1, Math.round(leadTimeDays));
+    const random = forecastModels.createRandom(seed);
+
+    const leadTimeDemand = Array.from({ length: paths }, () => {
+      let total = 0;
+      for (let d = 0; d < days; d++) {
+        if (random() < probability) {
+          total += sizes[Math.floor(random() * sizes.length)];
+        }
+      }
+      return total;
+    });
+
+    const mean = probability * (sizes.reduce((a, b) => a + b, 0) / sizes.length) * days;
+    const safetyStock = Math.max(0, forecastModels.quantile(leadTimeDemand, serviceLevel) - mean);
+
     return Math.round(safetyStock * 100) / 100;
   }
 
+  /**
+   * Daily demand statistics of a product's sales, keeping zero-demand days
+   */
+  getDemandStatistics(salesData) {
+    const dailyValues = this.getDailyDemandValues(salesData);
+    const dailyDemand = this.calculateDailyDemand(salesData);
+    const demandStdDev = dailyValues.length > 1 ?
+      this.calculateStdDev(dailyValues) : dailyDemand * 0.3;
+
+    return {
+      dailyDemand,
+      demandStdDev,
+      dailyValues,
+      demandPattern: forecastModels.classifyDemand(dailyValues)
+    };
+  }
+
+  /**
+   * Calculate safety stock from the forecast's quantiles of lead-time demand.
+   * Each day's upper-tail spread is read off its highest quantile relative to the median
+   * (e.g. (P90 - P50) / z(0.9)), daily errors are treated as independent, and the
+   * service-level quantile of lead-time demand minus its expected value is the safety stock.
+   * Returns null when the forecast has no usable quantiles for the whole lead time.
+   */
+  calculateQuantileSafetyStock(forecastRows, leadTimeDays, serviceLevel) {
+    const days = Math.max(1, Math.round(leadTimeDays));
+    const rows = (forecastRows || []).slice(0, days);
+    if (rows.length < days) return null;
+
+    let expected = 0;
+    let variance = 0;
+
+    for (const row of rows) {
+      const levels = Object.keys(row.quantiles || {})
+        .map(key => ({ p: parseFloat(key.slice(1)) / 100, value: row.quantiles[key] }))
+        .sort((a, b) => a.p - b.p);
+      const upper = levels[levels.length - 1];
+      if (!upper || upper.p <= 0.5) return null;
+
+      const median = levels.find(l => l.p === 0.5)?.value ?? row.predicted;
+      const spread = Math.max(0, upper.value - median) / statsUtils.normalQuantile(upper.p);
+
+      expected += row.predicted || 0;
+      variance += spread * spread;
+    }
+
+    const quantile = expected + statsUtils.normalQuantile(serviceLevel) * Math.sqrt(variance);
+    return Math.round(Math.max(0, quantile - expected) * 100) / 100;
+  }
+
+  /**
+   * How a product's safety stock is sized: simulated for intermittent or lumpy demand,
+   * from forecast quantiles when the forecast carries them, Z * σ * √L otherwise
+   */
+  getSafetyStockMethod(stats, productForecast, leadTimeDays) {
+    if (forecastModels.isIntermittent(stats.demandPattern)) return 'intermittent';
+    const days = Math.max(1, Math.round(leadTimeDays));
+    if ((productForecast || []).length >= days && productForecast[0].quantiles) return 'forecast-quantile';
+    return 'normal';
+  }
+
+  /**
+   * Safety stock for a product with the method chosen by getSafetyStockMethod. Lead-time
+   * deviation and fill-rate targets (`options`) apply to the normal method; the simulated and
+   * forecast-quantile methods use the service level as a quantile of lead-time demand.
+   */
+  calculateProductSafetyStock(stats, leadTimeDays, serviceLevel, defaults = {}, productForecast = null, options = {}) {
+    const method = this.getSafetyStockMethod(stats, productForecast, leadTimeDays);
+    this.validateServiceLevel(serviceLevel, options.serviceType);
+
+    if (method === 'intermittent') {
+      return this.calculateIntermittentSafetyStock(stats.dailyValues, leadTimeDays, serviceLevel);
+    }
+
+    if (method === 'forecast-quantile') {
+      const safetyStock = this.calculateQuantileSafetyStock(productForecast, leadTimeDays, serviceLevel);
+      if (safetyStock !== null) return safetyStock;
+    }
+
+    return this.calculateSafetyStock(
+      stats.dailyDemand || defaults.dailyDemand || 0,
+      leadTimeDays,
+      serviceLevel,
+      stats.demandStdDev || defaults.demandStdDev || 0,
+      options
+    );
+  }
+
   /**
    * Calculate inventory turnover
    */
@@ -114,6 +465,22 @@ class InventoryCalculator {
     };
   }
 
+  /**
+   * Order recommendation under a cost-optimal (Q, r) policy: order Q once stock is at or
+   * below r, capped at max stock. Same fields as calculateOptimalOrder.
+   */
+  calculatePolicyOrder(policy, currentStock, maxStock) {
+    const recommended = currentStock <= policy.reorder_point ? policy.order_quantity : 0;
+
+    return {
+      recommended,
+      adjusted: recommended,
+      final: Math.max(0, Math.min(recommended, maxStock - currentStock)),
+      urgent: currentStock < policy.reorder_point * 0.5,
+      critical: currentStock < policy.reorder_point * 0.25
+    };
+  }
+
   /**
    * Calculate ABC classification based on annual value
    */
@@ -151,47 +518,58 @@ class InventoryCalculator {
   }
 
   /**
-   * Calculate inventory health metrics
+   * Sales rows of a product - try multiple matching strategies
    */
-  calculateHealthMetrics(products, salesData, forecast) {
+  getProductSales(salesData, product) {
+    return salesData.filter(s => {
+      const saleProduct = s.product_name || s.productName || s.product || s.Product;
+      const saleProductId = s.product_id || s.productId || s.ProductID;
+      
+      // Match by name (case insensitive)
+      if (saleProduct && product.name) {
+        return saleProduct.toString().toLowerCase() === product.name.toLowerCase();
+      }
+      
+      // Match by ID
+      if (saleProductId && product.id) {
+        return saleProductId === product.id;
+      }
+      
+      return false;
+    });
+  }
+
+  /**
+   * Calculate inventory health metrics. `serviceLevels` is the service-level policy
+   * (see getServiceTarget) and `abcClasses` maps product IDs to their ABC class; classes
+   * are derived from the sales when the policy needs them and none are given.
+   */
+  calculateHealthMetrics(products, salesData, forecast, { serviceLevels = null, abcClasses = null } = {}) {
     const metrics = [];
+    const policy = this.normalizeServiceLevels(serviceLevels || {});
+    const classes = this.resolveABCClasses(products, salesData, policy, abcClasses);
     
-    for (const product of products) {
-      // Get product sales - try multiple matching strategies
-      const productSales = salesData.filter(s => {
-        const saleProduct = s.product_name || s.productName || s.product || s.Product;
-        const saleProductId = s.product_id || s.productId || s.ProductID;
-        
-        // Match by name (case insensitive)
-        if (saleProduct && product.name) {
-          return saleProduct.toLowerCase() === product.name.toLowerCase();
-        }
-        
-        // Match by ID
-        if (saleProductId && product.id) {
-          return saleProductId === product.id;
-        }
-        
-        return false;
-      });
+    for (const product of this.getStockLocations(products)) {
+      // Get product sales at this location
+      const productSales = this.getLocationSales(this.getProductSales(salesData, product), product.location);
       
-      // Calculate average daily demand from actual sales
-      const dailyDemand = this.calculateDailyDemand(productSales);
+      // Calculate average daily demand and its variation from actual sales (zero days included;
+      // 30% variation is assumed for a single day of data)
+      const demandStats = this.getDemandStatistics(productSales);
+      const { dailyDemand, demandStdDev } = demandStats;
       
-      // Calculate demand standard deviation
-      const salesValues = productSales.map(s => 
-        parseFloat(s.sales || s.Sales || s.quantity || s.Quantity || 0)
-      ).filter(v => !isNaN(v) && v > 0);
-      
-      const demandStdDev = salesValues.length > 1 ? 
-        this.calculateStdDev(salesValues) : (dailyDemand * 0.3); // Default 30% variation
+      // Get forecast for this product
+      const productForecast = this.getProductForecast(forecast, product);
       
-      // Calculate safety stock
-      const safetyStock = this.calculateSafetyStock(
-        dailyDemand || 10, // Default if no data
+      // Calculate safety stock for the product's service target
+      const service = this.getServiceTarget(product, policy, classes[product.id]);
+      const safetyStock = this.calculateProductSafetyStock(
+        demandStats,
         product.lead_time_days || 7,
-        0.95,
-        demandStdDev || 5
+        service.serviceLevel,
+        { dailyDemand: 10, demandStdDev: 5 }, // Defaults if no data
+        productForecast,
+        { serviceType: service.serviceType, leadTimeStdDev: product.lead_time_std_dev || 0 }
       );
       
       // Calculate reorder point
@@ -201,15 +579,6 @@ class InventoryCalculator {
         safetyStock
       );
       
-      // Get forecast for this product
-      const productForecast = forecast?.forecast?.filter(f => {
-        const forecastProduct = f.product_id || f.product || f.Product || f.product_name;
-        return forecastProduct === product.id || 
-               forecastProduct === product.name ||
-               (product.name && forecastProduct && 
-                product.name.toLowerCase() === forecastProduct.toLowerCase());
-      }) || [];
-      
       // Calculate forecast accuracy if we have both actual and forecast
       const forecastAccuracy = this.calculateForecastAccuracy(productSales, productForecast);
       
@@ -244,9 +613,15 @@ class InventoryCalculator {
       metrics.push({
         product_id: product.id,
         product_name: product.name,
+        location: product.location,
         daily_demand: Math.round(dailyDemand * 100) / 100,
         demand_std_dev: Math.round(demandStdDev * 100) / 100,
+        demand_pattern: demandStats.demandPattern.pattern,
         safety_stock: Math.round(safetyStock),
+        safety_stock_method: this.getSafetyStockMethod(demandStats, productForecast, product.lead_time_days || 7),
+        service_level: service.serviceLevel,
+        service_type: service.serviceType,
+        service_level_source: service.source,
         reorder_point: Math.round(reorderPoint),
         stockout_probability: Math.round(stockoutProbability * 100) / 100,
         turnover_rate: Math.round(turnoverRate * 100) / 100,
@@ -261,12 +636,137 @@ class InventoryCalculator {
     return metrics;
   }
 
+  /**
+   * Get the forecast rows for a product, preferring the series of its location, then the
+   * per-product series
+   */
+  getProductForecast(forecast, product) {
+    const matches = (id, name) => 
+      (id !== undefined && id === product.id) ||
+      id === product.name ||
+      (product.name && name && product.name.toLowerCase() === name.toString().toLowerCase());
+
+    const location = this.getLocation(product);
+    const site = location && forecast?.locationForecasts?.find(l => this.sameLocation(l.location, location));
+    const siteSeries = site?.productForecasts?.find(p => matches(p.product_id, p.product_name));
+    if (siteSeries) {
+      return siteSeries.forecast || [];
+    }
+
+    const series = forecast?.productForecasts?.find(p => matches(p.product_id, p.product_name));
+    if (series) {
+      return series.forecast || [];
+    }
+
+    return forecast?.forecast?.filter(f => {
+      const forecastProduct = f.product_id || f.product || f.Product || f.product_name;
+      return matches(forecastProduct, f.product_name || forecastProduct);
+    }) || [];
+  }
+
+  /**
+   * One stock record per product and location. A product with a `locations` array
+   * ([{ location, current_stock, lead_time_days?, max_stock? }]) is split into a record per
+   * location; any other product is a single stock pool at its own location (null if none).
+   */
+  getStockLocations(products) {
+    return products.flatMap(product => {
+      if (Array.isArray(product.locations) && product.locations.length > 0) {
+        const { locations, ...base } = product;
+        return locations.map(entry => ({
+          ...base,
+          ...entry,
+          current_stock: entry.current_stock || 0,
+          location: this.getLocation(entry)
+        }));
+      }
+      return [{ ...product, location: this.getLocation(product) }];
+    });
+  }
+
+  /**
+   * Location (store / warehouse) of a product, stock record or sales row
+   */
+  getLocation(record) {
+    const location = record.location || record.warehouse || record.location_id ||
+      record.Location || record.Warehouse;
+    return location !== undefined && location !== null && location.toString().trim()
+      ? location.toString().trim()
+      : null;
+  }
+
+  /**
+   * Compare two location names (case insensitive)
+   */
+  sameLocation(a, b) {
+    return a.toString().toLowerCase() === b.toString().toLowerCase();
+  }
+
+  /**
+   * Narrow a product's sales to one location. Sales without any location are kept
+   * whole, since there is no way to tell which location they came from.
+   */
+  getLocationSales(productSales, location) {
+    if (!location || !productSales.some(s => this.getLocation(s))) {
+      return productSales;
+    }
+    return productSales.filter(s => {
+      const saleLocation = this.getLocation(s);
+      return saleLocation !== null && this.sameLocation(saleLocation, location);
+    });
+  }
+
+  /**
+   * Forecast demand and stock per category over the forecast horizon. Reconciled category
+   * forecasts are used when the forecast carries them, so each category total matches the
+   * sum of its SKU forecasts.
+   */
+  calculateCategoryTotals(products, forecast) {
+    const categories = new Map();
+    const sumPredicted = rows => rows.reduce((sum, row) => sum + (row.predicted || 0), 0);
+
+    products.forEach(product => {
+      const category = product.category || 'Uncategorized';
+      if (!categories.has(category)) {
+        categories.set(category, { category, products: 0, currentStock: 0, skuForecast: 0 });
+      }
+      const entry = categories.get(category);
+      entry.products += 1;
+      entry.currentStock += this.getStockLocations([product])
+        .reduce((sum, stock) => sum + (stock.current_stock || 0), 0);
+      entry.skuForecast += sumPredicted(this.getProductForecast(forecast, product));
+    });
+
+    return Array.from(categories.values()).map(entry => {
+      const reconciled = forecast?.categoryForecasts?.find(c => c.category === entry.category);
+      const forecastDemand = reconciled ? sumPredicted(reconciled.forecast) : entry.skuForecast;
+
+      return {
+        category: entry.category,
+        products: entry.products,
+        current_stock: entry.currentStock,
+        forecast_demand: Math.round(forecastDemand * 100) / 100,
+        sku_forecast_demand: Math.round(entry.skuForecast * 100) / 100,
+        reconciled: Boolean(reconciled)
+      };
+    });
+  }
+
   /**
    * Calculate daily demand from sales data
    */
   calculateDailyDemand(salesData) {
-    if (salesData.length === 0) return 0;
+    const values = this.getDailyDemandValues(salesData);
+    if (values.length === 0) return 0;
     
+    const total = values.reduce((sum, v) => sum + v, 0);
+    return total / values.length;
+  }
+
+  /**
+   * Total demand per date in chronological order. Zero-demand days count as observations.
+   */
+  getDailyDemandValues(salesData) {
     // Group by date
     const byDate = new Map();
     salesData.forEach(sale => {
@@ -276,15 +776,14 @@ class InventoryCalculator {
       const key = new Date(date).toISOString().split('T')[0];
       const value = parseFloat(sale.sales || sale.Sales || sale.quantity || sale.Quantity || 0);
       
-      if (!isNaN(value) && value > 0) {
+      if (!isNaN(value) && value >= 0) {
         byDate.set(key, (byDate.get(key) || 0) + value);
       }
     });
     
-    if (byDate.size === 0) return 0;
-    
-    const total = Array.from(byDate.values()).reduce((sum, v) => sum + v, 0);
-    return total / byDate.size;
+    return Array.from(byDate.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, value]) => value);
   }
 
   /**
@@ -344,43 +843,34 @@ class InventoryCalculator {
   }
 
   /**
-   * Calculate reorder recommendations
+   * Calculate reorder recommendations (service levels as in calculateHealthMetrics)
    */
-  calculateReorderRecommendations(products, salesData, forecast) {
+  calculateReorderRecommendations(products, salesData, forecast, { serviceLevels = null, abcClasses = null } = {}) {
     const recommendations = [];
+    const policy = this.normalizeServiceLevels(serviceLevels || {});
+    const classes = this.resolveABCClasses(products, salesData, policy, abcClasses);
     
-    for (const product of products) {
-      // Get product sales - try multiple matching strategies
-      const productSales = salesData.filter(s => {
-        const saleProduct = s.product_name || s.productName || s.product || s.Product;
-        const saleProductId = s.product_id || s.productId || s.ProductID;
-        
-        if (saleProduct && product.name) {
-          return saleProduct.toLowerCase() === product.name.toLowerCase();
-        }
-        if (saleProductId && product.id) {
-          return saleProductId === product.id;
-        }
-        return false;
-      });
+    for (const product of this.getStockLocations(products)) {
+      // Get product sales at this location
+      const productSales = this.getLocationSales(this.getProductSales(salesData, product), product.location);
       
-      // Calculate daily demand
-      const dailyDemand = this.calculateDailyDemand(productSales) || 10;
+      // Calculate daily demand and its variation (zero days included)
+      const demandStats = this.getDemandStatistics(productSales);
+      const dailyDemand = demandStats.dailyDemand || 10;
+      const demandStdDev = demandStats.dailyValues.length > 1 ? demandStats.demandStdDev : dailyDemand * 0.3;
       
-      // Calculate demand standard deviation
-      const salesValues = productSales.map(s => 
-        parseFloat(s.sales || s.Sales || s.quantity || s.Quantity || 0)
-      ).filter(v => !isNaN(v) && v > 0);
-      
-      const demandStdDev = salesValues.length > 1 ? 
-        this.calculateStdDev(salesValues) : dailyDemand * 0.3;
+      // Get forecast for this product
+      const productForecast = this.getProductForecast(forecast, product);
       
-      // Calculate safety stock
-      const safetyStock = this.calculateSafetyStock(
-        dailyDemand,
+      // Calculate safety stock for the product's service target
+      const service = this.getServiceTarget(product, policy, classes[product.id]);
+      const safetyStock = this.calculateProductSafetyStock(
+        { ...demandStats, dailyDemand, demandStdDev },
         product.lead_time_days || 7,
-        0.95,
-        demandStdDev
+        service.serviceLevel,
+        {},
+        productForecast,
+        { serviceType: service.serviceType, leadTimeStdDev: product.lead_time_std_dev || 0 }
       );
       
       // Calculate reorder point
@@ -394,15 +884,6 @@ class InventoryCalculator {
       const daysUntilReorder = currentStock > 0 ? 
         Math.max(0, (currentStock - reorderPoint) / dailyDemand) : 0;
       
-      // Get forecast for this product
-      const productForecast = forecast?.forecast?.filter(f => {
-        const forecastProduct = f.product_id || f.product || f.Product || f.product_name;
-        return forecastProduct === product.id || 
-               forecastProduct === product.name ||
-               (product.name && forecastProduct && 
-                product.name.toLowerCase() === forecastProduct.toLowerCase());
-      }) || [];
-      
       // Calculate optimal order
       const optimalOrder = this.calculateOptimalOrder(
         productForecast,
@@ -423,10 +904,16 @@ class InventoryCalculator {
       recommendations.push({
         product_id: product.id,
         product_name: product.name,
+        location: product.location,
         current_stock: currentStock,
         daily_demand: Math.round(dailyDemand * 100) / 100,
+        demand_pattern: demandStats.demandPattern.pattern,
         reorder_point: Math.round(reorderPoint),
         safety_stock: Math.round(safetyStock),
+        safety_stock_method: this.getSafetyStockMethod(demandStats, productForecast, product.lead_time_days || 7),
+        service_level: service.serviceLevel,
+        service_type: service.serviceType,
+        service_level_source: service.source,
         days_until_reorder: Math.round(daysUntilReorder * 10) / 10,
         should_reorder: currentStock <= reorderPoint,
         recommended_order: optimalOrder.final,
@@ -438,6 +925,225 @@ class InventoryCalculator {
     
     return recommendations;
   }
+
+  /**
+   * Cost-minimizing order quantity and reorder point per product and location, with the
+   * annual ordering, holding and stockout cost they lead to (see calculateCostOptimalPolicy).
+   * Shortages are lost sales unless the product sets `backorders: true`.
+   */
+  calculateCostOptimization(products, salesData) {
+    return this.getStockLocations(products).map(product => {
+      const productSales = this.getLocationSales(this.getProductSales(salesData, product), product.location);
+      const demandStats = this.getDemandStatistics(productSales);
+      const dailyDemand = demandStats.dailyDemand || 10;
+      const demandStdDev = demandStats.dailyValues.length > 1 ? demandStats.demandStdDev : dailyDemand * 0.3;
+      const leadTimeDays = product.lead_time_days || 7;
+      const backorders = product.backorders === true;
+      const costs = this.getCostParameters(product);
+
+      const policy = this.calculateCostOptimalPolicy(dailyDemand, demandStdDev, leadTimeDays, costs, {
+        leadTimeStdDev: product.lead_time_std_dev || 0,
+        backorders
+      });
+
+      return {
+        product_id: product.id,
+        product_name: product.name,
+        location: product.location,
+        daily_demand: Math.round(dailyDemand * 100) / 100,
+        annual_demand: Math.round(dailyDemand * 365),
+        lead_time_days: leadTimeDays,
+        ordering_cost: costs.orderingCost,
+        holding_cost_per_unit_year: Math.round(costs.holdingCostPerUnitYear * 100) / 100,
+        stockout_cost: Math.round((backorders ? costs.backorderCost : costs.stockoutCost) * 100) / 100,
+        backorders,
+        ...(policy || {
+          order_quantity: null,
+          reorder_point: null,
+          annual_costs: null,
+          note: 'Needs an ordering_cost and a holding cost (unit_cost times holding_cost_rate)'
+        })
+      };
+    });
+  }
+
+  /**
+   * Stock targets for a two-echelon network: a distribution center (DC), replenished by its
+   * supplier, feeds stores. Every node follows a periodic-review order-up-to policy.
+   * - The DC faces the pooled demand of its stores (stores are independent, so variances add)
+   * - Its expected backorders at its service level, divided by demand (Little's law, as in
+   *   METRIC), give the average time a store order waits for DC stock
+   * - That wait is added to each store's transit time before store safety stock is sized,
+   *   so a leaner DC pushes safety stock down to the stores
+   * Store demand comes from `daily_demand` / `demand_std_dev` on the node, or from the sales
+   * rows of the store's location.
+   * Nodes are sized for the product's service target (see getServiceTarget), with the ABC
+   * class taken from `abcClasses` or from the sales of `products`; a node's own
+   * `service_level` overrides it.
+   */
+  calculateMultiEchelon(network, salesData = [], { serviceLevels = null, abcClasses = null, products = null } = {}) {
+    const { dc, stores, product = null } = this.validateNetwork(network);
+    const policy = this.normalizeServiceLevels(serviceLevels || {});
+    const service = product
+      ? this.getServiceTarget(product, policy, this.resolveABCClasses(products || [product], salesData, policy, abcClasses)[product.id])
+      : { ...this.toServiceTarget(policy.default), source: 'default' };
+    const productSales = product
+      ? salesData.filter(s => {
+        const saleProduct = s.product_name || s.productName || s.product || s.Product;
+        const saleProductId = s.product_id || s.productId || s.ProductID;
+        return (saleProductId && saleProductId === product.id) ||
+          (saleProduct && product.name && saleProduct.toString().toLowerCase() === product.name.toLowerCase());
+      })
+      : salesData;
+
+    const storeDemand = stores.map(store => this.getNodeDemand(store, productSales));
+    const dcDemand = {
+      dailyDemand: storeDemand.reduce((sum, d) => sum + d.dailyDemand, 0),
+      demandStdDev: Math.sqrt(storeDemand.reduce((sum, d) => sum + d.demandStdDev * d.demandStdDev, 0))
+    };
+
+    const dcTarget = this.calculateEchelonTarget(dc, dcDemand, dc.lead_time_days ?? 7, 7, service);
+    // A store order never waits longer than the DC's own replenishment
+    const expectedDelay = dcDemand.dailyDemand > 0
+      ? Math.min(dcTarget.expectedBackorders / dcDemand.dailyDemand, dc.lead_time_days ?? 7)
+      : 0;
+
+    const storeTargets = stores.map((store, i) => {
+      const transit = store.lead_time_days ?? 1;
+      return {
+        ...this.calculateEchelonTarget(store, storeDemand[i], transit + expectedDelay, 1, service),
+        transit_days: transit
+      };
+    });
+
+    const format = (node, target, echelon) => ({
+      node_id: node.id || node.name || node.location,
+      name: node.name || node.location || node.id,
+      echelon,
+      ...(echelon === 'store' && { transit_days: target.transit_days }),
+      daily_demand: Math.round(target.dailyDemand * 100) / 100,
+      demand_std_dev: Math.round(target.demandStdDev * 100) / 100,
+      service_level: target.serviceLevel,
+      service_type: target.serviceType,
+      service_level_source: target.source,
+      lead_time_days: Math.round(target.leadTime * 100) / 100,
+      review_period_days: target.reviewPeriod,
+      safety_stock: Math.round(target.safetyStock),
+      target_stock: Math.round(target.targetStock),
+      current_stock: node.current_stock || 0,
+      inventory_position: target.inventoryPosition,
+      recommended_order: Math.max(0, Math.round(target.targetStock - target.inventoryPosition))
+    });
+
+    const stdDevSum = storeDemand.reduce((sum, d) => sum + d.demandStdDev, 0);
+    const nodes = [
+      { ...format(dc, dcTarget, 'dc'), expected_backorders: Math.round(dcTarget.expectedBackorders * 100) / 100 },
+      ...stores.map((store, i) => format(store, storeTargets[i], 'store'))
+    ];
+
+    return {
+      product: product && { id: product.id, name: product.name },
+      dc: { ...nodes[0], supplier: dc.supplier || null, expected_delay_days: Math.round(expectedDelay * 100) / 100 },
+      stores: nodes.slice(1),
+      summary: {
+        stores: stores.length,
+        network_daily_demand: Math.round(dcDemand.dailyDemand * 100) / 100,
+        pooled_std_dev: Math.round(dcDemand.demandStdDev * 100) / 100,
+        // Share of store-level variability that cancels out when pooled at the DC
+        risk_pooling: stdDevSum > 0 ? Math.round((1 - dcDemand.demandStdDev / stdDevSum) * 1000) / 1000 : 0,
+        total_safety_stock: nodes.reduce((sum, n) => sum + n.safety_stock, 0),
+        total_target_stock: nodes.reduce((sum, n) => sum + n.target_stock, 0),
+        total_recommended_order: nodes.reduce((sum, n) => sum + n.recommended_order, 0)
+      }
+    };
+  }
+
+  /**
+   * Order-up-to level of one network node: demand over lead time plus review period, plus
+   * z * σ of safety stock with σ = √((L + R) σd² + d² σL²). Also returns the expected
+   * backorders at the end of a cycle, σ * G(z) with G the normal loss function.
+   * A fill-rate target sizes z so that σ * G(z) is (1 - fill rate) of a review period's demand.
+   */
+  calculateEchelonTarget(node, demand, leadTime, defaultReviewPeriod, service = { serviceLevel: 0.95, serviceType: 'cycle', source: 'default' }) {
+    const { serviceLevel, serviceType, source } = node.service_level !== undefined
+      ? { serviceLevel: node.service_level, serviceType: 'cycle', source: 'node' }
+      : service;
+    const reviewPeriod = node.review_period_days ?? defaultReviewPeriod;
+    const protection = leadTime + reviewPeriod;
+    const spread = Math.sqrt(
+      protection * demand.demandStdDev * demand.demandStdDev +
+      Math.pow(demand.dailyDemand * (node.lead_time_std_dev || 0), 2)
+    );
+    const z = serviceType === 'fill-rate' && spread > 0
+      ? this.getFillRateFactor(serviceLevel, spread, demand.dailyDemand * reviewPeriod)
+      : statsUtils.normalQuantile(serviceLevel);
+    const safetyStock = Math.max(0, z * spread);
+
+    return {
+      ...demand,
+      serviceLevel,
+      serviceType,
+      source,
+      leadTime,
+      reviewPeriod,
+      safetyStock,
+      targetStock: demand.dailyDemand * protection + safetyStock,
+      inventoryPosition: (node.current_stock || 0) + (node.on_order || 0),
+      expectedBackorders: spread * statsUtils.normalLoss(z)
+    };
+  }
+
+  /**
+   * Daily demand of a store: given on the node, or measured from the sales of its location
+   */
+  getNodeDemand(node, salesData) {
+    if (Number.isFinite(node.daily_demand)) {
+      return {
+        dailyDemand: node.daily_demand,
+        demandStdDev: Number.isFinite(node.demand_std_dev) ? node.demand_std_dev : node.daily_demand * 0.3
+      };
+    }
+
+    const location = this.getLocation(node) || node.name || node.id;
+    const sales = salesData.filter(s => {
+      const saleLocation = this.getLocation(s);
+      return saleLocation !== null && location && this.sameLocation(saleLocation, location);
+    });
+    const { dailyDemand, demandStdDev } = this.getDemandStatistics(sales);
+    return { dailyDemand, demandStdDev };
+  }
+
+  /**
+   * Check a DC-to-store network: a `dc` object, a non-empty `stores` array and service
+   * levels strictly between 0 and 1
+   */
+  validateNetwork(network) {
+    const fail = message => {
+      const error = new Error(message);
+      error.status = 400;
+      throw error;
+    };
+
+    if (!network || typeof network.dc !== 'object' || network.dc === null) {
+      fail('A network needs a dc object: { id, name, current_stock, lead_time_days, service_level }');
+    }
+    if (!Array.isArray(network.stores) || network.stores.length === 0) {
+      fail('A network needs a non-empty stores array');
+    }
+
+    [network.dc, ...network.stores].forEach(node => {
+      if (node.service_level !== undefined && !(node.service_level > 0 && node.service_level < 1)) {
+        fail(`Service level of ${node.name || node.id || 'node'} must be between 0 and 1, got ${node.service_level}`);
+      }
+      ['lead_time_days', 'review_period_days'].forEach(key => {
+        if (node[key] !== undefined && !(Number.isFinite(node[key]) && node[key] >= 0)) {
+          fail(`${key} of ${node.name || node.id || 'node'} must be a non-negative number`);
+        }
+      });
+    });
+
+    return network;
+  }
 }
 
 module.exports = new InventoryCalculator();
\ No newline at end of file
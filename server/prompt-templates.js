@@ -37,8 +37,8 @@ Confidence Level: [percentage]
 [Generate forecast for the requested period with these exact fields for each day:
 - date
 - predicted (numeric)
-- upper_bound (numeric, ~15% higher)
-- lower_bound (numeric, ~15% lower)
+- upper_bound (numeric, upper limit of the prediction interval at the requested confidence level)
+- lower_bound (numeric, lower limit of the prediction interval at the requested confidence level)
 ]
 
 ## Strategic Insights
@@ -94,8 +94,8 @@ Confidence Level: [percentage]
 [Generate forecast for the requested period with these exact fields for each day:
 - date
 - predicted (numeric)
-- upper_bound (numeric, ~15% higher)
-- lower_bound (numeric, ~15% lower)
+- upper_bound (numeric, upper limit of the prediction interval at the requested confidence level)
+- lower_bound (numeric, lower limit of the prediction interval at the requested confidence level)
 ]
 
 ## Key Insights
@@ -201,7 +201,7 @@ TASK:
 1. Analyze the historical sales patterns
 2. Identify trends, seasonality, and anomalies
 3. Generate a ${forecastPeriods}-day demand forecast
-4. Calculate confidence intervals (upper/lower bounds)
+4. Calculate prediction intervals (upper/lower bounds) at the ${confidenceLevel * 100}% confidence level, widening with the horizon
 5. Provide actionable insights for inventory management
 
 FOCUS ON:
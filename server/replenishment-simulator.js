@@ -0,0 +1,373 @@
+// server/replenishment-simulator.js - Day-by-day simulation of inventory replenishment policies
+const forecastModels = require('./forecast-models');
+const statsUtils = require('./stats-utils');
+const inventoryCalculator = require('./inventory-calculator');
+const calendarUtils = require('./calendar-utils');
+
+class ReplenishmentSimulator {
+  constructor() {
+    // sQ: order Q when the inventory position falls to s (continuous review)
+    // sS: order up to S when the inventory position falls to s (continuous review)
+    // RS: order up to S every R days (periodic review)
+    this.policyTypes = ['sQ', 'sS', 'RS'];
+    this.demandSources = ['auto', 'demand', 'forecast', 'history'];
+    // Limits keeping a simulation request from holding the event loop for long
+    this.maxPolicies = 20;
+    this.maxDays = 3650;
+    this.maxPaths = 1000;
+  }
+
+  /**
+   * Simulate a product's policies on the same demand paths, so differences between the
+   * results come from the policies rather than from the demand drawn. Lead time, starting
+   * stock and costs come from the product (see InventoryCalculator.getCostParameters).
+   * Each result says whether the policy meets the product's service target under the
+   * `serviceLevels` policy (see InventoryCalculator.getServiceTarget), with the ABC class
+   * taken from `abcClasses` or from the sales of `products`.
+   */
+  simulateProduct(product, policies, { demand = null, forecast = null, salesData = [], demandSource = 'auto', days = null, paths = null, seed = forecastModels.DEFAULT_SEED, backorders = false, serviceLevels = null, abcClasses = null, products = null } = {}) {
+    if (!product || typeof product !== 'object') {
+      throw this.badRequest('A product is required: { id, name, current_stock, lead_time_days, unit_cost }');
+    }
+
+    const source = this.getDemandPaths(product, { demand, forecast, salesData, demandSource, days, paths, seed });
+    const policy = inventoryCalculator.normalizeServiceLevels(serviceLevels || {});
+    const classes = inventoryCalculator.resolveABCClasses(products || [product], salesData, policy, abcClasses);
+    const service = inventoryCalculator.getServiceTarget(product, policy, classes[product.id]);
+    const costs = inventoryCalculator.getCostParameters(product);
+    const settings = {
+      leadTimeDays: product.lead_time_days ?? 7,
+      leadTimeStdDev: product.lead_time_std_dev || 0,
+      initialStock: product.current_stock || 0,
+      backorders: Boolean(backorders),
+      costs: {
+        orderingCost: costs.orderingCost,
+        holdingCostPerUnitDay: costs.holdingCostPerUnitDay,
+        stockoutCost: backorders ? costs.backorderCost : costs.stockoutCost
+      },
+      seed
+    };
+
+    return {
+      product: { id: product.id, name: product.name },
+      demandSource: source.source,
+      days: source.paths[0].length,
+      paths: source.paths.length,
+      settings: {
+        lead_time_days: settings.leadTimeDays,
+        lead_time_std_dev: settings.leadTimeStdDev,
+        initial_stock: settings.initialStock,
+        backorders: settings.backorders,
+        ordering_cost: settings.costs.orderingCost,
+        holding_cost_per_unit_day: Math.round(settings.costs.holdingCostPerUnitDay * 10000) / 10000,
+        stockout_cost: settings.costs.stockoutCost
+      },
+      service_target: { service_level: service.serviceLevel, service_type: service.serviceType, source: service.source },
+      ...this.withServiceTarget(this.compare(policies, source.paths, settings), service)
+    };
+  }
+
+  /**
+   * Mark the results meeting a service target: fill rate for fill-rate targets, the share of
+   * replenishment cycles without a stockout for cycle service levels
+   */
+  withServiceTarget(comparison, service) {
+    return {
+      ...comparison,
+      results: comparison.results.map(result => ({
+        ...result,
+        meets_service_target: (service.serviceType === 'fill-rate' ? result.fill_rate : result.cycle_service_level) >= service.serviceLevel
+      }))
+    };
+  }
+
+  /**
+   * Run every policy over every demand path and average the results per policy.
+   * `best` names the policy with the lowest average total cost.
+   */
+  compare(policies, demandPaths, settings = {}) {
+    if (!Array.isArray(policies) || policies.length === 0) {
+      throw this.badRequest('At least one policy is required, e.g. { type: "sQ", reorder_point, order_quantity }');
+    }
+    if (policies.length > this.maxPolicies) {
+      throw this.badRequest(`At most ${this.maxPolicies} policies can be compared at once`);
+    }
+    policies.forEach(policy => this.validatePolicy(policy));
+
+    const results = policies.map(policy => {
+      // Each path draws its lead times from its own seed, shared by all policies
+      const runs = demandPaths.map((demand, path) =>
+        this.simulate(policy, demand, { ...settings, seed: `${settings.seed ?? forecastModels.DEFAULT_SEED}:${path}` })
+      );
+      return { policy: this.describePolicy(policy), ...this.averageRuns(runs) };
+    });
+
+    const best = results.reduce((a, b) => b.total_cost < a.total_cost ? b : a);
+    return { results, best: best.policy.name };
+  }
+
+  /**
+   * Replay one demand path day by day. Each day:
+   * 1. orders due today arrive (and fill any backlog first)
+   * 2. demand is served from stock; the rest is lost, or backordered with `backorders`
+   * 3. the policy reviews the inventory position (on hand + on order - backlog) and may order;
+   *    an order arrives at the start of the day `lead time` days later (at least the next day)
+   * 4. holding cost is charged on the stock left at the end of the day
+   * A replenishment cycle ends each day an order arrives; the last one ends with the path.
+   */
+  simulate(policy, demand, { leadTimeDays = 7, leadTimeStdDev = 0, initialStock = 0, backorders = false, costs = {}, seed = forecastModels.DEFAULT_SEED } = {}) {
+    const { orderingCost = 0, holdingCostPerUnitDay = 0, stockoutCost = 0 } = costs;
+    const random = forecastModels.createRandom(seed);
+    let pipeline = [];
+    let onHand = initialStock;
+    let backlog = 0;
+
+    const totals = { demand: 0, served: 0, short: 0, stockoutDays: 0, onHand: 0, orders: 0, unitsOrdered: 0, cycles: 0, stockoutCycles: 0 };
+    let cycleShort = false;
+
+    demand.forEach((value, day) => {
+      const dailyDemand = Math.max(0, value || 0);
+
+      const arriving = pipeline.filter(order => order.arrival === day);
+      arriving.forEach(order => { onHand += order.quantity; });
+      if (arriving.length > 0) {
+        totals.cycles += 1;
+        if (cycleShort) totals.stockoutCycles += 1;
+        cycleShort = false;
+      }
+      pipeline = pipeline.filter(order => order.arrival > day);
+
+      if (backlog > 0) {
+        const filled = Math.min(onHand, backlog);
+        onHand -= filled;
+        backlog -= filled;
+      }
+
+      const served = Math.min(onHand, dailyDemand);
+      const short = dailyDemand - served;
+      onHand -= served;
+      totals.demand += dailyDemand;
+      totals.served += served;
+      if (short > 0) {
+        totals.short += short;
+        totals.stockoutDays += 1;
+        cycleShort = true;
+        if (backorders) backlog += short;
+      }
+
+      const onOrder = pipeline.reduce((sum, order) => sum + order.quantity, 0);
+      const quantity = this.getOrderQuantity(policy, onHand + onOrder - backlog, day);
+      if (quantity > 0) {
+        totals.orders += 1;
+        totals.unitsOrdered += quantity;
+        pipeline.push({ arrival: day + this.sampleLeadTime(leadTimeDays, leadTimeStdDev, random), quantity });
+      }
+
+      totals.onHand += onHand;
+    });
+
+    const days = Math.max(demand.length, 1);
+    totals.cycles += 1;
+    if (cycleShort) totals.stockoutCycles += 1;
+    const costBreakdown = {
+      ordering: totals.orders * orderingCost,
+      holding: totals.onHand * holdingCostPerUnitDay,
+      stockout: totals.short * stockoutCost
+    };
+
+    return {
+      days: demand.length,
+      total_demand: totals.demand,
+      fill_rate: totals.demand > 0 ? totals.served / totals.demand : 1,
+      stockout_days: totals.stockoutDays,
+      cycle_service_level: 1 - totals.stockoutCycles / totals.cycles,
+      units_short: totals.short,
+      average_on_hand: totals.onHand / days,
+      orders_placed: totals.orders,
+      units_ordered: totals.unitsOrdered,
+      ending_stock: onHand,
+      costs: costBreakdown,
+      total_cost: costBreakdown.ordering + costBreakdown.holding + costBreakdown.stockout
+    };
+  }
+
+  /**
+   * Quantity a policy orders at a given inventory position (0 for no order)
+   */
+  getOrderQuantity(policy, position, day) {
+    switch (policy.type) {
+      case 'sQ':
+        // Order as many lots of Q as it takes to lift the position back above s
+        return position <= policy.reorder_point
+          ? policy.order_quantity * Math.max(1, Math.ceil((policy.reorder_point - position + 1e-9) / policy.order_quantity))
+          : 0;
+      case 'sS':
+        return position <= policy.reorder_point ? policy.order_up_to - position : 0;
+      case 'RS':
+        return day % policy.review_period_days === 0 ? Math.max(0, policy.order_up_to - position) : 0;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Whole days until an order arrives: the lead time, or a normal draw around it when the
+   * supplier's lead time varies
+   */
+  sampleLeadTime(leadTimeDays, leadTimeStdDev, random) {
+    const days = leadTimeStdDev > 0
+      ? leadTimeDays + leadTimeStdDev * statsUtils.normalQuantile(Math.min(Math.max(random(), 1e-9), 1 - 1e-9))
+      : leadTimeDays;
+    return Math.max(1, Math.round(days));
+  }
+
+  /**
+   * Demand to replay: an explicit `demand` array, the product's forecast, or paths
+   * bootstrapped from its daily sales history. 'auto' takes the first one available.
+   */
+  getDemandPaths(product, { demand, forecast, salesData, demandSource = 'auto', days = null, paths = null, seed }) {
+    if (!this.demandSources.includes(demandSource)) {
+      throw this.badRequest(`Unknown demand source "${demandSource}". Available: ${this.demandSources.join(', ')}`);
+    }
+    if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= this.maxDays)) {
+      throw this.badRequest(`days must be a whole number between 1 and ${this.maxDays}`);
+    }
+    if (paths !== null && !(Number.isInteger(paths) && paths >= 1 && paths <= this.maxPaths)) {
+      throw this.badRequest(`paths must be a whole number between 1 and ${this.maxPaths}`);
+    }
+
+    const wants = source => demandSource === source || demandSource === 'auto';
+
+    if (wants('demand') && Array.isArray(demand) && demand.length > 0) {
+      if (demand.some(value => !Number.isFinite(Number(value)) || Number(value) < 0)) {
+        throw this.badRequest('demand must be an array of non-negative numbers');
+      }
+      if (demand.length > this.maxDays) {
+        throw this.badRequest(`demand can cover at most ${this.maxDays} days`);
+      }
+      const values = demand.map(Number);
+      return { source: 'demand', paths: [days ? values.slice(0, days) : values] };
+    }
+
+    const forecastRows = forecast ? inventoryCalculator.getProductForecast(forecast, product) : [];
+    if (wants('forecast') && forecastRows.length > 0) {
+      const values = this.getDailyForecast(forecastRows, forecast.metadata?.frequency);
+      return { source: 'forecast', paths: [values.slice(0, days || this.maxDays)] };
+    }
+
+    const history = inventoryCalculator.getDailyDemandValues(
+      inventoryCalculator.getProductSales(salesData || [], product)
+    );
+    if (wants('history') && history.length > 0) {
+      const random = forecastModels.createRandom(seed);
+      const length = days || 90;
+      return {
+        source: 'history',
+        paths: Array.from({ length: paths || 200 }, () =>
+          Array.from({ length }, () => history[Math.floor(random() * history.length)])
+        )
+      };
+    }
+
+    throw this.badRequest(`No ${demandSource === 'auto' ? '' : `${demandSource} `}demand to simulate: pass demand, a forecast for the product or its sales history`);
+  }
+
+  /**
+   * Daily demand from forecast rows: a weekly or monthly row is spread evenly over the days
+   * of its period. The frequency comes from the forecast's metadata, or from the row dates.
+   */
+  getDailyForecast(rows, frequency = null) {
+    const rowFrequency = frequency || (rows.length > 1 ? calendarUtils.detectFrequency(rows.map(row => row.date)) : 'daily');
+    if (!calendarUtils.frequencies.includes(rowFrequency)) {
+      throw this.badRequest(`Unknown forecast frequency "${rowFrequency}". Available: ${calendarUtils.frequencies.join(', ')}`);
+    }
+
+    return rows.flatMap(row => {
+      const value = Math.max(0, row.predicted || 0);
+      if (rowFrequency === 'daily') return [value];
+
+      const start = calendarUtils.toDate(row.date);
+      const length = Math.round((calendarUtils.addPeriods(start, 1, rowFrequency) - start) / (24 * 60 * 60 * 1000));
+      return Array(length).fill(value / length);
+    });
+  }
+
+  /**
+   * Check a policy's type and parameters
+   */
+  validatePolicy(policy) {
+    if (!policy || !this.policyTypes.includes(policy.type)) {
+      throw this.badRequest(`Unknown policy type "${policy?.type}". Available: ${this.policyTypes.join(', ')}`);
+    }
+
+    const required = {
+      sQ: ['reorder_point', 'order_quantity'],
+      sS: ['reorder_point', 'order_up_to'],
+      RS: ['review_period_days', 'order_up_to']
+    }[policy.type];
+    required.forEach(key => {
+      if (!Number.isFinite(policy[key]) || policy[key] < 0) {
+        throw this.badRequest(`${policy.type} policy needs a non-negative number for ${key}`);
+      }
+    });
+
+    if (policy.type === 'sQ' && !(policy.order_quantity > 0)) {
+      throw this.badRequest('order_quantity must be positive');
+    }
+    if (policy.type === 'sS' && policy.order_up_to <= policy.reorder_point) {
+      throw this.badRequest('order_up_to must be above reorder_point');
+    }
+    if (policy.type === 'RS' && !(Number.isInteger(policy.review_period_days) && policy.review_period_days >= 1)) {
+      throw this.badRequest('review_period_days must be a whole number of days, at least 1');
+    }
+  }
+
+  /**
+   * Policy parameters with a readable name, e.g. "(s=20, Q=100)"
+   */
+  describePolicy(policy) {
+    const name = {
+      sQ: `(s=${policy.reorder_point}, Q=${policy.order_quantity})`,
+      sS: `(s=${policy.reorder_point}, S=${policy.order_up_to})`,
+      RS: `(R=${policy.review_period_days}, S=${policy.order_up_to})`
+    }[policy.type];
+
+    return { name: policy.name || name, ...policy };
+  }
+
+  /**
+   * Average simulation results over demand paths
+   */
+  averageRuns(runs) {
+    const mean = pick => runs.reduce((sum, run) => sum + pick(run), 0) / runs.length;
+    const round = (value, digits = 2) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+    return {
+      fill_rate: round(mean(r => r.fill_rate), 4),
+      stockout_days: round(mean(r => r.stockout_days)),
+      cycle_service_level: round(mean(r => r.cycle_service_level), 4),
+      units_short: round(mean(r => r.units_short)),
+      average_on_hand: round(mean(r => r.average_on_hand)),
+      orders_placed: round(mean(r => r.orders_placed)),
+      units_ordered: round(mean(r => r.units_ordered)),
+      ending_stock: round(mean(r => r.ending_stock)),
+      costs: {
+        ordering: round(mean(r => r.costs.ordering)),
+        holding: round(mean(r => r.costs.holding)),
+        stockout: round(mean(r => r.costs.stockout))
+      },
+      total_cost: round(mean(r => r.total_cost))
+    };
+  }
+
+  /**
+   * Validation error answered with a 400
+   */
+  badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+}
+
+module.exports = new ReplenishmentSimulator();
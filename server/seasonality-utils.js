@@ -153,6 +153,159 @@ class SeasonalityUtils {
     return 'Consider longer historical data for better seasonality detection.';
   }
 
+  /**
+   * Estimate seasonal indices from history with classical multiplicative decomposition.
+   * Each index is the average ratio of actual demand to its centered moving average,
+   * normalized so the indices of a cycle average to 1. A profile is null when the
+   * history does not cover at least two full cycles.
+   */
+  estimateSeasonalProfile(historical, frequency = 'daily') {
+    const points = historical
+      .map(h => ({ date: new Date(h.date), value: parseFloat(h.sales) || 0 }))
+      .filter(p => !isNaN(p.date.getTime()))
+      .sort((a, b) => a.date - b.date);
+
+    // Day-of-week (0 = Sunday) only makes sense for daily data
+    const dayOfWeek = frequency === 'daily'
+      ? this.estimateIndices(points.map(p => p.value), points.map(p => p.date.getUTCDay()), 7, 7)
+      : null;
+
+    // Week-of-year from weekly averages (0 = ISO week 1)
+    let weekOfYear = null;
+    if (frequency !== 'monthly') {
+      const weeks = this.averageByPeriod(points, date => this.getWeekStart(date).getTime());
+      weekOfYear = this.estimateIndices(
+        weeks.map(w => w.value),
+        weeks.map(w => this.getISOWeek(w.date) - 1),
+        52,
+        53
+      );
+    }
+
+    // Month-of-year from monthly averages (0 = January)
+    const months = this.averageByPeriod(points, date => date.getUTCFullYear() * 12 + date.getUTCMonth());
+    const monthOfYear = this.estimateIndices(
+      months.map(m => m.value),
+      months.map(m => m.date.getUTCMonth()),
+      12,
+      12
+    );
+
+    return {
+      method: 'classical-multiplicative',
+      dayOfWeek,
+      weekOfYear,
+      monthOfYear
+    };
+  }
+
+  /**
+   * Average ratio-to-moving-average per seasonal key, normalized to a mean of 1
+   */
+  estimateIndices(values, keys, period, size) {
+    if (values.length < period * 2) return null;
+
+    const trend = this.centeredMovingAverage(values, period);
+    const sums = new Array(size).fill(0);
+    const counts = new Array(size).fill(0);
+
+    values.forEach((value, i) => {
+      if (trend[i] !== null && trend[i] > 0) {
+        sums[keys[i]] += value / trend[i];
+        counts[keys[i]]++;
+      }
+    });
+
+    const raw = sums.map((sum, key) => counts[key] > 0 ? sum / counts[key] : null);
+    const observed = raw.filter(r => r !== null);
+    if (observed.length === 0) return null;
+
+    const mean = observed.reduce((a, b) => a + b, 0) / observed.length;
+    if (mean === 0) return null;
+
+    return raw.map(r => r === null ? 1 : Math.round((r / mean) * 10000) / 10000);
+  }
+
+  /**
+   * Centered moving average (2 x period for even periods); null where the window is incomplete
+   */
+  centeredMovingAverage(values, period) {
+    const half = Math.floor(period / 2);
+    const result = new Array(values.length).fill(null);
+
+    for (let i = half; i < values.length - half; i++) {
+      let sum = 0;
+      if (period % 2 === 1) {
+        for (let j = i - half; j <= i + half; j++) sum += values[j];
+        result[i] = sum / period;
+      } else {
+        // Half weights on both ends keep the window centered
+        sum += values[i - half] / 2 + values[i + half] / 2;
+        for (let j = i - half + 1; j < i + half; j++) sum += values[j];
+        result[i] = sum / period;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Group points into calendar periods and average their values, in chronological order
+   */
+  averageByPeriod(points, keyFn) {
+    const groups = new Map();
+
+    points.forEach(p => {
+      const key = keyFn(p.date);
+      if (!groups.has(key)) groups.set(key, { date: p.date, sum: 0, count: 0 });
+      const group = groups.get(key);
+      group.sum += p.value;
+      group.count++;
+    });
+
+    return Array.from(groups.values())
+      .sort((a, b) => a.date - b.date)
+      .map(g => ({ date: g.date, value: g.sum / g.count }));
+  }
+
+  /**
+   * Get the Monday that starts the ISO week of a date (UTC)
+   */
+  getWeekStart(date) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+  }
+
+  /**
+   * Get the ISO week number (1-53) of a date (UTC)
+   */
+  getISOWeek(date) {
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+    return Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  }
+
+  /**
+   * Get the combined seasonal index of a date from the profiles that apply
+   */
+  getSeasonalIndex(date, profile, applied = []) {
+    if (!profile) return 1;
+
+    let index = 1;
+    if (applied.includes('dayOfWeek') && profile.dayOfWeek) {
+      index *= profile.dayOfWeek[date.getUTCDay()];
+    }
+    if (applied.includes('weekOfYear') && profile.weekOfYear) {
+      index *= profile.weekOfYear[this.getISOWeek(date) - 1];
+    }
+    if (applied.includes('monthOfYear') && profile.monthOfYear) {
+      index *= profile.monthOfYear[date.getUTCMonth()];
+    }
+    return index;
+  }
+
   /**
    * Adjust forecast for seasonality
    */
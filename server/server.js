@@ -68,6 +68,15 @@ const productRoutes = require('../routes/api/products');
 const scenarioRoutes = require('../routes/api/scenarios');
 const reportRoutes = require('../routes/api/reports');
 const authRoutes = require('../routes/api/auth');
+const userRoutes = require('../routes/api/users');
+const workspaceRoutes = require('../routes/api/workspaces');
+const auditRoutes = require('../routes/api/audit');
+
+// Open the repository backend (STORAGE_DRIVER / STORAGE_DIR) and apply pending migrations
+const dataStorage = require('./storage');
+dataStorage.open();
+const authService = require('./auth-service');
+const workspaceService = require('./workspace-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -254,11 +263,17 @@ if (NODE_ENV !== 'production') {
 // ==========================
 // API Routes - These must come BEFORE page routes
 // ==========================
-app.use('/api/forecast', forecastRoutes);
-app.use('/api/inventory', inventoryRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/scenarios', scenarioRoutes);
-app.use('/api/reports', reportRoutes);
+// Everything but /api/auth needs a valid access token (Authorization: Bearer <token>).
+// Data routes are scoped to a workspace the user belongs to (X-Workspace-Id, or their first).
+const withWorkspace = [authService.requireAuth, workspaceService.requireWorkspace];
+app.use('/api/forecast', withWorkspace, forecastRoutes);
+app.use('/api/inventory', withWorkspace, inventoryRoutes);
+app.use('/api/products', withWorkspace, productRoutes);
+app.use('/api/scenarios', withWorkspace, scenarioRoutes);
+app.use('/api/reports', withWorkspace, reportRoutes);
+app.use('/api/users', withWorkspace, authService.requirePermission('members:manage'), userRoutes);
+app.use('/api/audit', withWorkspace, authService.requirePermission('audit:read'), auditRoutes);
+app.use('/api/workspaces', authService.requireAuth, workspaceRoutes);
 app.use('/api/auth', authRoutes);
 
 // Health check endpoint
@@ -269,6 +284,7 @@ app.get('/api/health', (req, res) => {
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     version: '1.0.1',
+    storage: dataStorage.describe(),
     features: {
       ai: !!(process.env.GROQ_API_KEY || process.env.DEEPSEEK_API_KEY)
     }
@@ -402,6 +418,8 @@ const server = app.listen(PORT, () => {
   console.log(`🔐 Login: http://localhost:${PORT}/login`);
   console.log(`📱 PWA: http://localhost:${PORT}/manifest.json`);
   console.log('-'.repeat(50));
+  const storageInfo = dataStorage.describe();
+  console.log(`💾 Storage: ${storageInfo.driver}${storageInfo.directory ? ` (${storageInfo.directory})` : ''}, schema v${storageInfo.schemaVersion}`);
   console.log(`🤖 AI Features: ${process.env.GROQ_API_KEY || process.env.DEEPSEEK_API_KEY ? '✅ Enabled' : '⚠️  Disabled (mock mode)'}`);
   console.log(`🎨 Theme: Neon Pink/Red`);
   console.log('='.repeat(50) + '\n');
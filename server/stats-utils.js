@@ -0,0 +1,85 @@
+// server/stats-utils.js - Probability distribution helpers shared by forecasting and inventory
+
+class StatsUtils {
+    /**
+     * Inverse of the standard normal CDF (Acklam's rational approximation, relative error below 1.2e-9)
+     */
+    normalQuantile(p) {
+        if (!(p > 0 && p < 1)) {
+            throw new RangeError(`Probability must be between 0 and 1, got ${p}`);
+        }
+
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+
+        if (p > 1 - low) {
+            return -this.normalQuantile(1 - p);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Standard normal density
+     */
+    normalPdf(z) {
+        return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    }
+
+    /**
+     * Standard normal CDF, from the complementary error function (Chebyshev fit, relative error below 1.2e-7)
+     */
+    normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + x / 2);
+        const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 +
+            t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 +
+            t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+
+        return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+    }
+
+    /**
+     * Standard normal loss function G(z) = E[max(Z - z, 0)], the expected shortfall per
+     * unit of standard deviation when stocking z deviations above the mean
+     */
+    normalLoss(z) {
+        return this.normalPdf(z) - z * (1 - this.normalCdf(z));
+    }
+
+    /**
+     * Two-sided critical value for a central interval, e.g. 1.96 for 0.95
+     */
+    normalCritical(level) {
+        return this.normalQuantile(1 - (1 - level) / 2);
+    }
+
+    /**
+     * Sample standard deviation (0 for fewer than two values)
+     */
+    standardDeviation(values) {
+        if (values.length < 2) return 0;
+
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+}
+
+module.exports = new StatsUtils();
@@ -0,0 +1,115 @@
+// server/storage/index.js - Repository layer over a pluggable storage backend
+const path = require('path');
+
+const Repository = require('./repository');
+const JsonFileStore = require('./json-file-store');
+const MemoryStore = require('./memory-store');
+const migrations = require('./migrations');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/store');
+
+class Storage {
+  constructor() {
+    // json: append-only JSON lines files under STORAGE_DIR; memory: nothing survives a restart
+    this.drivers = ['json', 'memory'];
+    this.backend = null;
+    this.repositories = new Map();
+  }
+
+  /**
+   * Open the backend and apply pending migrations. Defaults come from STORAGE_DRIVER
+   * ('json') and STORAGE_DIR (data/store). Opening again replaces the backend, which
+   * tests use to start from an empty memory store.
+   */
+  open({ driver = process.env.STORAGE_DRIVER || 'json', directory = process.env.STORAGE_DIR || DEFAULT_DIRECTORY } = {}) {
+    if (!this.drivers.includes(driver)) {
+      throw new Error(`Unknown storage driver "${driver}". Available: ${this.drivers.join(', ')}`);
+    }
+
+    if (this.backend) this.backend.close();
+    this.backend = driver === 'memory' ? new MemoryStore() : new JsonFileStore(directory);
+    this.migrate();
+    return this;
+  }
+
+  /**
+   * The open backend, opening the default one on first use
+   */
+  getBackend() {
+    if (!this.backend) this.open();
+    return this.backend;
+  }
+
+  /**
+   * Repository of a named collection. Repositories look the backend up on every call,
+   * so route modules can create them when loaded, before storage is opened.
+   */
+  collection(name) {
+    if (!this.repositories.has(name)) {
+      this.repositories.set(name, new Repository(name, () => this.getBackend()));
+    }
+    return this.repositories.get(name);
+  }
+
+  /**
+   * Repository of a collection owned by a workspace. Each workspace's records live in a
+   * collection of their own ("<name>-<workspaceId>"), so no query can reach another's.
+   */
+  workspaceCollection(name, workspaceId) {
+    if (!workspaceId) throw new Error(`A workspace is required for "${name}"`);
+    return this.collection(`${name}-${workspaceId}`);
+  }
+
+  /**
+   * Run the migrations newer than the last one applied, in version order
+   */
+  migrate() {
+    const applied = this.collection('_migrations');
+    const sorted = [...migrations].sort((a, b) => a.version - b.version);
+
+    sorted
+      .filter(migration => !applied.has(String(migration.version)))
+      .forEach(migration => {
+        migration.up(this);
+        applied.set(String(migration.version), {
+          version: migration.version,
+          name: migration.name,
+          appliedAt: new Date().toISOString()
+        });
+        console.log(`💾 Applied storage migration ${migration.version} (${migration.name})`);
+      });
+  }
+
+  /**
+   * Highest applied migration version (0 before any)
+   */
+  getSchemaVersion() {
+    return this.collection('_migrations').values()
+      .reduce((max, migration) => Math.max(max, migration.version), 0);
+  }
+
+  /**
+   * Driver, location and schema version, for health checks
+   */
+  describe() {
+    const backend = this.getBackend();
+    const relative = backend.directory && path.relative(process.cwd(), backend.directory);
+    return {
+      driver: backend.driver,
+      ...(backend.directory && {
+        directory: relative && !relative.startsWith('..') ? relative : backend.directory
+      }),
+      schemaVersion: this.getSchemaVersion()
+    };
+  }
+
+  /**
+   * Close the backend; the next repository call opens the default one again
+   */
+  close() {
+    if (this.backend) this.backend.close();
+    this.backend = null;
+  }
+}
+
+module.exports = new Storage();
@@ -0,0 +1,138 @@
+// server/storage/json-file-store.js - Storage backend writing JSON lines to disk
+const fs = require('fs');
+const path = require('path');
+
+// Compact a collection file once it holds this many lines and over twice its live records
+const COMPACT_MIN_LINES = 200;
+
+class JsonFileStore {
+  /**
+   * Each collection is an append-only log `<directory>/<collection>.jsonl` with one change
+   * per line: { op: 'put', key, value } or { op: 'remove', key }.
+   * Collections are replayed into memory on first use; every change is appended
+   * to the file before the call returns, so a restart replays the same records.
+   */
+  constructor(directory) {
+    this.driver = 'json';
+    this.directory = directory;
+    this.collections = new Map();
+    this.lineCounts = new Map();
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * File of a collection (names are limited to letters, digits, '_' and '-')
+   */
+  getFile(collection) {
+    if (!/^[A-Za-z0-9_-]+$/.test(collection)) {
+      throw new Error(`Invalid collection name "${collection}"`);
+    }
+    return path.join(this.directory, `${collection}.jsonl`);
+  }
+
+  /**
+   * Records of a collection as a Map of ID to record, replayed from its file on first use.
+   * A torn last line (a crash mid-write) is skipped.
+   */
+  entries(collection) {
+    if (this.collections.has(collection)) return this.collections.get(collection);
+
+    const records = new Map();
+    const file = this.getFile(collection);
+    let lines = 0;
+
+    if (fs.existsSync(file)) {
+      fs.readFileSync(file, 'utf-8').split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        let change;
+        try {
+          change = JSON.parse(line);
+        } catch (error) {
+          console.warn(`⚠️  Skipping unreadable line ${index + 1} of ${path.basename(file)}`);
+          return;
+        }
+        lines += 1;
+        if (change.op === 'put') records.set(change.key, change.value);
+        else if (change.op === 'remove') records.delete(change.key);
+      });
+    }
+
+    this.collections.set(collection, records);
+    this.lineCounts.set(collection, lines);
+    return records;
+  }
+
+  /**
+   * Save a record (stored as its JSON form)
+   */
+  put(collection, key, value) {
+    const change = { op: 'put', key, value: JSON.parse(JSON.stringify(value)) };
+    this.append(collection, change);
+    this.entries(collection).set(key, change.value);
+    this.compact(collection);
+  }
+
+  /**
+   * Remove a record
+   */
+  remove(collection, key) {
+    this.append(collection, { op: 'remove', key });
+    this.entries(collection).delete(key);
+    this.compact(collection);
+  }
+
+  /**
+   * Remove every record, emptying the file
+   */
+  clear(collection) {
+    this.entries(collection).clear();
+    this.rewrite(collection);
+  }
+
+  /**
+   * Append one change to a collection's file (before it is applied in memory, so a failed
+   * write leaves both unchanged)
+   */
+  append(collection, change) {
+    this.entries(collection);
+    fs.appendFileSync(this.getFile(collection), JSON.stringify(change) + '\n');
+    this.lineCounts.set(collection, this.lineCounts.get(collection) + 1);
+  }
+
+  /**
+   * Rewrite a collection's file once most of its lines are superseded
+   */
+  compact(collection) {
+    const lines = this.lineCounts.get(collection);
+    if (lines >= COMPACT_MIN_LINES && lines > 2 * this.entries(collection).size) {
+      this.rewrite(collection);
+    }
+  }
+
+  /**
+   * Replace a collection's file with one put per live record. Written to a temporary file
+   * and renamed over the old one, so a crash leaves either the old or the new file.
+   */
+  rewrite(collection) {
+    const records = this.entries(collection);
+    const file = this.getFile(collection);
+    const temp = `${file}.tmp`;
+    const lines = Array.from(records.entries())
+      .map(([key, value]) => JSON.stringify({ op: 'put', key, value }) + '\n')
+      .join('');
+
+    fs.writeFileSync(temp, lines);
+    fs.renameSync(temp, file);
+    this.lineCounts.set(collection, records.size);
+  }
+
+  /**
+   * Drop the in-memory copies (files are always up to date)
+   */
+  close() {
+    this.collections.clear();
+    this.lineCounts.clear();
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,40 @@
+// server/storage/memory-store.js - Storage backend kept in memory (lost on restart)
+
+class MemoryStore {
+  constructor() {
+    this.driver = 'memory';
+    this.collections = new Map();
+  }
+
+  /**
+   * Records of a collection as a Map of ID to record
+   */
+  entries(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Save a record (as a JSON copy, like the file backend)
+   */
+  put(collection, key, value) {
+    this.entries(collection).set(key, JSON.parse(JSON.stringify(value)));
+  }
+
+  /**
+   * Remove one record or every record of a collection
+   */
+  remove(collection, key) {
+    this.entries(collection).delete(key);
+  }
+
+  clear(collection) {
+    this.entries(collection).clear();
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStore;
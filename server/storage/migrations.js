@@ -0,0 +1,110 @@
+// server/storage/migrations.js - Ordered schema migrations for the storage layer
+//
+// Each migration runs once, in version order, and is recorded in the `_migrations`
+// collection. Add new migrations at the end with the next version; never edit one that
+// has shipped.
+const fs = require('fs');
+const path = require('path');
+
+// Where the service-level policy was saved before it moved into the settings collection
+const LEGACY_SERVICE_LEVELS_FILE = path.join(__dirname, '../../data/service-levels.json');
+
+const seedProducts = require('./sample-catalog');
+
+module.exports = [
+  {
+    version: 1,
+    name: 'seed-product-catalog',
+    up(storage) {
+      const settings = storage.collection('settings');
+      const legacyFile = process.env.SERVICE_LEVELS_FILE || LEGACY_SERVICE_LEVELS_FILE;
+      if (fs.existsSync(legacyFile) && !settings.has('serviceLevels')) {
+        settings.set('serviceLevels', JSON.parse(fs.readFileSync(legacyFile, 'utf-8')));
+      }
+
+      const products = storage.collection('products');
+      if (products.size === 0) {
+        seedProducts.forEach(product => products.set(product.id, product));
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'hash-user-passwords',
+    up(storage) {
+      // Required here: the auth service itself depends on storage
+      const authService = require('../auth-service');
+      const users = storage.collection('users');
+
+      // Replace plain-text passwords with hashes, and key users by lower-case email as sign-in now does
+      users.entries().forEach(([key, { password, ...user }]) => {
+        const email = authService.normalizeEmail(key);
+        if (password === undefined && email === key) return;
+
+        users.delete(key);
+        users.set(email, {
+          ...user,
+          email,
+          ...(password !== undefined && { passwordHash: authService.hashPasswordSync(String(password)) })
+        });
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'assign-user-roles',
+    up(storage) {
+      const users = storage.collection('users');
+
+      // Accounts from before roles were checked keep the planning access they had
+      users.entries()
+        .filter(([, user]) => !['viewer', 'planner', 'admin'].includes(user.role))
+        .forEach(([key]) => users.update(key, { role: 'planner' }));
+
+      // Someone must be able to manage roles: without an admin, the oldest account becomes one
+      if (users.size > 0 && !users.values().some(user => user.role === 'admin')) {
+        const [[oldest]] = users.entries()
+          .sort(([, a], [, b]) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+        users.update(oldest, { role: 'admin' });
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'create-default-workspace',
+    up(storage) {
+      const users = storage.collection('users');
+      const scoped = ['products', 'forecastSessions', 'inventorySessions', 'scenarioSessions'];
+      const settings = storage.collection('settings');
+      const serviceLevels = settings.get('serviceLevels');
+
+      // Data shared by everyone until now moves to a "Default workspace" whose members
+      // are the existing users, in the roles they had. Without users nobody could reach
+      // it, so a fresh install starts empty and each account creates its own workspace.
+      if (users.size > 0) {
+        const now = new Date().toISOString();
+        const members = {};
+        users.entries().forEach(([email, { role, ...user }]) => {
+          members[email] = { role: role || 'viewer', joinedAt: user.createdAt || now };
+          users.set(email, user);
+        });
+        storage.collection('workspaces').set('default', {
+          id: 'default',
+          name: 'Default workspace',
+          createdBy: null,
+          createdAt: now,
+          members
+        });
+
+        scoped.forEach(name => {
+          const target = storage.workspaceCollection(name, 'default');
+          storage.collection(name).entries().forEach(([key, value]) => target.set(key, value));
+        });
+        if (serviceLevels) storage.workspaceCollection('settings', 'default').set('serviceLevels', serviceLevels);
+      }
+
+      scoped.forEach(name => storage.collection(name).clear());
+      settings.delete('serviceLevels');
+    }
+  }
+];
@@ -0,0 +1,109 @@
+// server/storage/repository.js - Map-like access to one stored collection
+
+class Repository {
+  /**
+   * `backend` is a storage backend (JsonFileStore or MemoryStore), or a function returning
+   * one, so routes can hold repositories before storage is opened
+   */
+  constructor(name, backend) {
+    this.name = name;
+    this.backend = backend;
+  }
+
+  /**
+   * The backend holding the collection
+   */
+  getBackend() {
+    return typeof this.backend === 'function' ? this.backend() : this.backend;
+  }
+
+  /**
+   * Live records of the collection, keyed by ID in insertion order (read only)
+   */
+  records() {
+    return this.getBackend().entries(this.name);
+  }
+
+  /**
+   * Map-style accessors. Records are handed out as copies, so changing one does nothing
+   * until it is saved with `set`.
+   */
+  get size() {
+    return this.records().size;
+  }
+
+  get(key) {
+    return structuredClone(this.records().get(key));
+  }
+
+  has(key) {
+    return this.records().has(key);
+  }
+
+  /**
+   * Store a record. Records are saved as JSON, so what comes back from `get` has no
+   * functions or undefined fields.
+   */
+  set(key, value) {
+    this.getBackend().put(this.name, key, value);
+    return this;
+  }
+
+  /**
+   * Merge changes into an existing record; returns the updated record, or undefined
+   */
+  update(key, changes) {
+    const current = this.get(key);
+    if (current === undefined) return undefined;
+
+    this.set(key, { ...current, ...changes });
+    return this.get(key);
+  }
+
+  /**
+   * Remove a record; returns whether it existed
+   */
+  delete(key) {
+    if (!this.has(key)) return false;
+
+    this.getBackend().remove(this.name, key);
+    return true;
+  }
+
+  clear() {
+    this.getBackend().clear(this.name);
+  }
+
+  /**
+   * Snapshots of the keys, records and entries (safe to change the collection while iterating),
+   * with copies of the records as from `get`
+   */
+  keys() {
+    return Array.from(this.records().keys());
+  }
+
+  values() {
+    return Array.from(this.records().values(), record => structuredClone(record));
+  }
+
+  entries() {
+    return Array.from(this.records().entries(), ([key, record]) => [key, structuredClone(record)]);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries()[Symbol.iterator]();
+  }
+
+  /**
+   * Records matching a predicate
+   */
+  find(predicate) {
+    return this.values().find(predicate);
+  }
+
+  filter(predicate) {
+    return this.values().filter(predicate);
+  }
+}
+
+module.exports = Repository;
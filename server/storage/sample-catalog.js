@@ -0,0 +1,77 @@
+// server/storage/sample-catalog.js - Sample product catalog new workspaces start with
+//
+// The catalog the app shipped with before products were stored. Each new workspace gets
+// a copy, so the dashboard has products to plan before any are imported.
+
+module.exports = [
+  {
+    id: 'P001',
+    name: 'Wireless Headphones',
+    category: 'Electronics',
+    unit_cost: 65.50,
+    unit_price: 99.90,
+    current_stock: 45,
+    lead_time_days: 7,
+    reorder_point: 20,
+    safety_stock: 15,
+    max_stock: 200,
+    supplier: 'TechSupply Co.',
+    sku: 'WH-001-BLK'
+  },
+  {
+    id: 'P002',
+    name: 'Smart Watch',
+    category: 'Electronics',
+    unit_cost: 120.00,
+    unit_price: 199.90,
+    current_stock: 18,
+    lead_time_days: 10,
+    reorder_point: 15,
+    safety_stock: 10,
+    max_stock: 100,
+    supplier: 'WearableTech Inc.',
+    sku: 'SW-002-SLV'
+  },
+  {
+    id: 'P003',
+    name: 'Bluetooth Speaker',
+    category: 'Electronics',
+    unit_cost: 45.00,
+    unit_price: 79.90,
+    current_stock: 32,
+    lead_time_days: 5,
+    reorder_point: 25,
+    safety_stock: 20,
+    max_stock: 150,
+    supplier: 'AudioGear Ltd.',
+    sku: 'BS-003-RED'
+  },
+  {
+    id: 'P004',
+    name: 'Laptop Backpack',
+    category: 'Accessories',
+    unit_cost: 25.00,
+    unit_price: 49.90,
+    current_stock: 55,
+    lead_time_days: 6,
+    reorder_point: 30,
+    safety_stock: 25,
+    max_stock: 200,
+    supplier: 'CarryAll Inc.',
+    sku: 'BP-004-GRY'
+  },
+  {
+    id: 'P005',
+    name: 'Phone Case',
+    category: 'Accessories',
+    unit_cost: 8.00,
+    unit_price: 19.90,
+    current_stock: 120,
+    lead_time_days: 4,
+    reorder_point: 50,
+    safety_stock: 40,
+    max_stock: 500,
+    supplier: 'CaseMaster',
+    sku: 'PC-005-BLK'
+  }
+];
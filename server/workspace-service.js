@@ -0,0 +1,254 @@
+// server/workspace-service.js - Workspaces, their members and invitations
+const crypto = require('crypto');
+
+const storage = require('./storage');
+const authService = require('./auth-service');
+const sampleCatalog = require('./storage/sample-catalog');
+
+// Invitations can be accepted for a week
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class WorkspaceService {
+  constructor() {
+    this.workspaces = storage.collection('workspaces');
+    this.invitations = storage.collection('invitations');
+    this.users = storage.collection('users');
+    this.requireWorkspace = this.requireWorkspace.bind(this);
+  }
+
+  /**
+   * Create a workspace with its creator as admin, starting from the sample catalog
+   */
+  create(name, ownerEmail) {
+    if (!name || !String(name).trim()) throw this.error(400, 'Workspace name required');
+
+    const now = new Date().toISOString();
+    const workspace = {
+      id: crypto.randomUUID(),
+      name: String(name).trim(),
+      createdBy: ownerEmail,
+      createdAt: now,
+      members: { [ownerEmail]: { role: 'admin', joinedAt: now } }
+    };
+    this.workspaces.set(workspace.id, workspace);
+
+    const products = this.collection(workspace.id, 'products');
+    sampleCatalog.forEach(product => products.set(product.id, product));
+
+    return workspace;
+  }
+
+  /**
+   * Repository of one of a workspace's collections (products, settings, sessions, reports)
+   */
+  collection(workspaceId, name) {
+    return storage.workspaceCollection(name, workspaceId);
+  }
+
+  /**
+   * Workspaces a user belongs to, with their role in each, oldest membership first
+   */
+  listFor(email) {
+    return this.workspaces.filter(workspace => this.membership(workspace, email))
+      .map(workspace => ({
+        id: workspace.id,
+        name: workspace.name,
+        role: workspace.members[email].role,
+        joinedAt: workspace.members[email].joinedAt
+      }))
+      .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+  }
+
+  /**
+   * Express middleware (after requireAuth): selects the workspace named by the
+   * X-Workspace-Id header, or the user's first one, and sets req.workspace and the
+   * user's role in it (req.user.role). Answers 403 when the user is not a member.
+   */
+  requireWorkspace(req, res, next) {
+    const requested = req.headers['x-workspace-id'];
+    const workspaceId = requested || this.listFor(req.user.email)[0]?.id;
+    const workspace = workspaceId && this.workspaces.get(workspaceId);
+    const membership = workspace && this.membership(workspace, req.user.email);
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        error: requested ? 'You are not a member of this workspace' : 'You are not a member of any workspace'
+      });
+    }
+
+    req.workspace = { id: workspace.id, name: workspace.name };
+    req.user = { ...req.user, role: membership.role };
+    next();
+  }
+
+  /**
+   * Members of a workspace with their names and roles
+   */
+  getMembers(workspaceId) {
+    const workspace = this.get(workspaceId);
+    return Object.entries(workspace.members).map(([email, membership]) => ({
+      email,
+      name: this.users.get(email)?.name || null,
+      role: membership.role,
+      joinedAt: membership.joinedAt
+    }));
+  }
+
+  /**
+   * Change a member's role; the last admin cannot be demoted
+   */
+  setRole(workspaceId, email, role) {
+    if (!authService.roles.includes(role)) {
+      throw this.error(400, `Role must be one of: ${authService.roles.join(', ')}`);
+    }
+
+    const { workspace, key } = this.getMember(workspaceId, email);
+    if (role !== 'admin') this.assertOtherAdmin(workspace, key);
+
+    workspace.members[key] = { ...workspace.members[key], role };
+    this.workspaces.set(workspace.id, workspace);
+    return { email: key, ...workspace.members[key] };
+  }
+
+  /**
+   * Remove a member; the last admin cannot leave
+   */
+  removeMember(workspaceId, email) {
+    const { workspace, key } = this.getMember(workspaceId, email);
+    this.assertOtherAdmin(workspace, key);
+
+    delete workspace.members[key];
+    this.workspaces.set(workspace.id, workspace);
+  }
+
+  /**
+   * Invite an email address to a workspace with a role. Returns the invitation and its
+   * token, which is shown only once: the invitee registers or signs in with it to join.
+   */
+  invite(workspaceId, { email, role = 'viewer' } = {}, invitedBy) {
+    const workspace = this.get(workspaceId);
+    const key = authService.normalizeEmail(email);
+
+    if (!key) throw this.error(400, 'Email required');
+    if (!authService.isValidEmail(key)) throw this.error(400, 'Invalid email address');
+    if (!authService.roles.includes(role)) {
+      throw this.error(400, `Role must be one of: ${authService.roles.join(', ')}`);
+    }
+    if (this.membership(workspace, key)) throw this.error(409, 'User is already a member');
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const invitation = {
+      id: crypto.randomUUID(),
+      workspaceId,
+      email: key,
+      role,
+      invitedBy,
+      tokenHash: authService.hashToken(token),
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS).toISOString()
+    };
+    this.invitations.set(invitation.id, invitation);
+
+    return { invitation: this.toPublicInvitation(invitation), token };
+  }
+
+  /**
+   * Pending (unexpired) invitations of a workspace
+   */
+  listInvitations(workspaceId) {
+    const now = new Date().toISOString();
+    return this.invitations
+      .filter(invitation => invitation.workspaceId === workspaceId && invitation.expiresAt > now)
+      .map(invitation => this.toPublicInvitation(invitation));
+  }
+
+  /**
+   * Withdraw an invitation
+   */
+  revokeInvitation(workspaceId, invitationId) {
+    const invitation = this.invitations.get(invitationId);
+    if (!invitation || invitation.workspaceId !== workspaceId) throw this.error(404, 'Invitation not found');
+    this.invitations.delete(invitationId);
+  }
+
+  /**
+   * Join the workspace of an invitation. It must be unexpired and addressed to the user's email.
+   */
+  acceptInvitation(token, email) {
+    const hash = authService.hashToken(token || '');
+    const invitation = this.invitations.find(candidate => candidate.tokenHash === hash);
+
+    if (!invitation || invitation.expiresAt <= new Date().toISOString()) {
+      throw this.error(404, 'Invitation not found or expired');
+    }
+    if (invitation.email !== email) {
+      throw this.error(403, 'This invitation was sent to another email address');
+    }
+
+    const workspace = this.get(invitation.workspaceId);
+    if (!this.membership(workspace, email)) {
+      workspace.members[email] = { role: invitation.role, joinedAt: new Date().toISOString() };
+      this.workspaces.set(workspace.id, workspace);
+    }
+    this.invitations.delete(invitation.id);
+
+    return { id: workspace.id, name: workspace.name, role: workspace.members[email].role };
+  }
+
+  /**
+   * Stored workspace; throws a 404 error when it does not exist
+   */
+  get(workspaceId) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) throw this.error(404, 'Workspace not found');
+    return workspace;
+  }
+
+  /**
+   * Workspace and member key of a member; throws a 404 error for non-members
+   */
+  getMember(workspaceId, email) {
+    const workspace = this.get(workspaceId);
+    const key = authService.normalizeEmail(email);
+    if (!this.membership(workspace, key)) throw this.error(404, 'Member not found');
+    return { workspace, key };
+  }
+
+  /**
+   * Throw a 409 error unless someone other than this member administers the workspace
+   */
+  assertOtherAdmin(workspace, email) {
+    const otherAdmins = Object.entries(workspace.members)
+      .filter(([member, { role }]) => member !== email && role === 'admin');
+    if (this.membership(workspace, email)?.role === 'admin' && otherAdmins.length === 0) {
+      throw this.error(409, 'A workspace needs at least one admin');
+    }
+  }
+
+  /**
+   * A user's membership of a workspace, or null. Members are keyed by email in a plain
+   * object, so only its own keys count: "constructor" or "toString" are not members.
+   */
+  membership(workspace, email) {
+    return Object.hasOwn(workspace.members, email) ? workspace.members[email] : null;
+  }
+
+  /**
+   * Invitation without its token hash
+   */
+  toPublicInvitation({ tokenHash, ...invitation }) {
+    return invitation;
+  }
+
+  /**
+   * Error answered with the given HTTP status
+   */
+  error(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new WorkspaceService();
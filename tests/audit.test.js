@@ -0,0 +1,117 @@
+// tests/audit.test.js - Unit tests for the audit log
+
+const assert = require('assert');
+const storage = require('../server/storage');
+const auditLog = require('../server/audit-log');
+
+/**
+ * Request of a user working in a workspace
+ */
+function request(email, workspaceId = 'acme') {
+    return { user: { email, name: email.split('@')[0] }, workspace: { id: workspaceId } };
+}
+
+describe('Audit Log Tests', () => {
+    const product = { id: 'P001', name: 'Headphones', current_stock: 45, unit_price: 99.9 };
+
+    beforeEach(() => {
+        storage.open({ driver: 'memory' });
+    });
+
+    after(() => storage.close());
+
+    describe('Recording', () => {
+        it('should record actor, action, target and changed fields', () => {
+            const entry = auditLog.record(request('ann@acme.com'), {
+                action: 'product.update',
+                targetType: 'product',
+                targetId: 'P001',
+                before: product,
+                after: { ...product, current_stock: 40, supplier: 'New Co.' }
+            });
+
+            assert.strictEqual(entry.actor, 'ann@acme.com');
+            assert.strictEqual(entry.actorName, 'ann');
+            assert.deepStrictEqual(entry.changes, ['current_stock', 'supplier']);
+            assert.strictEqual(entry.before.current_stock, 45);
+            assert.strictEqual(entry.after.current_stock, 40);
+            assert.deepStrictEqual(auditLog.entries('acme').values(), [entry]);
+            assert.strictEqual(auditLog.entries('globex').size, 0);
+        });
+
+        it('should list every field of created and deleted records', () => {
+            const created = auditLog.record(request('ann@acme.com'), { action: 'product.create', targetType: 'product', targetId: 'P001', after: product });
+            const deleted = auditLog.record(request('ann@acme.com'), { action: 'product.delete', targetType: 'product', targetId: 'P001', before: product });
+            const run = auditLog.record(request('ann@acme.com'), { action: 'scenario.run', targetType: 'scenario', details: { type: 'promotion' } });
+
+            assert.deepStrictEqual(created.changes, Object.keys(product));
+            assert.deepStrictEqual(deleted.changes, Object.keys(product));
+            assert.deepStrictEqual(run.changes, []);
+            assert.strictEqual(run.targetId, null);
+        });
+    });
+
+    describe('Queries', () => {
+        beforeEach(() => {
+            const ann = request('ann@acme.com');
+            const bob = request('bob@acme.com');
+            auditLog.record(ann, { action: 'product.create', targetType: 'product', targetId: 'P001', after: product });
+            auditLog.record(bob, { action: 'product.update', targetType: 'product', targetId: 'P001', before: product, after: { ...product, current_stock: 10 } });
+            auditLog.record(bob, { action: 'product.update', targetType: 'product', targetId: 'P001', before: product, after: { ...product, unit_price: 89.9 } });
+            auditLog.record(ann, { action: 'forecast.generate', targetType: 'forecastSession', targetId: 'session_1' });
+        });
+
+        it('should filter by actor, action, target and changed field, newest first', () => {
+            const actions = filters => auditLog.query('acme', filters).entries.map(entry => entry.action);
+
+            assert.deepStrictEqual(actions({}), ['forecast.generate', 'product.update', 'product.update', 'product.create']);
+            assert.deepStrictEqual(actions({ actor: 'ANN@acme.com' }), ['forecast.generate', 'product.create']);
+            assert.deepStrictEqual(actions({ action: 'product' }), ['product.update', 'product.update', 'product.create']);
+            assert.deepStrictEqual(actions({ action: 'product.create' }), ['product.create']);
+            assert.deepStrictEqual(actions({ action: 'prod' }), []);
+            assert.deepStrictEqual(actions({ targetType: 'forecastSession', targetId: 'session_1' }), ['forecast.generate']);
+
+            const stockChanges = auditLog.query('acme', { field: 'current_stock' }).entries;
+            assert.deepStrictEqual(stockChanges.map(entry => [entry.actor, entry.after.current_stock]),
+                [['bob@acme.com', 10], ['ann@acme.com', 45]]);
+        });
+
+        it('should filter by time and page results', () => {
+            const today = new Date().toISOString().slice(0, 10);
+
+            assert.strictEqual(auditLog.query('acme', { from: today, to: today }).total, 4);
+            assert.strictEqual(auditLog.query('acme', { to: '2020-01-01' }).total, 0);
+
+            const page = auditLog.query('acme', { limit: '2', offset: '1' });
+            assert.strictEqual(page.total, 4);
+            assert.deepStrictEqual(page.entries.map(entry => entry.action), ['product.update', 'product.update']);
+
+            [{ from: 'yesterday' }, { limit: 0 }, { limit: 5000 }, { offset: -1 }, { limit: 'ten' }].forEach(filters => {
+                assert.throws(() => auditLog.query('acme', filters), error => error.status === 400);
+            });
+        });
+
+        it('should reject repeated filter parameters with a 400', () => {
+            // Express parses ?actor=a&actor=b into an array
+            [{ actor: ['ann@acme.com', 'bob@acme.com'] }, { action: ['product'] }, { to: ['2020-01-01'] }, { limit: ['2', '3'] }].forEach(filters => {
+                assert.throws(() => auditLog.query('acme', filters), error => error.status === 400);
+            });
+        });
+
+        it('should export entries as CSV with JSON values', () => {
+            const csv = auditLog.toCSV(auditLog.filter('acme', { action: 'product.update' }));
+            const [header, first] = csv.split('\n');
+
+            assert.strictEqual(header, 'timestamp,actor,action,targetType,targetId,changes,before,after,details');
+            assert.ok(first.includes(',bob@acme.com,product.update,product,P001,unit_price,"{""id"":""P001""'));
+            assert.strictEqual(csv.split('\n').length, 3);
+
+            assert.strictEqual(auditLog.csvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+            assert.strictEqual(auditLog.csvCell('\t=1+1'), '\'\t=1+1');
+            assert.strictEqual(auditLog.csvCell('\r=1+1'), '"\'\r=1+1"');
+            assert.strictEqual(auditLog.csvCell(null), '');
+        });
+    });
+});
+
+console.log('✅ All audit tests passed!');
@@ -0,0 +1,167 @@
+// tests/auth.test.js - Unit tests for authentication
+
+const assert = require('assert');
+const storage = require('../server/storage');
+const authService = require('../server/auth-service');
+
+/**
+ * Minimal Express response recording the status and JSON body
+ */
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+describe('Authentication Tests', () => {
+    let user;
+
+    beforeEach(async () => {
+        storage.open({ driver: 'memory' });
+        user = {
+            email: 'planner@example.com',
+            name: 'Planner',
+            passwordHash: await authService.hashPassword('correct horse')
+        };
+        storage.collection('users').set(user.email, user);
+    });
+
+    after(() => storage.close());
+
+    describe('Passwords', () => {
+        it('should store salted hashes that verify only the right password', async () => {
+            const again = await authService.hashPassword('correct horse');
+
+            assert.ok(user.passwordHash.startsWith('scrypt$'));
+            assert.ok(!user.passwordHash.includes('correct horse'));
+            assert.notStrictEqual(again, user.passwordHash);
+            assert.strictEqual(await authService.verifyPassword('correct horse', again), true);
+            assert.strictEqual(await authService.verifyPassword('wrong horse', again), false);
+            assert.strictEqual(await authService.verifyPassword('correct horse', 'plain text'), false);
+        });
+
+        it('should sign in case-insensitively and reject bad credentials with a 401', async () => {
+            assert.strictEqual((await authService.authenticate(' Planner@Example.com', 'correct horse')).name, 'Planner');
+
+            for (const [email, password] of [['planner@example.com', 'nope'], ['nobody@example.com', 'correct horse']]) {
+                await assert.rejects(authService.authenticate(email, password), error => error.status === 401);
+            }
+        });
+
+        it('should require login and registration fields to be strings', () => {
+            const login = ['email', 'password'];
+            const register = ['email', 'password', 'name'];
+
+            assert.strictEqual(authService.credentialsError({ email: 'planner@example.com', password: 'correct horse' }, login), null);
+            assert.strictEqual(authService.credentialsError({ email: 'planner@example.com' }, login), 'Email and password required');
+            assert.strictEqual(authService.credentialsError({ email: 'planner@example.com', password: '' }, register), 'Email, password, and name required');
+            [{ password: 1234567 }, { password: { length: 6 } }, { email: ['planner@example.com'] }].forEach(bad => {
+                const body = { email: 'planner@example.com', password: 'correct horse', name: 'Planner', ...bad };
+                assert.strictEqual(authService.credentialsError(body, login), 'Email and password must be strings');
+                assert.strictEqual(authService.credentialsError(body, register), 'Email, password, and name must be strings');
+            });
+            assert.strictEqual(authService.credentialsError({ email: 'a@b.co', password: 'secret', name: 7 }, register), 'Email, password, and name must be strings');
+        });
+
+        it('should only accept email-shaped addresses', () => {
+            assert.strictEqual(authService.isValidEmail('planner@example.com'), true);
+            ['constructor', '__proto__', 'planner@example', 'a b@example.com', ''].forEach(email => {
+                assert.strictEqual(authService.isValidEmail(email), false);
+            });
+        });
+    });
+
+    describe('Tokens', () => {
+        it('should verify signed tokens and reject tampered or expired ones', () => {
+            const { token, expiresIn } = authService.issueTokens(user);
+            const payload = authService.verifyAccessToken(token);
+
+            assert.strictEqual(payload.sub, 'planner@example.com');
+            assert.strictEqual(payload.exp - payload.iat, expiresIn);
+
+            const [header, body, signature] = token.split('.');
+            const forged = Buffer.from(JSON.stringify({ ...payload, role: 'admin' })).toString('base64url');
+            const expired = authService.sign({ ...payload, exp: Math.floor(Date.now() / 1000) - 1 });
+
+            [`${header}.${forged}.${signature}`, expired, 'bm90IGEgdG9rZW4=', ''].forEach(bad => {
+                assert.throws(() => authService.verifyAccessToken(bad), error => error.status === 401);
+            });
+        });
+
+        it('should rotate refresh tokens', () => {
+            const { refreshToken } = authService.issueTokens(user);
+            const refreshed = authService.refresh(refreshToken);
+
+            assert.strictEqual(refreshed.user.email, user.email);
+            assert.ok(authService.verifyAccessToken(refreshed.token));
+            assert.throws(() => authService.refresh(refreshToken), error => error.status === 401);
+            assert.ok(authService.refresh(refreshed.refreshToken).token);
+        });
+
+        it('should revoke access and refresh tokens on logout', () => {
+            const { token, refreshToken } = authService.issueTokens(user);
+            const other = authService.issueTokens(user);
+
+            authService.revoke({ token, refreshToken });
+
+            assert.throws(() => authService.verifyAccessToken(token), /revoked/);
+            assert.throws(() => authService.refresh(refreshToken), error => error.status === 401);
+            assert.ok(authService.verifyAccessToken(other.token));
+        });
+    });
+
+    describe('Middleware', () => {
+        it('should only let requests with a valid bearer token through', () => {
+            const { token } = authService.issueTokens(user);
+            const run = authorization => {
+                const req = { headers: authorization ? { authorization } : {} };
+                const res = mockResponse();
+                let passed = false;
+                authService.requireAuth(req, res, () => { passed = true; });
+                return { req, res, passed };
+            };
+
+            const allowed = run(`Bearer ${token}`);
+            assert.strictEqual(allowed.passed, true);
+            assert.deepStrictEqual(allowed.req.user, { email: user.email, name: 'Planner' });
+
+            [null, token, `Bearer ${token}x`, `Basic ${token}`].forEach(header => {
+                const denied = run(header);
+                assert.strictEqual(denied.passed, false);
+                assert.strictEqual(denied.res.statusCode, 401);
+                assert.strictEqual(denied.res.body.success, false);
+            });
+        });
+    });
+
+    describe('Roles', () => {
+        /**
+         * Run requirePermission for a user with a role
+         */
+        function authorize(role, permission) {
+            const req = { user: { email: user.email, role } };
+            const res = mockResponse();
+            let passed = false;
+            authService.requirePermission(permission)(req, res, () => { passed = true; });
+            return { passed, res };
+        }
+
+        it('should grant permissions by role', () => {
+            assert.strictEqual(authorize('planner', 'products:write').passed, true);
+            assert.strictEqual(authorize('viewer', 'products:write').passed, false);
+            assert.strictEqual(authorize('planner', 'cache:clear').passed, false);
+            assert.strictEqual(authorize('admin', 'cache:clear').passed, true);
+
+            const denied = authorize('planner', 'members:manage');
+            assert.strictEqual(denied.res.statusCode, 403);
+            assert.deepStrictEqual(denied.res.body.requiredRoles, ['admin']);
+
+            assert.throws(() => authService.requirePermission('everything'), /Unknown permission/);
+        });
+    });
+});
+
+console.log('✅ All auth tests passed!');
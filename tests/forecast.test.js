@@ -4,6 +4,15 @@ const assert = require('assert');
 const forecastLogic = require('../server/forecast-logic');
 const seasonalityUtils = require('../server/seasonality-utils');
 const inventoryCalculator = require('../server/inventory-calculator');
+const forecastModels = require('../server/forecast-models');
+const forecastMetrics = require('../server/forecast-metrics');
+const statsUtils = require('../server/stats-utils');
+const calendarUtils = require('../server/calendar-utils');
+const anomalyDetector = require('../server/anomaly-detector');
+const eventRegressors = require('../server/event-regressors');
+const holidayCalendar = require('../server/holiday-calendar');
+const externalFactors = require('../server/external-factors');
+const hierarchyReconciliation = require('../server/hierarchy-reconciliation');
 
 // Mock sales data for testing
 const mockSalesData = [
@@ -31,6 +40,12 @@ const mockProducts = [
     }
 ];
 
+// Two products sold on the same days for per-product forecasting
+const mockMultiProductSales = mockSalesData.flatMap(row => [
+    { date: row.date, product: 'Test Product', sales: row.sales },
+    { date: row.date, product: 'Other Product', sales: row.sales * 2 }
+]);
+
 describe('Forecast Logic Tests', () => {
     describe('Seasonality Detection', () => {
         it('should detect weekly patterns', () => {
@@ -38,12 +53,680 @@ describe('Forecast Logic Tests', () => {
             assert.ok(result.detected !== undefined);
         });
 
+        it('should estimate day-of-week indices from the data', () => {
+            // Sunday (0) sells half, Friday/Saturday sell more
+            const pattern = [0.5, 1, 1, 1, 1, 1.2, 1.3];
+            const history = Array.from({ length: 70 }, (_, i) => {
+                const date = new Date(Date.UTC(2024, 0, 1 + i));
+                return { date: date.toISOString().split('T')[0], sales: 100 * pattern[date.getUTCDay()] };
+            });
+
+            const profile = seasonalityUtils.estimateSeasonalProfile(history, 'daily');
+            profile.dayOfWeek.forEach((index, day) => {
+                assert.ok(Math.abs(index - pattern[day]) < 0.01);
+            });
+            assert.strictEqual(profile.monthOfYear, null);
+        });
+
+        it('should estimate month-of-year indices with two years of history', () => {
+            const pattern = [0.8, 0.8, 0.9, 1, 1, 1, 1.1, 1.1, 1, 1, 1.2, 1.5];
+            const history = Array.from({ length: 36 }, (_, i) => ({
+                date: new Date(Date.UTC(2021, i, 1)).toISOString().split('T')[0],
+                sales: 1000 * pattern[i % 12]
+            }));
+
+            const profile = seasonalityUtils.estimateSeasonalProfile(history, 'monthly');
+            assert.strictEqual(profile.dayOfWeek, null);
+            assert.strictEqual(profile.monthOfYear.length, 12);
+            const mean = profile.monthOfYear.reduce((a, b) => a + b, 0) / 12;
+            assert.ok(Math.abs(mean - 1) < 0.001);
+            assert.ok(profile.monthOfYear[11] > profile.monthOfYear[0]);
+        });
+
+        it('should return the applied seasonal profile with the forecast', async () => {
+            const result = await forecastLogic.generateForecast(mockSalesData, mockProducts, {
+                forecastPeriods: 7,
+                model: 'smoothing'
+            });
+            assert.strictEqual(result.seasonalProfile.method, 'classical-multiplicative');
+            assert.deepStrictEqual(result.seasonalProfile.applied, []);
+        });
+
         it('should calculate day-of-week averages', () => {
             const averages = seasonalityUtils.calculateDayOfWeekAverages(mockSalesData, 'sales');
             assert.ok(averages.averages.length === 7);
         });
     });
 
+    describe('Holt-Winters', () => {
+        // Linear trend plus a fixed weekly pattern
+        const weeklyPattern = [10, -5, 0, 5, -10, 20, -20];
+        const trendingSeries = Array.from({ length: 56 }, (_, t) => 100 + 2 * t + weeklyPattern[t % 7]);
+
+        it('should fit smoothing parameters within bounds', () => {
+            const fit = forecastModels.fitHoltWinters(trendingSeries, 7, 'additive');
+            assert.strictEqual(fit.model, 'holt-winters');
+            ['alpha', 'beta', 'gamma'].forEach(param => {
+                assert.ok(fit.parameters[param] >= 0 && fit.parameters[param] <= 1);
+            });
+        });
+
+        it('should follow level, trend and seasonality (additive)', () => {
+            const fit = forecastModels.fitHoltWinters(trendingSeries, 7, 'additive');
+            fit.forecast(7).forEach((value, h) => {
+                const t = trendingSeries.length + h;
+                const expected = 100 + 2 * t + weeklyPattern[t % 7];
+                assert.ok(Math.abs(value - expected) < 3, `h=${h + 1}: ${value} vs ${expected}`);
+            });
+        });
+
+        it('should support multiplicative seasonality', () => {
+            const fit = forecastModels.fitHoltWinters(trendingSeries, 7, 'multiplicative');
+            assert.strictEqual(fit.parameters.seasonal, 'multiplicative');
+            assert.strictEqual(fit.forecast(14).length, 14);
+        });
+
+        it('should fall back to Holt without two full seasons', () => {
+            const fit = forecastModels.fitHoltWinters(trendingSeries.slice(0, 10), 7);
+            assert.strictEqual(fit.model, 'holt');
+        });
+
+        it('should be selectable through generateForecast options', async () => {
+            const result = await forecastLogic.generateForecast(mockSalesData, mockProducts, {
+                forecastPeriods: 7,
+                model: 'smoothing'
+            });
+            assert.strictEqual(result.metadata.model.name, 'smoothing');
+        });
+    });
+
+    describe('Deterministic Forecasts', () => {
+        const twoWeeks = [...mockSalesData, ...mockSalesData.map((row, i) => ({
+            ...row,
+            date: `2024-01-${String(11 + i).padStart(2, '0')}`
+        }))];
+
+        it('should produce identical forecasts for identical input', async () => {
+            const first = await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 14 });
+            const second = await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 14 });
+            assert.deepStrictEqual(first.forecast, second.forecast);
+        });
+
+        it('should reproduce simulated intervals for the same seed', async () => {
+            const options = { forecastPeriods: 14, intervalMethod: 'simulation', seed: 7 };
+            const first = await forecastLogic.generateForecast(twoWeeks, mockProducts, options);
+            const second = await forecastLogic.generateForecast(twoWeeks, mockProducts, options);
+
+            assert.deepStrictEqual(first.forecast, second.forecast);
+            assert.strictEqual(first.metadata.seed, 7);
+            assert.strictEqual(first.metadata.intervalMethod, 'simulation');
+        });
+
+        it('should record the default seed in metadata', async () => {
+            const result = await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 7 });
+            assert.strictEqual(result.metadata.seed, forecastModels.DEFAULT_SEED);
+        });
+
+        it('should generate the same random sequence for the same seed', () => {
+            const a = forecastModels.createRandom(123);
+            const b = forecastModels.createRandom('123');
+            const c = forecastModels.createRandom(124);
+            const seqA = [a(), a(), a()];
+            assert.deepStrictEqual(seqA, [b(), b(), b()]);
+            assert.notDeepStrictEqual(seqA, [c(), c(), c()]);
+            seqA.forEach(v => assert.ok(v >= 0 && v < 1));
+        });
+
+        it('should cache forecasts per workspace, session and input', async () => {
+            forecastLogic.clearCache();
+            const first = await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 7, cacheKey: 'acme:s1' });
+
+            assert.strictEqual(await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 7, cacheKey: 'acme:s1' }), first);
+            assert.notStrictEqual(await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 14, cacheKey: 'acme:s1' }), first);
+            assert.notStrictEqual(await forecastLogic.generateForecast(twoWeeks, mockProducts, { forecastPeriods: 7, cacheKey: 'globex:s1' }), first);
+            assert.strictEqual(forecastLogic.cacheSize('acme'), 2);
+
+            forecastLogic.clearCache('acme');
+            assert.strictEqual(forecastLogic.cacheSize('acme'), 0);
+            assert.strictEqual(forecastLogic.cacheSize('globex'), 1);
+            forecastLogic.clearCache();
+        });
+    });
+
+    describe('Prediction Intervals', () => {
+        const noisyHistory = Array.from({ length: 56 }, (_, i) => ({
+            date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+            sales: 100 + [7, -4, 12, -9, 3, -11, 6, 0][i % 8] + [10, -5, 0, 5, -10, 15, -15][i % 7]
+        }));
+
+        it('should invert the normal CDF', () => {
+            assert.ok(Math.abs(statsUtils.normalCritical(0.95) - 1.959964) < 1e-5);
+            assert.ok(Math.abs(statsUtils.normalCritical(0.8) - 1.281552) < 1e-5);
+            assert.ok(Math.abs(statsUtils.normalQuantile(0.001) + 3.090232) < 1e-5);
+            assert.throws(() => statsUtils.normalQuantile(1), RangeError);
+        });
+
+        it('should evaluate the normal CDF and loss function', () => {
+            assert.ok(Math.abs(statsUtils.normalCdf(1.959964) - 0.975) < 1e-6);
+            assert.ok(Math.abs(statsUtils.normalCdf(-1) - 0.158655) < 1e-6);
+            assert.ok(Math.abs(statsUtils.normalLoss(0) - 0.398942) < 1e-6);
+            assert.ok(Math.abs(statsUtils.normalLoss(1.645) - 0.020893) < 1e-4);
+        });
+
+        it('should widen intervals with the confidence level', async () => {
+            const narrow = await forecastLogic.generateForecast(noisyHistory, [], { forecastPeriods: 7, confidenceLevel: 0.8 });
+            const wide = await forecastLogic.generateForecast(noisyHistory, [], { forecastPeriods: 7, confidenceLevel: 99 });
+
+            assert.strictEqual(wide.confidence, 0.99);
+            narrow.forecast.forEach((row, i) => {
+                const wideRow = wide.forecast[i];
+                assert.ok(wideRow.upper_bound - wideRow.lower_bound > row.upper_bound - row.lower_bound);
+            });
+        });
+
+        it('should return several bands at once', async () => {
+            const result = await forecastLogic.generateForecast(noisyHistory, [], {
+                forecastPeriods: 7,
+                intervalLevels: '80,90,99'
+            });
+
+            assert.deepStrictEqual(result.metadata.intervals.levels, [0.8, 0.9, 0.95, 0.99]);
+            assert.strictEqual(result.metadata.intervals.method, 'analytic');
+            result.forecast.forEach(row => {
+                const bands = row.prediction_intervals;
+                assert.strictEqual(bands.length, 4);
+                for (let i = 1; i < bands.length; i++) {
+                    assert.ok(bands[i].upper_bound >= bands[i - 1].upper_bound);
+                    assert.ok(bands[i].lower_bound <= bands[i - 1].lower_bound);
+                }
+                const main = bands.find(b => b.level === 0.95);
+                assert.strictEqual(main.upper_bound, row.upper_bound);
+            });
+        });
+
+        it('should grow analytic SES variance with the horizon', () => {
+            const fit = forecastModels.fitSES(noisyHistory.map(h => h.sales));
+            const variances = forecastModels.forecastVariance(fit, 5);
+            for (let i = 1; i < variances.length; i++) {
+                assert.ok(variances[i] >= variances[i - 1]);
+            }
+        });
+
+        it('should bootstrap models without a closed form', () => {
+            const series = forecastLogic.forecastSeries(noisyHistory, 7, 'daily', null, {
+                model: 'croston',
+                intermittentModel: 'none'
+            });
+            assert.strictEqual(series.intervalMethod, 'bootstrap');
+            series.points.forEach(p => assert.ok(p.lower <= p.value && p.value <= p.upper));
+        });
+
+        it('should return configurable quantiles per date and per product', async () => {
+            const result = await forecastLogic.generateForecast(mockMultiProductSales, [], {
+                forecastPeriods: 5,
+                quantiles: 'P5,P50,P95'
+            });
+
+            assert.deepStrictEqual(result.metadata.quantiles, ['p5', 'p50', 'p95']);
+            [result.forecast, ...result.productForecasts.map(p => p.forecast)].forEach(rows => {
+                rows.forEach(row => {
+                    assert.deepStrictEqual(Object.keys(row.quantiles), ['p5', 'p50', 'p95']);
+                    assert.ok(row.quantiles.p5 <= row.quantiles.p50 && row.quantiles.p50 <= row.quantiles.p95);
+                });
+            });
+            assert.strictEqual(result.chartData.quantiles.p95.length, result.chartData.labels.length);
+        });
+
+        it('should center analytic quantiles on the forecast', async () => {
+            const result = await forecastLogic.generateForecast(noisyHistory, [], { forecastPeriods: 3, quantiles: [10, 50, 90] });
+            result.forecast.forEach(row => {
+                assert.strictEqual(row.quantiles.p50, row.predicted);
+                assert.ok(Math.abs((row.quantiles.p90 - row.predicted) - (row.predicted - row.quantiles.p10)) < 0.02);
+            });
+        });
+
+        it('should reject invalid confidence levels', async () => {
+            await assert.rejects(
+                () => forecastLogic.generateForecast(noisyHistory, [], { confidenceLevel: 150 }),
+                /Invalid confidence level/
+            );
+        });
+    });
+
+    describe('Backtesting', () => {
+        it('should calculate error metrics', () => {
+            const actual = [10, 20, 30, 40];
+            const predicted = [12, 18, 33, 40];
+            const metrics = forecastMetrics.summarize(actual, predicted, [10, 12, 14, 16, 18], 1);
+
+            assert.strictEqual(metrics.mape, 10); // (20% + 10% + 10% + 0%) / 4
+            assert.strictEqual(metrics.bias, 0.75); // (2 - 2 + 3 + 0) / 4
+            assert.strictEqual(metrics.rmse, 2.06); // sqrt((4 + 4 + 9 + 0) / 4)
+            assert.strictEqual(metrics.mase, 0.875); // MAE 1.75 / naive MAE 2
+            assert.ok(metrics.smape > 0 && metrics.smape < 200);
+        });
+
+        it('should skip zero actuals in MAPE', () => {
+            assert.strictEqual(forecastMetrics.calculateMAPE([0, 10], [5, 11]), 10);
+            assert.strictEqual(forecastMetrics.calculateMAPE([0, 0], [5, 5]), null);
+        });
+
+        it('should run rolling-origin folds over the history', () => {
+            const history = Array.from({ length: 40 }, (_, i) => ({
+                date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+                sales: 50 + (i % 7) * 3
+            }));
+
+            const result = forecastLogic.backtest(history, { horizon: 7, folds: 3 });
+            assert.strictEqual(result.folds.length, 3);
+            assert.strictEqual(result.overall.points, 21);
+            result.folds.forEach((fold, i) => {
+                assert.strictEqual(fold.points.length, 7);
+                assert.ok(fold.trainEnd < fold.testStart);
+                if (i > 0) assert.strictEqual(fold.trainingSize, result.folds[i - 1].trainingSize + 7);
+                ['mape', 'smape', 'mase', 'rmse', 'bias'].forEach(metric => {
+                    assert.ok(metric in fold.metrics);
+                });
+            });
+        });
+
+        it('should reject histories too short to backtest', () => {
+            assert.throws(
+                () => forecastLogic.backtest(mockSalesData, { horizon: 7, folds: 3 }),
+                /Not enough history/
+            );
+        });
+    });
+
+    describe('Model Selection', () => {
+        // Eight weeks of a trending series with a strong weekly pattern
+        const weeklyHistory = Array.from({ length: 56 }, (_, i) => ({
+            date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+            sales: 100 + i + [20, -10, 0, 10, -20, 30, -30][i % 7]
+        }));
+
+        it('should fit every model in the library', () => {
+            const values = weeklyHistory.map(h => h.sales);
+            Object.entries(forecastLogic.modelRegistry).forEach(([name, entry]) => {
+                const fit = entry.fit(values, { seasonLength: 7, seasonal: 'additive' });
+                const forecast = fit.forecast(7);
+                assert.strictEqual(forecast.length, 7, name);
+                forecast.forEach(v => assert.ok(isFinite(v), name));
+                assert.ok(Array.isArray(fit.residuals), name);
+            });
+        });
+
+        it('should recover trend and seasonal effects with regression dummies', () => {
+            const fit = forecastModels.fitLinearRegression(weeklyHistory.map(h => h.sales), 7);
+            assert.strictEqual(fit.parameters.slope, 1);
+            assert.strictEqual(fit.parameters.seasonalEffects.length, 6);
+            assert.ok(fit.sse < 1e-6);
+        });
+
+        it('should pick the model with the lowest backtest error', () => {
+            const selection = forecastLogic.selectModel(weeklyHistory, 7, 'daily');
+            assert.strictEqual(selection.metric, 'mase');
+            assert.strictEqual(selection.scores.length, Object.keys(forecastLogic.modelRegistry).length);
+            assert.strictEqual(selection.model, selection.scores[0].model);
+            assert.ok(selection.scores[0].score <= selection.runnerUp.score);
+            // A flat forecast cannot follow the weekly swings
+            assert.ok(!['naive', 'ses', 'moving-average', 'croston'].includes(selection.model));
+        });
+
+        it('should report the chosen model and runner-up in the metadata', async () => {
+            const result = await forecastLogic.generateForecast(weeklyHistory, [], { forecastPeriods: 7, model: 'auto' });
+            const choice = result.metadata.modelSelection[0];
+
+            assert.strictEqual(choice.series, 'total');
+            assert.strictEqual(result.metadata.model.name, choice.model);
+            assert.ok(choice.parameters);
+            assert.ok(choice.runnerUp.model !== choice.model);
+            assert.ok(typeof choice.runnerUp.score === 'number');
+        });
+
+        it('should reject unknown models', async () => {
+            await assert.rejects(
+                () => forecastLogic.generateForecast(mockSalesData, mockProducts, { model: 'prophet' }),
+                /Unknown forecast model/
+            );
+        });
+    });
+
+    describe('Intermittent Demand', () => {
+        // Demand on roughly one day in three, with uneven sizes
+        const lumpyHistory = Array.from({ length: 60 }, (_, i) => ({
+            date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+            sales: i % 3 === 0 ? [1, 15, 2, 30, 4][(i / 3) % 5] : 0
+        }));
+
+        it('should keep zero-demand days when aggregating', () => {
+            const historical = forecastLogic.aggregateHistoricalData(lumpyHistory);
+            assert.strictEqual(historical.length, 60);
+            assert.strictEqual(historical[1].sales, 0);
+        });
+
+        it('should classify demand by ADI and CV²', () => {
+            assert.strictEqual(forecastModels.classifyDemand([5, 6, 5, 7, 6, 5]).pattern, 'smooth');
+            assert.strictEqual(forecastModels.classifyDemand([1, 20, 2, 40, 3, 25]).pattern, 'erratic');
+            assert.strictEqual(forecastModels.classifyDemand([5, 0, 0, 6, 0, 0, 5, 0]).pattern, 'intermittent');
+            assert.strictEqual(forecastModels.classifyDemand(lumpyHistory.map(h => h.sales)).pattern, 'lumpy');
+            assert.strictEqual(forecastModels.classifyDemand([0, 0, 0]).pattern, 'no-demand');
+        });
+
+        it('should shrink Croston forecasts with SBA and decay them with TSB', () => {
+            const values = [0, 0, 6, 0, 0, 6, 0, 0, 6, 0, 0, 6];
+            const croston = forecastModels.fitCroston(values);
+            const sba = forecastModels.fitCroston(values, 'sba');
+            assert.ok(Math.abs(croston.forecast(1)[0] - 2) < 0.01);
+            assert.ok(sba.forecast(1)[0] < croston.forecast(1)[0]);
+
+            const tsb = forecastModels.fitTSB([...values, 0, 0, 0, 0, 0, 0]);
+            assert.ok(tsb.forecast(1)[0] < forecastModels.fitTSB(values).forecast(1)[0]);
+        });
+
+        it('should forecast lumpy series with the Croston family', async () => {
+            const result = await forecastLogic.generateForecast(lumpyHistory, [], { forecastPeriods: 7 });
+            assert.strictEqual(result.metadata.demandPattern.pattern, 'lumpy');
+            assert.ok(forecastLogic.intermittentModels.includes(result.metadata.model.name));
+            result.forecast.forEach(row => assert.ok(row.predicted >= 0));
+
+            const unchanged = await forecastLogic.generateForecast(lumpyHistory, [], { forecastPeriods: 7, intermittentModel: 'none' });
+            assert.ok(!forecastLogic.intermittentModels.includes(unchanged.metadata.model.name));
+        });
+    });
+
+    describe('Calendar', () => {
+        const day = offset => new Date(Date.UTC(2024, 0, 1 + offset)).toISOString().split('T')[0];
+
+        it('should detect daily data with missing days', () => {
+            const dates = Array.from({ length: 40 }, (_, i) => day(i)).filter((_, i) => i % 6 !== 5);
+            assert.strictEqual(calendarUtils.detectFrequency(dates), 'daily');
+        });
+
+        it('should treat a mixed daily/weekly file as weekly', () => {
+            const dates = [...Array.from({ length: 7 }, (_, i) => day(i)), ...Array.from({ length: 6 }, (_, i) => day(13 + i * 7))];
+            assert.strictEqual(calendarUtils.detectFrequency(dates), 'weekly');
+        });
+
+        it('should fill gaps with zeros or by interpolation', () => {
+            const history = [{ date: day(0), sales: 10 }, { date: day(3), sales: 40 }];
+
+            const zero = calendarUtils.buildCalendar(history, 'daily');
+            assert.deepStrictEqual(zero.series.map(p => p.sales), [10, 0, 0, 40]);
+            assert.strictEqual(zero.filledPeriods, 2);
+
+            const interpolated = calendarUtils.buildCalendar(history, 'daily', { fillPolicy: 'interpolate' });
+            assert.deepStrictEqual(interpolated.series.map(p => p.sales), [10, 20, 30, 40]);
+        });
+
+        it('should scale periods the history covers only partly to a whole period', async () => {
+            // 100 a day from Monday 2024-01-01 to Monday 2024-03-04: the last week has one day
+            const daily = Array.from({ length: 64 }, (_, i) => ({ date: day(i), sales: 100 }));
+
+            const weekly = calendarUtils.buildCalendar(daily, 'weekly');
+            assert.strictEqual(weekly.partialPeriods, 1);
+            weekly.series.forEach(p => assert.strictEqual(p.sales, 700));
+
+            // March ends on the 4th
+            const monthly = calendarUtils.buildCalendar(daily, 'monthly');
+            assert.strictEqual(monthly.partialPeriods, 1);
+            assert.deepStrictEqual(monthly.series.map(p => p.sales), [3100, 2900, 3100]);
+
+            const result = await forecastLogic.generateForecast(daily, [], { forecastPeriods: 21, frequency: 'weekly', model: 'ses' });
+            result.forecast.forEach(f => assert.ok(Math.abs(f.predicted - 700) < 1));
+        });
+
+        it('should not scale rows as coarse as the periods', () => {
+            const weeks = Array.from({ length: 4 }, (_, i) => ({ date: day(i * 7), sales: 700 }));
+            const weekly = calendarUtils.buildCalendar(weeks, 'weekly');
+
+            assert.strictEqual(weekly.partialPeriods, 0);
+            weekly.series.forEach(p => assert.strictEqual(p.sales, 700));
+        });
+
+        it('should step forecast dates at the data frequency', async () => {
+            const monthly = Array.from({ length: 24 }, (_, i) => ({
+                date: new Date(Date.UTC(2022, i, 1)).toISOString().split('T')[0],
+                sales: 100 + (i % 12) * 5
+            }));
+            const result = await forecastLogic.generateForecast(monthly, [], { forecastPeriods: 90 });
+
+            assert.strictEqual(result.metadata.frequency, 'monthly');
+            assert.deepStrictEqual(result.forecast.map(f => f.date), ['2024-01-01', '2024-02-01', '2024-03-01']);
+        });
+
+        it('should cover the horizon in weeks for weekly data and reject unknown options', async () => {
+            const weekly = Array.from({ length: 20 }, (_, i) => ({ date: day(i * 7), sales: 50 + (i % 4) }));
+            const result = await forecastLogic.generateForecast(weekly, [], { forecastPeriods: 30 });
+            assert.strictEqual(result.forecast.length, 5);
+            assert.strictEqual(result.forecast[0].date, day(140));
+
+            await assert.rejects(
+                forecastLogic.generateForecast(weekly, [], { frequency: 'hourly' }),
+                error => error.status === 400
+            );
+        });
+    });
+
+    describe('Anomaly Detection', () => {
+        // Noisy weekly pattern with one Black Friday-style spike on day 30
+        const random = forecastModels.createRandom(7);
+        const spiky = Array.from({ length: 56 }, (_, i) => ({
+            date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+            sales: i === 30 ? 400 : Math.round(50 + [0, 3, -2, 5, 8, 20, 15][i % 7] + (random() + random() + random() - 1.5) * 8)
+        }));
+
+        it('should flag a spike with Hampel and IQR without flagging the weekly pattern', () => {
+            ['hampel', 'iqr'].forEach(method => {
+                const anomalies = anomalyDetector.detect(spiky, { method, seasonLength: 7 });
+                assert.deepStrictEqual(anomalies.map(a => a.date), [spiky[30].date], method);
+                assert.ok(anomalies[0].expected > 50 && anomalies[0].expected < 90);
+            });
+        });
+
+        it('should replace flagged points before fitting only when asked to', async () => {
+            const flagged = await forecastLogic.generateForecast(spiky, [], { forecastPeriods: 7, model: 'ses' });
+            const replaced = await forecastLogic.generateForecast(spiky, [], { forecastPeriods: 7, model: 'ses', anomalyTreatment: 'replace' });
+
+            assert.strictEqual(flagged.metadata.anomalies.count, 1);
+            assert.strictEqual(flagged.chartData.anomalies[30], 400);
+            assert.strictEqual(flagged.chartData.historical[30], 400);
+            assert.ok(replaced.forecast[0].upper_bound - replaced.forecast[0].lower_bound <
+                flagged.forecast[0].upper_bound - flagged.forecast[0].lower_bound);
+        });
+
+        it('should leave intermittent series alone', () => {
+            const lumpy = spiky.map((h, i) => ({ ...h, sales: i % 4 === 0 ? h.sales : 0 }));
+            const pattern = forecastModels.classifyDemand(lumpy.map(h => h.sales));
+            assert.deepStrictEqual(forecastLogic.detectAnomalies(lumpy, 'daily', pattern), []);
+        });
+    });
+
+    describe('Event Regressors', () => {
+        const day = offset => new Date(Date.UTC(2023, 5, 1 + offset)).toISOString().split('T')[0];
+        const blackFridays = ['2023-11-24', '2024-11-29'];
+        // Two and a half years of noisy daily demand that triples on Black Friday
+        const random = forecastModels.createRandom(11);
+        const history = Array.from({ length: 900 }, (_, i) => ({
+            date: day(i),
+            sales: Math.round((blackFridays.includes(day(i)) ? 3 : 1) *
+                (100 + [0, 4, -3, 6, 10, 25, 18][i % 7] + (random() + random() + random() - 1.5) * 10))
+        }));
+
+        it('should estimate an event uplift from its past occurrences', () => {
+            const events = eventRegressors.normalizeEvents([], [{ name: 'Black Friday', dates: blackFridays }]);
+            const [effect] = eventRegressors.estimateEffects(history, events, 'daily');
+
+            assert.deepStrictEqual(effect.occurrences, blackFridays);
+            assert.ok(Math.abs(effect.multiplier - 3) < 0.3);
+        });
+
+        it('should apply holiday uplifts to future dates and report them per event', async () => {
+            const result = await forecastLogic.generateForecast(history, [], { forecastPeriods: 14, model: 'ses' });
+            const blackFriday = result.events.find(e => e.name === 'Black Friday');
+            const row = date => result.forecast.find(f => f.date === date);
+
+            assert.deepStrictEqual(blackFriday.appliedTo, ['2025-11-28']);
+            assert.ok(blackFriday.uplift > 150);
+            assert.ok(row('2025-11-28').predicted > 2 * row('2025-11-21').predicted);
+            assert.strictEqual(result.metadata.anomalies.count, 0);
+
+            const without = await forecastLogic.generateForecast(history, [], { forecastPeriods: 14, model: 'ses', includeExternalFactors: false });
+            assert.deepStrictEqual(without.events, []);
+        });
+
+        it('should reject events without a name or date', async () => {
+            await assert.rejects(
+                forecastLogic.generateForecast(history, [], { events: [{ name: 'Sale' }] }),
+                error => error.status === 400
+            );
+        });
+    });
+
+    describe('Holiday Calendar', () => {
+        const resolve = (rule, year) => holidayCalendar.resolveRule({ name: 'test', rule }, year).toISOString().split('T')[0];
+
+        it('should resolve fixed, nth-weekday, last-weekday and Easter-relative rules', () => {
+            assert.strictEqual(resolve({ type: 'fixed', month: 7, day: 4 }, 2031), '2031-07-04');
+            assert.strictEqual(resolve({ type: 'nth-weekday', month: 11, weekday: 4, n: 4, offset: 1 }, 2030), '2030-11-29');
+            assert.strictEqual(resolve({ type: 'last-weekday', month: 5, weekday: 1 }, 2027), '2027-05-31');
+            assert.strictEqual(resolve({ type: 'easter', offset: -2 }, 2024), '2024-03-29');
+            assert.strictEqual(resolve({ type: 'easter', offset: 0 }, 2038), '2038-04-25');
+        });
+
+        it('should move weekend holidays to their observed days', async () => {
+            const { holidays } = await externalFactors.getFactorsForPeriod('2027-12-20', '2027-12-31', ['US', 'GB']);
+            const observed = (name, country) => holidays.find(h => h.name === name && h.country === country).observed;
+
+            assert.strictEqual(observed('Christmas', 'US'), '2027-12-24');
+            assert.strictEqual(observed('Christmas', 'GB'), '2027-12-27');
+            assert.strictEqual(observed('Boxing Day', 'GB'), '2027-12-28');
+        });
+
+        it('should generate holidays for any year and reject unknown countries', async () => {
+            const { holidays } = await externalFactors.getFactorsForPeriod(new Date('2031-11-01'), new Date('2031-11-30'));
+            assert.deepStrictEqual(holidays.map(h => h.name), ['Thanksgiving', 'Black Friday']);
+            assert.strictEqual(holidays[1].date, '2031-11-28');
+
+            await assert.rejects(externalFactors.resolveCountries('US,XX'), error => error.status === 400);
+        });
+
+        it('should keep a calendar for the default country in the fallback factors', () => {
+            const { holidayCalendars, defaultCountries } = externalFactors.getDefaultFactors();
+            const holidays = holidayCalendar.getHolidays(holidayCalendars, defaultCountries, '2031-11-01', '2031-11-30');
+            assert.deepStrictEqual(holidays.map(h => h.name), ['Thanksgiving']);
+        });
+    });
+
+    describe('Hierarchical Forecasting', () => {
+        const catalog = [
+            { id: 'A1', name: 'Cable', category: 'Accessories' },
+            { id: 'A2', name: 'Case', category: 'Accessories' },
+            { id: 'E1', name: 'Speaker', category: 'Electronics' },
+            { id: 'E2', name: 'Watch', category: 'Electronics' }
+        ];
+        const random = forecastModels.createRandom(3);
+        const rows = [];
+        for (let i = 0; i < 84; i++) {
+            const date = new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0];
+            catalog.forEach((product, j) => rows.push({
+                date,
+                product_id: product.id,
+                sales: Math.round((10 + 5 * j) * (1 + 0.2 * Math.sin(i * 2 * Math.PI / 7)) + (random() - 0.5) * 6)
+            }));
+        }
+        const sum = values => values.reduce((a, b) => a + b, 0);
+
+        it('should reconcile base forecasts with OLS', () => {
+            const { S } = hierarchyReconciliation.buildSummingMatrix(['x', 'x']);
+            const { forecasts } = hierarchyReconciliation.reconcile([[10], [10], [4], [5]], S, 'ols');
+            // b = (S'S)^-1 S'y = [4.4, 5.4] for S = [1 1; 1 1; 1 0; 0 1]
+            [9.8, 9.8, 4.4, 5.4].forEach((expected, i) => assert.ok(Math.abs(forecasts[i][0] - expected) < 1e-9));
+        });
+
+        it('should split the total by historical proportions top-down', () => {
+            const { S } = hierarchyReconciliation.buildSummingMatrix(['x', 'y']);
+            const proportions = hierarchyReconciliation.getProportions([[1, 1, 2], [3, 3, 6]]);
+            const { forecasts } = hierarchyReconciliation.reconcile([[40], [0], [0], [0], [0]], S, 'top-down', { proportions });
+            assert.deepStrictEqual(forecasts.map(f => f[0]), [40, 10, 30, 10, 30]);
+        });
+
+        ['bottom-up', 'top-down', 'ols', 'mint'].forEach(reconciliation => {
+            it(`should keep SKU, category and total forecasts coherent (${reconciliation})`, async () => {
+                const result = await forecastLogic.generateForecast(rows, catalog, {
+                    forecastPeriods: 7,
+                    reconciliation,
+                    includeExternalFactors: false
+                });
+
+                assert.strictEqual(result.metadata.hierarchy.reconciliation, reconciliation);
+                assert.deepStrictEqual(result.categoryForecasts.map(c => c.category), ['Accessories', 'Electronics']);
+                result.forecast.forEach((row, h) => {
+                    const categories = sum(result.categoryForecasts.map(c => c.forecast[h].predicted));
+                    const skus = sum(result.productForecasts.map(p => p.forecast[h].predicted));
+                    assert.ok(Math.abs(row.predicted - categories) < 0.05);
+                    assert.ok(Math.abs(row.predicted - skus) < 0.05);
+                });
+            });
+        });
+
+        it('should reject unknown reconciliation methods', async () => {
+            await assert.rejects(
+                forecastLogic.generateForecast(rows, catalog, { reconciliation: 'middle-out' }),
+                error => error.status === 400
+            );
+        });
+    });
+
+    describe('Multi-Location Forecasting', () => {
+        const random = forecastModels.createRandom(5);
+        const rows = [];
+        for (let i = 0; i < 56; i++) {
+            const date = new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0];
+            rows.push(
+                { date, product_id: 'A1', location: 'Lagos', sales: Math.round(20 + (random() - 0.5) * 6) },
+                { date, product_id: 'A1', location: 'Abuja', sales: Math.round(5 + (random() - 0.5) * 2) },
+                { date, product_id: 'E1', location: 'Lagos', sales: Math.round(12 + (random() - 0.5) * 4) }
+            );
+        }
+        const catalog = [
+            { id: 'A1', name: 'Cable', category: 'Accessories' },
+            { id: 'E1', name: 'Speaker', category: 'Electronics' }
+        ];
+
+        it('should forecast every product at every location', async () => {
+            const result = await forecastLogic.generateForecast(rows, catalog, {
+                forecastPeriods: 7,
+                includeExternalFactors: false
+            });
+
+            assert.deepStrictEqual(result.locationForecasts.map(l => l.location), ['Abuja', 'Lagos']);
+            assert.deepStrictEqual(result.metadata.locations.names, ['Abuja', 'Lagos']);
+            assert.strictEqual(result.metadata.locations.unassignedRows, 0);
+
+            const [abuja, lagos] = result.locationForecasts;
+            assert.deepStrictEqual(abuja.productForecasts.map(p => p.product_id), ['A1']);
+            assert.deepStrictEqual(lagos.productForecasts.map(p => p.product_id), ['A1', 'E1']);
+            assert.ok(lagos.productForecasts[0].forecast[0].predicted > abuja.productForecasts[0].forecast[0].predicted * 2);
+
+            // A location total is the sum of its product forecasts
+            lagos.forecast.forEach((row, h) => {
+                const products = lagos.productForecasts.reduce((sum, p) => sum + p.forecast[h].predicted, 0);
+                assert.ok(Math.abs(row.predicted - products) < 0.05);
+            });
+        });
+
+        it('should skip location forecasts when no row has a location', async () => {
+            const result = await forecastLogic.generateForecast(
+                rows.map(({ location, ...row }) => row),
+                catalog,
+                { forecastPeriods: 7, includeExternalFactors: false }
+            );
+            assert.deepStrictEqual(result.locationForecasts, []);
+            assert.strictEqual(result.metadata.locations, null);
+        });
+    });
+
     describe('Inventory Calculations', () => {
         it('should calculate EOQ correctly', () => {
             const eoq = inventoryCalculator.calculateEOQ(1000, 50, 10);
@@ -115,6 +798,34 @@ describe('Forecast Logic Tests', () => {
             assert.ok(forecast.confidence > 0 && forecast.confidence <= 1);
         });
 
+        it('should generate a separate forecast per product', async () => {
+            const products = [...mockProducts, { id: 'P002', name: 'Other Product' }];
+            const result = await forecastLogic.generateForecast(mockMultiProductSales, products, { forecastPeriods: 7 });
+
+            assert.strictEqual(result.productForecasts.length, 2);
+            const ids = result.productForecasts.map(p => p.product_id).sort();
+            assert.deepStrictEqual(ids, ['P001', 'P002']);
+
+            result.productForecasts.forEach(p => {
+                assert.strictEqual(p.forecast.length, 7);
+                p.forecast.forEach(f => {
+                    assert.strictEqual(f.product_id, p.product_id);
+                    assert.ok(f.lower_bound <= f.predicted && f.predicted <= f.upper_bound);
+                });
+            });
+        });
+
+        it('should roll product forecasts up to the total', async () => {
+            const products = [...mockProducts, { id: 'P002', name: 'Other Product' }];
+            const result = await forecastLogic.generateForecast(mockMultiProductSales, products, { forecastPeriods: 7 });
+
+            result.forecast.forEach((f, i) => {
+                const sum = result.productForecasts.reduce((total, p) => total + p.forecast[i].predicted, 0);
+                assert.ok(Math.abs(f.predicted - sum) < 0.05);
+                assert.strictEqual(f.date, result.productForecasts[0].forecast[i].date);
+            });
+        });
+
         it('should handle empty data gracefully', async () => {
             try {
                 // This should throw an error
@@ -2,6 +2,8 @@
 
 const assert = require('assert');
 const inventoryCalculator = require('../server/inventory-calculator');
+const statsUtils = require('../server/stats-utils');
+const replenishmentSimulator = require('../server/replenishment-simulator');
 
 const mockProducts = [
     {
@@ -87,6 +89,34 @@ describe('Inventory Management Tests', () => {
         });
     });
 
+    describe('Per-Product Forecasts', () => {
+        it('should use the per-product forecast series when available', () => {
+            const forecast = {
+                forecast: [{ date: '2024-01-01', predicted: 30 }],
+                productForecasts: [
+                    { product_id: 'P002', product_name: 'Product B', forecast: [
+                        { date: '2024-01-01', product_id: 'P002', predicted: 12 },
+                        { date: '2024-01-02', product_id: 'P002', predicted: 14 }
+                    ] }
+                ]
+            };
+
+            const byId = inventoryCalculator.getProductForecast(forecast, mockProducts[1]);
+            assert.strictEqual(byId.length, 2);
+
+            const byName = inventoryCalculator.getProductForecast(forecast, { id: 'X', name: 'product b' });
+            assert.strictEqual(byName.length, 2);
+
+            const missing = inventoryCalculator.getProductForecast(forecast, mockProducts[0]);
+            assert.strictEqual(missing.length, 0);
+        });
+
+        it('should fall back to filtering flat forecast rows', () => {
+            const rows = inventoryCalculator.getProductForecast(mockForecast, mockProducts[0]);
+            assert.strictEqual(rows.length, 10);
+        });
+    });
+
     describe('Reorder Recommendations', () => {
         it('should identify products needing reorder', () => {
             const recommendations = mockProducts.map(product => {
@@ -117,6 +147,369 @@ describe('Inventory Management Tests', () => {
         });
     });
 
+    describe('Intermittent Demand', () => {
+        // A spare part that sells a few units roughly every fourth day
+        const sparePartSales = Array.from({ length: 60 }, (_, i) => ({
+            date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+            product_name: 'Product A',
+            sales: i % 4 === 0 ? [2, 9, 3, 12][(i / 4) % 4] : 0
+        }));
+
+        it('should count zero-demand days in daily demand', () => {
+            assert.strictEqual(inventoryCalculator.getDailyDemandValues(sparePartSales).length, 60);
+            assert.strictEqual(inventoryCalculator.calculateDailyDemand(sparePartSales), 92 / 60); // 15 demand days over 60
+        });
+
+        it('should classify the demand pattern', () => {
+            const stats = inventoryCalculator.getDemandStatistics(sparePartSales);
+            assert.strictEqual(stats.demandPattern.pattern, 'intermittent');
+            assert.strictEqual(stats.demandPattern.adi, 4);
+        });
+
+        it('should simulate safety stock for intermittent items', () => {
+            const values = inventoryCalculator.getDailyDemandValues(sparePartSales);
+            const safetyStock = inventoryCalculator.calculateIntermittentSafetyStock(values, 7, 0.95);
+
+            assert.ok(safetyStock > 0);
+            // Same seed, same answer
+            assert.strictEqual(inventoryCalculator.calculateIntermittentSafetyStock(values, 7, 0.95), safetyStock);
+            assert.ok(inventoryCalculator.calculateIntermittentSafetyStock(values, 7, 0.99) >= safetyStock);
+
+            const [metric] = inventoryCalculator.calculateHealthMetrics([mockProducts[0]], sparePartSales, {});
+            assert.strictEqual(metric.demand_pattern, 'intermittent');
+            assert.strictEqual(metric.safety_stock, Math.round(safetyStock));
+        });
+    });
+
+    describe('Quantile Safety Stock', () => {
+        // P90 sits 1.2816 standard deviations above the median: a daily σ of 2
+        const quantileForecast = Array.from({ length: 10 }, (_, i) => ({
+            date: `2024-02-${String(i + 1).padStart(2, '0')}`,
+            predicted: 10,
+            quantiles: { p10: 10 - 1.2816 * 2, p50: 10, p90: 10 + 1.2816 * 2 }
+        }));
+
+        it('should size safety stock from a quantile of lead-time demand', () => {
+            // Four days: σ = 2 * √4 = 4, z(0.95) = 1.645
+            const safetyStock = inventoryCalculator.calculateQuantileSafetyStock(quantileForecast, 4, 0.95);
+            assert.ok(Math.abs(safetyStock - 6.58) < 0.01);
+            assert.ok(inventoryCalculator.calculateQuantileSafetyStock(quantileForecast, 4, 0.99) > safetyStock);
+        });
+
+        it('should need quantiles for the whole lead time', () => {
+            assert.strictEqual(inventoryCalculator.calculateQuantileSafetyStock(quantileForecast, 14, 0.95), null);
+            assert.strictEqual(inventoryCalculator.calculateQuantileSafetyStock(mockForecast.forecast, 3, 0.95), null);
+        });
+
+        it('should use forecast quantiles in health metrics', () => {
+            const forecast = { productForecasts: [{ product_id: 'P003', forecast: quantileForecast }] };
+            const [metric] = inventoryCalculator.calculateHealthMetrics([mockProducts[2]], [], forecast);
+            assert.strictEqual(metric.safety_stock_method, 'forecast-quantile');
+            assert.strictEqual(metric.safety_stock, Math.round(inventoryCalculator.calculateQuantileSafetyStock(quantileForecast, 5, 0.95)));
+        });
+    });
+
+    describe('Service Levels', () => {
+        it('should size safety stock for any cycle service level', () => {
+            // z(0.975) = 1.96, σ = 5 * √9
+            assert.strictEqual(inventoryCalculator.calculateSafetyStock(10, 9, 0.975, 5), 29.4);
+            assert.ok(inventoryCalculator.calculateSafetyStock(10, 9, 0.999, 5) >
+                inventoryCalculator.calculateSafetyStock(10, 9, 0.99, 5));
+        });
+
+        it('should add lead-time variability to demand variability', () => {
+            // σ = √(4 * 3² + 10² * 1²) = √136
+            const safetyStock = inventoryCalculator.calculateSafetyStock(10, 4, 0.95, 3, { leadTimeStdDev: 1 });
+            assert.ok(Math.abs(safetyStock - 1.644854 * Math.sqrt(136)) < 0.01);
+        });
+
+        it('should meet fill-rate targets with the normal loss function', () => {
+            const sigma = 5 * Math.sqrt(9);
+            const safetyStock = inventoryCalculator.calculateSafetyStock(10, 9, 0.99, 5, {
+                serviceType: 'fill-rate',
+                orderQuantity: 200
+            });
+            const shortage = sigma * statsUtils.normalLoss(safetyStock / sigma);
+
+            assert.ok(Math.abs(shortage - 0.01 * 200) < 0.01);
+            assert.ok(safetyStock < inventoryCalculator.calculateSafetyStock(10, 9, 0.99, 5));
+        });
+
+        it('should reject service levels outside (0, 1)', () => {
+            [0, 1, 95].forEach(level => assert.throws(
+                () => inventoryCalculator.calculateSafetyStock(10, 7, level, 5),
+                error => error.status === 400
+            ));
+            assert.throws(
+                () => inventoryCalculator.calculateSafetyStock(10, 7, 0.95, 5, { serviceType: 'ready-rate' }),
+                error => error.status === 400
+            );
+        });
+
+        it('should apply the service target and lead-time deviation of each product', () => {
+            const salesData = Array(20).fill().map((_, i) => ({
+                date: `2024-01-${String(i + 1).padStart(2, '0')}`,
+                product_id: 'P001',
+                sales: 10 + (i % 4) * 2
+            }));
+            const base = mockProducts[0];
+            const [plain, variable, filled] = inventoryCalculator.calculateHealthMetrics([
+                base,
+                { ...base, lead_time_std_dev: 2 },
+                { ...base, fill_rate: 0.98 }
+            ], salesData, {});
+
+            assert.strictEqual(plain.service_level, 0.95);
+            assert.strictEqual(plain.service_type, 'cycle');
+            assert.ok(variable.safety_stock > plain.safety_stock);
+            assert.strictEqual(filled.service_type, 'fill-rate');
+            assert.strictEqual(filled.service_level, 0.98);
+        });
+    });
+
+    describe('Service Level Policies', () => {
+        const policy = {
+            default: 0.93,
+            classes: { A: 0.99, B: 0.95, C: 0.9 },
+            categories: { accessories: 0.97 },
+            products: { P002: { fill_rate: 0.985 } }
+        };
+
+        it('should resolve a product target from the most specific policy entry', () => {
+            const target = (product, abcClass) => inventoryCalculator.getServiceTarget(product, policy, abcClass);
+
+            assert.deepStrictEqual(target({ id: 'P001', service_level: 0.8 }, 'A'), { serviceLevel: 0.8, serviceType: 'cycle', source: 'product' });
+            assert.deepStrictEqual(target({ id: 'P002', category: 'Accessories' }, 'A'), { serviceLevel: 0.985, serviceType: 'fill-rate', source: 'product-policy' });
+            assert.strictEqual(target({ id: 'P003', category: 'Accessories' }, 'A').source, 'category');
+            assert.strictEqual(target({ id: 'P004', category: 'Electronics' }, 'C').serviceLevel, 0.9);
+            assert.deepStrictEqual(target({ id: 'P005', category: 'Electronics' }), { serviceLevel: 0.93, serviceType: 'cycle', source: 'default' });
+            assert.strictEqual(inventoryCalculator.getServiceTarget({ id: 'P006' }).serviceLevel, 0.95);
+        });
+
+        it('should apply ABC class levels derived from sales value', () => {
+            const salesData = Array(10).fill().flatMap((_, i) => {
+                const date = `2024-01-${String(i + 1).padStart(2, '0')}`;
+                return [
+                    { date, product_id: 'P001', sales: 50 }, // 36% of sales value (B)
+                    { date, product_id: 'P002', sales: 40 }, // 57% (A)
+                    { date, product_id: 'P003', sales: 20 }
+                ];
+            });
+            const catalog = mockProducts.map(({ name, ...product }) => product);
+            const metrics = inventoryCalculator.calculateHealthMetrics(catalog, salesData, {}, {
+                serviceLevels: { classes: { A: 0.99, B: 0.95, C: 0.9 } }
+            });
+
+            assert.deepStrictEqual(metrics.map(m => m.service_level), [0.95, 0.99, 0.9]);
+            assert.ok(metrics.every(m => m.service_level_source === 'class'));
+        });
+
+        it('should reject policies with invalid levels', () => {
+            assert.throws(
+                () => inventoryCalculator.normalizeServiceLevels({ classes: { A: 99 } }),
+                error => error.status === 400
+            );
+        });
+    });
+
+    describe('Cost Optimization', () => {
+        const costs = inventoryCalculator.getCostParameters({ unit_cost: 20, unit_price: 35 });
+
+        it('should fall back to the EOQ and lead-time demand without demand variation', () => {
+            const policy = inventoryCalculator.calculateCostOptimalPolicy(10, 0, 5, costs);
+
+            // EOQ = √(2 × 3650 × 50 / 5) = 270
+            assert.strictEqual(policy.eoq, 270);
+            assert.strictEqual(policy.order_quantity, 270);
+            assert.strictEqual(policy.reorder_point, 50);
+            assert.strictEqual(policy.annual_costs.stockout, 0);
+            assert.ok(Math.abs(policy.annual_costs.ordering - policy.annual_costs.holding) < 0.1);
+        });
+
+        it('should find the cost-minimizing order quantity and reorder point', () => {
+            const policy = inventoryCalculator.calculateCostOptimalPolicy(10, 3, 5, costs);
+            const sigma = 3 * Math.sqrt(5);
+            const totalCost = (Q, r) => {
+                const shortage = sigma * statsUtils.normalLoss((r - 50) / sigma);
+                return 50 * 3650 / Q + 5 * (Q / 2 + r - 50 + shortage) + 15 * 3650 * shortage / Q;
+            };
+
+            assert.ok(policy.order_quantity > policy.eoq);
+            assert.ok(policy.safety_stock > 0);
+            const { total } = policy.annual_costs;
+            assert.ok(Math.abs(total - totalCost(policy.order_quantity, policy.reorder_point)) < 1);
+            [[-20, 0], [20, 0], [0, -5], [0, 5]].forEach(([dQ, dr]) => {
+                assert.ok(totalCost(policy.order_quantity + dQ, policy.reorder_point + dr) > total);
+            });
+        });
+
+        it('should hold more safety stock as shortages get more expensive', () => {
+            const cheap = inventoryCalculator.calculateCostOptimalPolicy(10, 3, 5, { ...costs, stockoutCost: 2 });
+            const dear = inventoryCalculator.calculateCostOptimalPolicy(10, 3, 5, { ...costs, stockoutCost: 200 });
+
+            assert.ok(dear.reorder_point > cheap.reorder_point);
+            assert.ok(dear.cycle_service_level > cheap.cycle_service_level);
+        });
+
+        it('should break costs down per product and location', () => {
+            const products = [
+                { ...mockProducts[0], ordering_cost: 80, holding_cost_rate: 0.2, backorders: true },
+                { ...mockProducts[2], unit_cost: 0 }
+            ];
+            const salesData = Array(20).fill().map((_, i) => ({
+                date: `2024-01-${String(i + 1).padStart(2, '0')}`,
+                product_id: 'P001',
+                sales: 8 + i % 5
+            }));
+            const [optimized, missing] = inventoryCalculator.calculateCostOptimization(products, salesData);
+
+            assert.strictEqual(optimized.product_id, 'P001');
+            assert.strictEqual(optimized.ordering_cost, 80);
+            assert.strictEqual(optimized.holding_cost_per_unit_year, 10);
+            assert.strictEqual(optimized.stockout_cost, 50);
+            assert.strictEqual(optimized.backorders, true);
+            const { ordering, holding, stockout, total } = optimized.annual_costs;
+            assert.ok(Math.abs(ordering + holding + stockout - total) < 0.02);
+
+            assert.strictEqual(missing.order_quantity, null);
+            assert.strictEqual(missing.annual_costs, null);
+        });
+
+        it('should order the cost-optimal quantity at the cost-optimal reorder point', () => {
+            const policy = { order_quantity: 120, reorder_point: 40 };
+
+            assert.strictEqual(inventoryCalculator.calculatePolicyOrder(policy, 41, 500).final, 0);
+            assert.deepStrictEqual(inventoryCalculator.calculatePolicyOrder(policy, 15, 500), {
+                recommended: 120, adjusted: 120, final: 120, urgent: true, critical: false
+            });
+            assert.strictEqual(inventoryCalculator.calculatePolicyOrder(policy, 15, 100).final, 85);
+        });
+    });
+
+    describe('Replenishment Simulation', () => {
+        const steady = Array(60).fill(10);
+        const sQ = { type: 'sQ', reorder_point: 30, order_quantity: 100 };
+
+        it('should never stock out when the reorder point covers lead-time demand', () => {
+            const run = replenishmentSimulator.simulate(sQ, steady, { leadTimeDays: 2, initialStock: 100 });
+
+            assert.strictEqual(run.fill_rate, 1);
+            assert.strictEqual(run.stockout_days, 0);
+            assert.strictEqual(run.orders_placed, 6);
+            assert.strictEqual(run.units_ordered, 600);
+        });
+
+        it('should lose sales when the lead time outlasts the reorder point', () => {
+            const lost = replenishmentSimulator.simulate(sQ, steady, { leadTimeDays: 5, initialStock: 100, costs: { stockoutCost: 2 } });
+            const backordered = replenishmentSimulator.simulate(sQ, steady, { leadTimeDays: 5, initialStock: 100, backorders: true });
+
+            assert.ok(lost.fill_rate < 1);
+            assert.strictEqual(lost.stockout_days, 5);
+            assert.strictEqual(lost.costs.stockout, lost.units_short * 2);
+            assert.ok(backordered.units_ordered > lost.units_ordered);
+        });
+
+        it('should only order on review days under (R, S)', () => {
+            const run = replenishmentSimulator.simulate(
+                { type: 'RS', review_period_days: 7, order_up_to: 120 },
+                steady,
+                { leadTimeDays: 2, initialStock: 100 }
+            );
+            assert.strictEqual(run.orders_placed, Math.ceil(60 / 7));
+            assert.strictEqual(run.fill_rate, 1);
+        });
+
+        it('should compare policies on the same sampled demand', () => {
+            const product = { id: 'P001', name: 'Product A', current_stock: 80, lead_time_days: 4, lead_time_std_dev: 1, unit_cost: 20, unit_price: 35 };
+            const salesData = Array(60).fill().map((_, i) => ({
+                date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0],
+                product_id: 'P001',
+                sales: 8 + (i * 7) % 9
+            }));
+            const policies = [
+                { type: 'sQ', reorder_point: 60, order_quantity: 120 },
+                { type: 'sS', reorder_point: 10, order_up_to: 40 }
+            ];
+            const first = replenishmentSimulator.simulateProduct(product, policies, { salesData, paths: 50 });
+            const again = replenishmentSimulator.simulateProduct(product, policies, { salesData, paths: 50 });
+
+            assert.strictEqual(first.demandSource, 'history');
+            assert.strictEqual(first.paths, 50);
+            assert.deepStrictEqual(first, again);
+            assert.ok(first.results[0].fill_rate > first.results[1].fill_rate);
+            assert.strictEqual(first.best, first.results.reduce((a, b) => b.total_cost < a.total_cost ? b : a).policy.name);
+        });
+
+        it('should spread weekly and monthly forecast rows over their days', () => {
+            const product = { id: 'P001', name: 'Product A', current_stock: 100, lead_time_days: 3, unit_cost: 20 };
+            const weekly = {
+                metadata: { frequency: 'weekly' },
+                productForecasts: [{ product_id: 'P001', forecast: [{ date: '2024-01-01', predicted: 70 }, { date: '2024-01-08', predicted: 140 }] }]
+            };
+            const run = replenishmentSimulator.simulateProduct(product, [sQ], { forecast: weekly });
+
+            assert.strictEqual(run.demandSource, 'forecast');
+            assert.strictEqual(run.days, 14);
+            assert.deepStrictEqual(replenishmentSimulator.getDemandPaths(product, { forecast: weekly }).paths[0],
+                [...Array(7).fill(10), ...Array(7).fill(20)]);
+
+            // Without metadata the frequency is read from the row dates
+            const monthly = replenishmentSimulator.getDailyForecast([{ date: '2024-02-01', predicted: 290 }, { date: '2024-03-01', predicted: 310 }]);
+            assert.strictEqual(monthly.length, 60);
+            assert.deepStrictEqual([monthly[0], monthly[59]], [10, 10]);
+        });
+
+        it('should reject invalid policies', () => {
+            [
+                { type: 'min-max' },
+                { type: 'sS', reorder_point: 50, order_up_to: 40 },
+                { type: 'RS', review_period_days: 0, order_up_to: 40 }
+            ].forEach(policy => assert.throws(
+                () => replenishmentSimulator.compare([policy], [steady]),
+                error => error.status === 400
+            ));
+        });
+
+        it('should limit policies and demand days, and trim given demand to days', () => {
+            const product = { id: 'P001', name: 'Product A', current_stock: 100, lead_time_days: 3, unit_cost: 20 };
+
+            assert.throws(() => replenishmentSimulator.compare(Array(21).fill(sQ), [steady]), error => error.status === 400);
+            assert.throws(
+                () => replenishmentSimulator.getDemandPaths(product, { demand: Array(3651).fill(1) }),
+                error => error.status === 400
+            );
+
+            const run = replenishmentSimulator.simulateProduct(product, [sQ], { demand: steady, days: 30 });
+            assert.strictEqual(run.demandSource, 'demand');
+            assert.strictEqual(run.days, 30);
+        });
+
+        it('should check policies against the stored service target', () => {
+            const product = { id: 'P001', name: 'Product A', current_stock: 100, lead_time_days: 5, unit_cost: 20 };
+            const policies = [sQ, { type: 'sQ', reorder_point: 60, order_quantity: 100 }];
+            const byDefault = replenishmentSimulator.simulateProduct(product, policies, { demand: steady });
+            const classC = replenishmentSimulator.simulateProduct(product, policies, {
+                demand: steady,
+                serviceLevels: { classes: { C: 0.8 } },
+                abcClasses: { P001: 'C' }
+            });
+
+            assert.deepStrictEqual(byDefault.service_target, { service_level: 0.95, service_type: 'cycle', source: 'default' });
+            assert.deepStrictEqual(classC.service_target, { service_level: 0.8, service_type: 'cycle', source: 'class' });
+            // Five of the six cycles under the lower reorder point run out before the order arrives
+            assert.deepStrictEqual(byDefault.results.map(r => r.cycle_service_level), [0.1667, 1]);
+            assert.deepStrictEqual(byDefault.results.map(r => r.meets_service_target), [false, true]);
+
+            const fillRate = replenishmentSimulator.simulateProduct(product, policies, {
+                demand: steady,
+                serviceLevels: { classes: { C: { fill_rate: 0.9 } } },
+                abcClasses: { P001: 'C' }
+            });
+            assert.ok(fillRate.results[0].fill_rate >= 0.9);
+            assert.deepStrictEqual(fillRate.results.map(r => r.meets_service_target), [true, true]);
+        });
+    });
+
     describe('Stockout Risk', () => {
         it('should calculate stockout probability', () => {
             const product = mockProducts[1]; // Low stock product
@@ -189,6 +582,178 @@ describe('Inventory Management Tests', () => {
         });
     });
 
+    describe('Category Totals', () => {
+        const forecast = {
+            productForecasts: mockProducts.map(p => ({
+                product_id: p.id,
+                product_name: p.name,
+                forecast: [{ predicted: p.daily_demand }, { predicted: p.daily_demand }]
+            })),
+            categoryForecasts: [
+                { category: 'Electronics', forecast: [{ predicted: 15 }, { predicted: 15 }] },
+                { category: 'Accessories', forecast: [{ predicted: 8 }, { predicted: 8 }] }
+            ]
+        };
+
+        it('should total stock and forecast demand per category', () => {
+            const totals = inventoryCalculator.calculateCategoryTotals(mockProducts, forecast);
+            const electronics = totals.find(t => t.category === 'Electronics');
+
+            assert.strictEqual(electronics.products, 2);
+            assert.strictEqual(electronics.current_stock, 63);
+            assert.strictEqual(electronics.forecast_demand, 30);
+            assert.strictEqual(electronics.forecast_demand, electronics.sku_forecast_demand);
+            assert.ok(electronics.reconciled);
+        });
+
+        it('should sum SKU forecasts when no category forecast is available', () => {
+            const totals = inventoryCalculator.calculateCategoryTotals(mockProducts, { productForecasts: forecast.productForecasts });
+            assert.strictEqual(totals.find(t => t.category === 'Accessories').forecast_demand, 16);
+        });
+    });
+
+    describe('Multiple Locations', () => {
+        const product = {
+            id: 'P001',
+            name: 'Product A',
+            category: 'Electronics',
+            unit_cost: 50,
+            lead_time_days: 7,
+            max_stock: 200,
+            locations: [
+                { location: 'Lagos', current_stock: 40 },
+                { location: 'Abuja', current_stock: 60, lead_time_days: 3 }
+            ]
+        };
+        const salesData = Array(28).fill().flatMap((_, i) => {
+            const date = `2024-02-${String(i + 1).padStart(2, '0')}`;
+            return [
+                { date, product_id: 'P001', location: 'Lagos', sales: 18 + (i % 5) },
+                { date, product_id: 'P001', location: 'Abuja', sales: 4 + (i % 3) }
+            ];
+        });
+
+        it('should split products into one stock record per location', () => {
+            const records = inventoryCalculator.getStockLocations([product, mockProducts[1]]);
+
+            assert.deepStrictEqual(records.map(r => [r.id, r.location, r.current_stock]), [
+                ['P001', 'Lagos', 40],
+                ['P001', 'Abuja', 60],
+                ['P002', null, 18]
+            ]);
+            assert.strictEqual(records[1].lead_time_days, 3);
+            assert.strictEqual(records[0].lead_time_days, 7);
+        });
+
+        it('should compute reorder points per location from local demand', () => {
+            const recommendations = inventoryCalculator.calculateReorderRecommendations([product], salesData, {});
+            const lagos = recommendations.find(r => r.location === 'Lagos');
+            const abuja = recommendations.find(r => r.location === 'Abuja');
+
+            assert.strictEqual(recommendations.length, 2);
+            assert.ok(Math.abs(lagos.daily_demand - 20) < 0.2);
+            assert.ok(Math.abs(abuja.daily_demand - 5) < 0.1);
+            assert.ok(lagos.reorder_point > abuja.reorder_point);
+            assert.strictEqual(lagos.current_stock, 40);
+        });
+
+        it('should prefer the forecast of the product at its location', () => {
+            const forecast = {
+                productForecasts: [{ product_id: 'P001', forecast: [{ predicted: 25 }] }],
+                locationForecasts: [
+                    { location: 'Abuja', productForecasts: [{ product_id: 'P001', forecast: [{ predicted: 5 }] }] }
+                ]
+            };
+            const [lagos, abuja] = inventoryCalculator.getStockLocations([product]);
+
+            assert.strictEqual(inventoryCalculator.getProductForecast(forecast, abuja)[0].predicted, 5);
+            assert.strictEqual(inventoryCalculator.getProductForecast(forecast, lagos)[0].predicted, 25);
+        });
+
+        it('should total stock over all locations of a product', () => {
+            const totals = inventoryCalculator.calculateCategoryTotals([product], {});
+            assert.strictEqual(totals[0].current_stock, 100);
+        });
+    });
+
+    describe('Multi-Echelon Network', () => {
+        const network = (dcServiceLevel = 0.95) => ({
+            dc: { id: 'DC1', name: 'Central DC', current_stock: 500, lead_time_days: 10, service_level: dcServiceLevel },
+            stores: [
+                { id: 'S1', name: 'Lagos', daily_demand: 20, demand_std_dev: 6, lead_time_days: 2, current_stock: 60 },
+                { id: 'S2', name: 'Abuja', daily_demand: 10, demand_std_dev: 8, lead_time_days: 3, current_stock: 20 }
+            ]
+        });
+
+        it('should size the DC on pooled store demand', () => {
+            const result = inventoryCalculator.calculateMultiEchelon(network());
+
+            assert.strictEqual(result.dc.daily_demand, 30);
+            assert.strictEqual(result.dc.demand_std_dev, 10); // √(6² + 8²)
+            assert.strictEqual(result.summary.risk_pooling, 0.286);
+            // (10 + 7) days of demand plus z(0.95) * 10 * √17
+            assert.strictEqual(result.dc.target_stock, Math.round(30 * 17 + 1.644854 * 10 * Math.sqrt(17)));
+            assert.strictEqual(result.dc.recommended_order, result.dc.target_stock - 500);
+        });
+
+        it('should lengthen store lead times when the DC is less available', () => {
+            const lean = inventoryCalculator.calculateMultiEchelon(network(0.7));
+            const safe = inventoryCalculator.calculateMultiEchelon(network(0.99));
+
+            assert.ok(lean.dc.expected_delay_days > safe.dc.expected_delay_days);
+            assert.ok(lean.stores[0].lead_time_days > safe.stores[0].lead_time_days);
+            assert.ok(lean.stores[0].safety_stock >= safe.stores[0].safety_stock);
+            assert.ok(lean.dc.safety_stock < safe.dc.safety_stock);
+        });
+
+        it('should measure store demand from the sales of each location', () => {
+            const salesData = Array(14).fill().flatMap((_, i) => [
+                { date: `2024-03-${String(i + 1).padStart(2, '0')}`, product_id: 'P001', location: 'lagos', sales: 20 },
+                { date: `2024-03-${String(i + 1).padStart(2, '0')}`, product_id: 'P002', location: 'lagos', sales: 99 }
+            ]);
+            const result = inventoryCalculator.calculateMultiEchelon({
+                product: { id: 'P001', name: 'Product A' },
+                dc: { id: 'DC1' },
+                stores: [{ id: 'S1', name: 'Lagos' }]
+            }, salesData);
+
+            assert.strictEqual(result.stores[0].daily_demand, 20);
+            assert.strictEqual(result.dc.daily_demand, 20);
+        });
+
+        it('should size nodes for the stored service-level policy', () => {
+            const { dc, stores } = network();
+            const pooled = { product: { id: 'P001', name: 'Product A' }, dc: { ...dc, service_level: undefined }, stores };
+            const byDefault = inventoryCalculator.calculateMultiEchelon(pooled);
+            const classA = inventoryCalculator.calculateMultiEchelon(pooled, [], {
+                serviceLevels: { classes: { A: 0.99 } },
+                abcClasses: { P001: 'A' }
+            });
+
+            assert.strictEqual(byDefault.dc.service_level, 0.95);
+            assert.strictEqual(classA.dc.service_level, 0.99);
+            assert.strictEqual(classA.dc.service_level_source, 'class');
+            assert.strictEqual(classA.stores[0].service_level, 0.99);
+            assert.ok(classA.dc.safety_stock > byDefault.dc.safety_stock);
+
+            // A node's own service level still wins
+            const override = inventoryCalculator.calculateMultiEchelon({ ...pooled, dc }, [], {
+                serviceLevels: { classes: { A: 0.99 } },
+                abcClasses: { P001: 'A' }
+            });
+            assert.strictEqual(override.dc.service_level, 0.95);
+            assert.strictEqual(override.dc.service_level_source, 'node');
+            assert.strictEqual(override.stores[0].service_level, 0.99);
+        });
+
+        it('should reject networks without stores', () => {
+            assert.throws(
+                () => inventoryCalculator.calculateMultiEchelon({ dc: { id: 'DC1' }, stores: [] }),
+                error => error.status === 400
+            );
+        });
+    });
+
     describe('DIO Calculations', () => {
         it('should calculate days of inventory outstanding', () => {
             const dio = inventoryCalculator.calculateDIO(5000, 36500);
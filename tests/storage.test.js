@@ -0,0 +1,176 @@
+// tests/storage.test.js - Unit tests for the storage layer
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const storage = require('../server/storage');
+const JsonFileStore = require('../server/storage/json-file-store');
+const migrations = require('../server/storage/migrations');
+const authService = require('../server/auth-service');
+
+const latestVersion = Math.max(...migrations.map(m => m.version));
+
+describe('Storage Tests', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'demandsense-store-'));
+    });
+
+    afterEach(() => {
+        storage.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('Repositories', () => {
+        it('should behave like a Map over stored JSON copies', () => {
+            storage.open({ driver: 'memory' });
+            const sessions = storage.collection('forecastSessions');
+            const session = { timestamp: 1, forecast: { total: 42 }, note: undefined };
+
+            sessions.set('s1', session).set('s2', { timestamp: 2 });
+            session.forecast.total = 0;
+
+            assert.strictEqual(sessions.size, 2);
+            assert.deepStrictEqual(sessions.get('s1'), { timestamp: 1, forecast: { total: 42 } });
+            assert.deepStrictEqual(sessions.keys(), ['s1', 's2']);
+            assert.deepStrictEqual([...sessions].map(([key]) => key), ['s1', 's2']);
+            assert.deepStrictEqual(sessions.find(s => s.timestamp === 2), sessions.get('s2'));
+
+            // Records read back are copies: only `set` changes what is stored
+            sessions.get('s1').forecast.total = 0;
+            sessions.values()[0].forecast.total = 0;
+            assert.strictEqual(sessions.get('s1').forecast.total, 42);
+
+            assert.deepStrictEqual(sessions.update('s2', { label: 'b' }), { timestamp: 2, label: 'b' });
+            assert.strictEqual(sessions.update('missing', {}), undefined);
+            assert.strictEqual(sessions.delete('s1'), true);
+            assert.strictEqual(sessions.delete('s1'), false);
+            sessions.clear();
+            assert.strictEqual(sessions.size, 0);
+        });
+
+        it('should reject unknown drivers', () => {
+            assert.throws(() => storage.open({ driver: 'mongo' }), /Unknown storage driver/);
+        });
+    });
+
+    describe('JSON File Backend', () => {
+        it('should keep records and their order across restarts', () => {
+            storage.open({ driver: 'json', directory });
+            const users = storage.collection('users');
+            users.set('b@example.com', { name: 'B' });
+            users.set('a@example.com', { name: 'A' });
+            users.set('b@example.com', { name: 'B2' });
+            users.set('c@example.com', { name: 'C' });
+            users.delete('c@example.com');
+
+            storage.open({ driver: 'json', directory });
+            assert.deepStrictEqual(users.entries(), [
+                ['b@example.com', { name: 'B2' }],
+                ['a@example.com', { name: 'A' }]
+            ]);
+        });
+
+        it('should skip a torn last line', () => {
+            const store = new JsonFileStore(directory);
+            store.put('settings', 'serviceLevels', { default: 0.95 });
+            fs.appendFileSync(path.join(directory, 'settings.jsonl'), '{"op":"put","key":"x","val');
+
+            const reopened = new JsonFileStore(directory);
+            assert.deepStrictEqual(Array.from(reopened.entries('settings').keys()), ['serviceLevels']);
+        });
+
+        it('should compact a file of superseded changes', () => {
+            const store = new JsonFileStore(directory);
+            for (let i = 0; i < 500; i++) {
+                store.put('products', 'P001', { id: 'P001', current_stock: i });
+            }
+            const lines = fs.readFileSync(path.join(directory, 'products.jsonl'), 'utf-8').trim().split('\n');
+
+            assert.ok(lines.length < 200);
+            assert.strictEqual(new JsonFileStore(directory).entries('products').get('P001').current_stock, 499);
+        });
+    });
+
+    describe('Migrations', () => {
+        it('should apply each migration once', () => {
+            storage.open({ driver: 'json', directory });
+            const products = storage.collection('products');
+
+            // Without users there is no workspace to own the seeded catalog
+            assert.strictEqual(storage.getSchemaVersion(), latestVersion);
+            assert.strictEqual(products.size, 0);
+
+            products.set('P900', { id: 'P900' });
+            storage.open({ driver: 'json', directory });
+            assert.deepStrictEqual(products.keys(), ['P900']);
+            assert.strictEqual(storage.describe().schemaVersion, latestVersion);
+        });
+
+        it('should hash plain-text passwords left by earlier versions', async () => {
+            const store = new JsonFileStore(directory);
+            store.put('_migrations', '1', { version: 1, name: 'seed-product-catalog' });
+            store.put('users', 'Planner@Example.com', { email: 'Planner@Example.com', password: 'secret1', name: 'P', role: 'user' });
+
+            storage.open({ driver: 'json', directory });
+            const user = storage.collection('users').get('planner@example.com');
+
+            assert.strictEqual(storage.collection('users').size, 1);
+            assert.strictEqual(user.password, undefined);
+            assert.strictEqual(user.email, 'planner@example.com');
+            assert.ok(await authService.verifyPassword('secret1', user.passwordHash));
+        });
+
+        it('should import the service-level policy saved by earlier versions', () => {
+            process.env.SERVICE_LEVELS_FILE = path.join(directory, 'service-levels.json');
+            fs.writeFileSync(process.env.SERVICE_LEVELS_FILE, JSON.stringify({ default: 0.9 }));
+
+            try {
+                new JsonFileStore(directory).put('users', 'a@example.com', { email: 'a@example.com', role: 'admin' });
+                storage.open({ driver: 'json', directory });
+                assert.deepStrictEqual(storage.workspaceCollection('settings', 'default').get('serviceLevels'), { default: 0.9 });
+            } finally {
+                delete process.env.SERVICE_LEVELS_FILE;
+            }
+        });
+
+        it('should give existing users roles and make the oldest one admin', () => {
+            const store = new JsonFileStore(directory);
+            store.put('_migrations', '2', { version: 2, name: 'hash-user-passwords' });
+            store.put('users', 'b@example.com', { email: 'b@example.com', role: 'user', createdAt: '2024-02-01T00:00:00.000Z' });
+            store.put('users', 'a@example.com', { email: 'a@example.com', role: 'user', createdAt: '2024-01-01T00:00:00.000Z' });
+
+            storage.open({ driver: 'json', directory });
+            const { members } = storage.collection('workspaces').get('default');
+
+            assert.strictEqual(members['a@example.com'].role, 'admin');
+            assert.strictEqual(members['b@example.com'].role, 'planner');
+        });
+
+        it('should move shared data into a default workspace of the existing users', () => {
+            const store = new JsonFileStore(directory);
+            [1, 2, 3].forEach(version => store.put('_migrations', String(version), { version }));
+            store.put('users', 'a@example.com', { email: 'a@example.com', name: 'A', role: 'admin', createdAt: '2024-01-01T00:00:00.000Z' });
+            store.put('products', 'P001', { id: 'P001', name: 'Kept' });
+            store.put('forecastSessions', 's1', { timestamp: 1 });
+            store.put('settings', 'serviceLevels', { default: 0.9 });
+            store.put('settings', 'authSecret', 'secret');
+
+            storage.open({ driver: 'json', directory });
+            const workspace = storage.collection('workspaces').get('default');
+
+            assert.deepStrictEqual(workspace.members, { 'a@example.com': { role: 'admin', joinedAt: '2024-01-01T00:00:00.000Z' } });
+            assert.strictEqual(storage.collection('users').get('a@example.com').role, undefined);
+            assert.strictEqual(storage.workspaceCollection('products', 'default').get('P001').name, 'Kept');
+            assert.ok(storage.workspaceCollection('forecastSessions', 'default').has('s1'));
+            assert.deepStrictEqual(storage.workspaceCollection('settings', 'default').get('serviceLevels'), { default: 0.9 });
+            assert.strictEqual(storage.collection('products').size, 0);
+            assert.strictEqual(storage.collection('forecastSessions').size, 0);
+            assert.deepStrictEqual(storage.collection('settings').keys(), ['authSecret']);
+        });
+    });
+});
+
+console.log('✅ All storage tests passed!');
@@ -0,0 +1,133 @@
+// tests/workspaces.test.js - Unit tests for workspaces, members and invitations
+
+const assert = require('assert');
+const storage = require('../server/storage');
+const workspaceService = require('../server/workspace-service');
+
+/**
+ * Minimal Express response recording the status and JSON body
+ */
+function mockResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+/**
+ * Run requireWorkspace for a user, optionally naming a workspace
+ */
+function selectWorkspace(email, workspaceId) {
+    const req = { user: { email }, headers: workspaceId ? { 'x-workspace-id': workspaceId } : {} };
+    const res = mockResponse();
+    let passed = false;
+    workspaceService.requireWorkspace(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+describe('Workspace Tests', () => {
+    let acme;
+    let globex;
+
+    beforeEach(() => {
+        storage.open({ driver: 'memory' });
+        acme = workspaceService.create('Acme', 'ann@acme.com');
+        globex = workspaceService.create('Globex', 'bob@globex.com');
+    });
+
+    after(() => storage.close());
+
+    describe('Workspaces', () => {
+        it('should make the creator admin of a workspace starting from the sample catalog', () => {
+            assert.deepStrictEqual(workspaceService.listFor('ann@acme.com').map(w => [w.name, w.role]), [['Acme', 'admin']]);
+            assert.strictEqual(workspaceService.collection(acme.id, 'products').size, 5);
+            assert.throws(() => workspaceService.create('  ', 'ann@acme.com'), error => error.status === 400);
+        });
+
+        it('should keep each workspace\'s data apart', () => {
+            workspaceService.collection(acme.id, 'products').delete('P001');
+            workspaceService.collection(acme.id, 'forecastSessions').set('s1', { owner: 'acme' });
+
+            assert.strictEqual(workspaceService.collection(globex.id, 'products').has('P001'), true);
+            assert.strictEqual(workspaceService.collection(globex.id, 'forecastSessions').get('s1'), undefined);
+        });
+
+        it('should select the requested or first workspace and refuse non-members', () => {
+            const second = workspaceService.create('Acme Labs', 'ann@acme.com');
+
+            const first = selectWorkspace('ann@acme.com');
+            assert.strictEqual(first.passed, true);
+            assert.deepStrictEqual(first.req.workspace, { id: acme.id, name: 'Acme' });
+            assert.strictEqual(first.req.user.role, 'admin');
+
+            assert.strictEqual(selectWorkspace('ann@acme.com', second.id).req.workspace.id, second.id);
+
+            [['ann@acme.com', globex.id], ['ann@acme.com', 'missing'], ['nobody@example.com', undefined]].forEach(([email, id]) => {
+                const denied = selectWorkspace(email, id);
+                assert.strictEqual(denied.passed, false);
+                assert.strictEqual(denied.res.statusCode, 403);
+            });
+        });
+
+        it('should not take object prototype keys for members', () => {
+            ['constructor', 'toString', '__proto__'].forEach(email => {
+                assert.deepStrictEqual(workspaceService.listFor(email), []);
+                assert.strictEqual(selectWorkspace(email, acme.id).res.statusCode, 403);
+                assert.throws(() => workspaceService.setRole(acme.id, email, 'admin'), error => error.status === 404);
+            });
+            assert.throws(() => workspaceService.invite(acme.id, { email: 'constructor' }), error => error.status === 400);
+        });
+    });
+
+    describe('Members', () => {
+        it('should change roles and remove members but keep an admin', () => {
+            const { token } = workspaceService.invite(acme.id, { email: 'cat@acme.com', role: 'planner' }, 'ann@acme.com');
+            workspaceService.acceptInvitation(token, 'cat@acme.com');
+
+            assert.throws(() => workspaceService.setRole(acme.id, 'ann@acme.com', 'viewer'), error => error.status === 409);
+            assert.throws(() => workspaceService.removeMember(acme.id, 'ann@acme.com'), error => error.status === 409);
+            assert.throws(() => workspaceService.setRole(acme.id, 'cat@acme.com', 'owner'), error => error.status === 400);
+            assert.throws(() => workspaceService.setRole(acme.id, 'bob@globex.com', 'viewer'), error => error.status === 404);
+
+            workspaceService.setRole(acme.id, 'CAT@acme.com', 'admin');
+            workspaceService.setRole(acme.id, 'ann@acme.com', 'viewer');
+            assert.strictEqual(selectWorkspace('ann@acme.com').req.user.role, 'viewer');
+
+            workspaceService.removeMember(acme.id, 'ann@acme.com');
+            assert.deepStrictEqual(workspaceService.getMembers(acme.id).map(m => [m.email, m.role]), [['cat@acme.com', 'admin']]);
+        });
+    });
+
+    describe('Invitations', () => {
+        it('should let only the invited email join, once, with the invited role', () => {
+            const { invitation, token } = workspaceService.invite(acme.id, { email: ' Dan@Example.com ', role: 'planner' }, 'ann@acme.com');
+
+            assert.strictEqual(invitation.email, 'dan@example.com');
+            assert.strictEqual(invitation.tokenHash, undefined);
+            assert.deepStrictEqual(workspaceService.listInvitations(acme.id).map(i => i.id), [invitation.id]);
+            assert.deepStrictEqual(workspaceService.listInvitations(globex.id), []);
+
+            assert.throws(() => workspaceService.acceptInvitation(token, 'eve@example.com'), error => error.status === 403);
+            assert.deepStrictEqual(workspaceService.acceptInvitation(token, 'dan@example.com'),
+                { id: acme.id, name: 'Acme', role: 'planner' });
+            assert.throws(() => workspaceService.acceptInvitation(token, 'dan@example.com'), error => error.status === 404);
+            assert.throws(() => workspaceService.invite(acme.id, { email: 'dan@example.com' }, 'ann@acme.com'), error => error.status === 409);
+        });
+
+        it('should reject expired and revoked invitations', () => {
+            const expired = workspaceService.invite(acme.id, { email: 'dan@example.com' }, 'ann@acme.com');
+            storage.collection('invitations').update(expired.invitation.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+            assert.throws(() => workspaceService.acceptInvitation(expired.token, 'dan@example.com'), error => error.status === 404);
+            assert.deepStrictEqual(workspaceService.listInvitations(acme.id), []);
+
+            const revoked = workspaceService.invite(acme.id, { email: 'dan@example.com' }, 'ann@acme.com');
+            assert.throws(() => workspaceService.revokeInvitation(globex.id, revoked.invitation.id), error => error.status === 404);
+            workspaceService.revokeInvitation(acme.id, revoked.invitation.id);
+            assert.throws(() => workspaceService.acceptInvitation(revoked.token, 'dan@example.com'), error => error.status === 404);
+        });
+    });
+});
+
+console.log('✅ All workspace tests passed!');